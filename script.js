@@ -1,8 +1,7 @@
 /* Monimo - script.js (Merged & Fixed)
-   Transactions + Inventory + Inventory Logs (localStorage)
+   Transactions + Inventory + Inventory Logs (IndexedDB, localStorage fallback)
    JOURNALS: Purchases, Sales, Cash Receipts, Cash Disbursements, General
    NEW:
-     - One-time Trial Reset (wipes old data once so you can start fresh)
      - Editable purchases, partial payments (AR/AP), customer & supplier, business name
      - Color accents, modern UI, expenses exclude inventory purchases in cards/summary
      - Purchases appear in Purchases Journal, Cash Disbursements (if cash), and General Journal
@@ -10,6 +9,31 @@
      - Edit/Delete cascades to all affected journals
      - Removed misleading +qty log on edit
      - Purchase edit/delete moved from Purchases Journal to Inventory Tab per-item log
+     - Double-entry ledger: chart of accounts, balanced Dr/Cr postings for every flow
+     - Reports: trial balance, balance sheet, multi-step income statement (CSV + print)
+     - Backup/Restore: versioned JSON with checksum, preview, replace or merge by id
+     - CSV import (transactions / inventory) with column mapping and dry run
+     - Versioned schema migrations with a pre-migration snapshot (replaces the one-time trial wipe)
+     - IndexedDB storage: per-record writes, one transaction per action (localStorage fallback)
+     - Inventory cost layers: FIFO or moving weighted average COGS, cost kept apart from selling price
+     - Multi-line sales/purchase documents: many items per transaction, one journal row and balance
+     - Customer & supplier records: contacts, credit limits, default terms, subsidiary ledgers
+     - AR/AP aging reports (Current, 1–30, 31–60, 61–90, 90+) with drill-down and CSV
+     - Payment terms and due dates on credit documents, overdue highlighting, Home "Payments Due" panel
+     - Void receipts/disbursements: reversing entry in the General Journal, balance owed again
+     - Transaction / stock dates picked on the form (backdating allowed), kept on edit
+     - Period close: closed months are locked, corrections via adjusting entries, reopen is logged
+     - Audit trail of every change (before/after) with a History view and multi-step undo/redo
+     - Revenue / expense categories with monthly budgets, budget vs actual and over-budget warnings
+     - Recurring transactions (weekly / monthly / yearly) posted on load, review and missed-occurrence queue
+     - Transaction search, filters, sortable columns, paging, saved filters; exports use the filtered list
+     - Home dashboard charts (SVG): 12-month revenue / COGS / expenses / profit, daily sales, top items, cash in vs out
+     - Per-item reorder point / quantity / preferred supplier, low-stock panel, suggested purchases as drafts
+     - Purchase orders: draft / sent / partially received / received / closed, receiving via GRNI, billing to AP
+     - Sales / purchase returns (credit & debit memos): stock back, COGS reversed, credit or cash refund
+     - Stock take: count sheets (all items or one category), variances posted as shrinkage / overage, count report
+     - Stock locations: per-location quantities, location pickers, transfers between locations, value by location
+     - Units of measure: base unit per item, alternate pack units with conversion factors, optional decimal quantities
 */
 
 /* =========================
@@ -25,6 +49,23 @@ const SALES_KEY = 'salesJournal';
 const RECEIPTS_KEY = 'cashReceipts';
 const DISB_KEY = 'cashDisbursements';
 const SETTINGS_KEY = 'monimo_settings';
+const LEDGER_KEY = 'generalLedger';
+const CUSTOMERS_KEY = 'customers';
+const SUPPLIERS_KEY = 'suppliers';
+const PERIODS_KEY = 'periodLog';
+const AUDIT_KEY = 'auditLog';
+const CATEGORIES_KEY = 'categories';
+const RECURRING_KEY = 'recurringTemplates';
+const RECURRING_QUEUE_KEY = 'recurringQueue';
+const DRAFTS_KEY = 'purchaseDrafts';
+const PO_KEY = 'purchaseOrders';
+const RETURNS_KEY = 'returns';
+const COUNTS_KEY = 'stockCounts';
+const LOCATIONS_KEY = 'locations';
+const TRANSFERS_KEY = 'transfers';
+const SCHEMA_VERSION_KEY = 'monimo_schema_version';
+const SNAPSHOT_KEY = 'monimo_premigration_snapshot';
+const IDB_BOOKS_KEY = 'monimo_books_in_indexeddb'; // set once the books have moved to IndexedDB
 
 // App state
 let transactions = [];
@@ -34,6 +75,20 @@ let purchasesJournal = [];
 let salesJournal = [];
 let cashReceipts = [];
 let cashDisbursements = [];
+let ledger = []; // double-entry journal entries (see CHART OF ACCOUNTS + LEDGER)
+let customers = []; // customer master records (see CUSTOMERS & SUPPLIERS)
+let suppliers = [];
+let periodLog = []; // month close/reopen events (see PERIOD CLOSE)
+let auditLog = []; // append-only change history (see AUDIT TRAIL)
+let categories = []; // revenue / expense categories with monthly budgets (see CATEGORIES & BUDGETS)
+let recurring = []; // recurring transaction templates (see RECURRING TRANSACTIONS)
+let recurringQueue = []; // occurrences waiting to be posted or skipped
+let purchaseDrafts = []; // suggested purchases not posted yet (see REORDER POINTS)
+let purchaseOrders = []; // see PURCHASE ORDERS
+let returns = []; // credit / debit memos (see SALES & PURCHASE RETURNS)
+let stockCounts = []; // physical counts (see STOCK TAKE)
+let locations = []; // stock locations; the first is the default (see STOCK LOCATIONS)
+let transfers = []; // stock moved between locations
 
 let editId = null; // transaction currently editing
 let editingInventoryId = null; // inventory item editing flag
@@ -42,29 +97,61 @@ let originalTxnSnapshot = null;
 let settings = {
   businessName: 'Monimo',
   theme: 'light',
-  accent: 'blue'
+  accent: 'blue',
+  costingMethod: 'fifo' // 'fifo' | 'average' (see INVENTORY COSTING)
 };
 
-/* =========================
-   ONE-TIME TRIAL RESET
-   (Deletes existing local data once so you start clean,
-    then preserves all new entries going forward)
-   ========================= */
-function trialResetIfNeeded() {
-  const FLAG = 'monimo_trial_cleared_v1';
-  if (!localStorage.getItem(FLAG)) {
-    // Keep settings; wipe journals, transactions, inventory, logs
-    localStorage.removeItem(STORAGE_KEY);
-    localStorage.removeItem(INV_KEY);
-    localStorage.removeItem(LOG_KEY);
-    localStorage.removeItem(PURCHASES_KEY);
-    localStorage.removeItem(SALES_KEY);
-    localStorage.removeItem(RECEIPTS_KEY);
-    localStorage.removeItem(DISB_KEY);
-    // Mark as cleared so we don’t wipe again
-    localStorage.setItem(FLAG, '1');
-  }
-}
+/* Every persisted array, in one place. Storage, Backup/Restore and migrations walk this list,
+   so a new store only needs an entry here.
+     dateField  drives backup date ranges
+     indexes    IndexedDB indexes (created automatically on the next load)
+     sortBy/sortDesc, keepOrder  how the array order is restored on load
+     noAudit    left out of the audit trail and undo/redo
+     appendOnly records are never changed in place (saves re-serialising them) */
+const DATA_STORES = [
+  { key: STORAGE_KEY,   label: 'Transactions',       dateField: 'date',      indexes: ['date'],            sortBy: 'date',
+    get: ()=> transactions,      set: v=>{ transactions = v; } },
+  { key: INV_KEY,       label: 'Inventory items',    dateField: null,        indexes: [],                  keepOrder: true,
+    get: ()=> inventory,         set: v=>{ inventory = v; } },
+  { key: LOG_KEY,       label: 'Inventory logs',     dateField: 'timestamp', indexes: ['timestamp','itemId'], sortBy: 'timestamp', sortDesc: true,
+    get: ()=> logs,              set: v=>{ logs = v; } },
+  { key: PURCHASES_KEY, label: 'Purchases journal',  dateField: 'date',      indexes: ['date','txnId'],       sortBy: 'date', sortDesc: true,
+    get: ()=> purchasesJournal,  set: v=>{ purchasesJournal = v; } },
+  { key: SALES_KEY,     label: 'Sales journal',      dateField: 'date',      indexes: ['date','txnId'],       sortBy: 'date', sortDesc: true,
+    get: ()=> salesJournal,      set: v=>{ salesJournal = v; } },
+  { key: RECEIPTS_KEY,  label: 'Cash receipts',      dateField: 'date',      indexes: ['date','saleId'],   sortBy: 'date', sortDesc: true,
+    get: ()=> cashReceipts,      set: v=>{ cashReceipts = v; } },
+  { key: DISB_KEY,      label: 'Cash disbursements', dateField: 'date',      indexes: ['date','txnId'],    sortBy: 'date', sortDesc: true,
+    get: ()=> cashDisbursements, set: v=>{ cashDisbursements = v; } },
+  { key: LEDGER_KEY,    label: 'General ledger',     dateField: 'date',      indexes: ['date','txnId'],    sortBy: 'date',
+    get: ()=> ledger,            set: v=>{ ledger = v; } },
+  { key: CUSTOMERS_KEY, label: 'Customers',          dateField: null,        indexes: ['name'],            keepOrder: true,
+    get: ()=> customers,         set: v=>{ customers = v; } },
+  { key: SUPPLIERS_KEY, label: 'Suppliers',          dateField: null,        indexes: ['name'],            keepOrder: true,
+    get: ()=> suppliers,         set: v=>{ suppliers = v; } },
+  { key: CATEGORIES_KEY, label: 'Categories',        dateField: null,        indexes: ['type'],            keepOrder: true,
+    get: ()=> categories,        set: v=>{ categories = v; } },
+  { key: RECURRING_KEY, label: 'Recurring transactions', dateField: null,    indexes: [],                  keepOrder: true,
+    get: ()=> recurring,         set: v=>{ recurring = v; } },
+  { key: RECURRING_QUEUE_KEY, label: 'Recurring queue', dateField: 'date', indexes: ['templateId'],      sortBy: 'date',
+    get: ()=> recurringQueue,    set: v=>{ recurringQueue = v; } },
+  { key: DRAFTS_KEY,    label: 'Draft purchases',    dateField: 'createdAt', indexes: [],                  keepOrder: true,
+    get: ()=> purchaseDrafts,    set: v=>{ purchaseDrafts = v; } },
+  { key: PO_KEY,        label: 'Purchase orders',    dateField: 'date',      indexes: ['supplierId','status'], keepOrder: true,
+    get: ()=> purchaseOrders,    set: v=>{ purchaseOrders = v; } },
+  { key: RETURNS_KEY,   label: 'Returns',            dateField: 'date',      indexes: ['txnId','kind'],    sortBy: 'date',
+    get: ()=> returns,           set: v=>{ returns = v; } },
+  { key: COUNTS_KEY,    label: 'Stock counts',       dateField: 'date',      indexes: ['status'],          keepOrder: true,
+    get: ()=> stockCounts,       set: v=>{ stockCounts = v; } },
+  { key: LOCATIONS_KEY, label: 'Locations',          dateField: null,        indexes: [],                  keepOrder: true,
+    get: ()=> locations,         set: v=>{ locations = v; } },
+  { key: TRANSFERS_KEY, label: 'Stock transfers',    dateField: 'date',      indexes: ['fromId','toId'],   keepOrder: true,
+    get: ()=> transfers,         set: v=>{ transfers = v; } },
+  { key: PERIODS_KEY,   label: 'Period close log',   dateField: 'at',        indexes: ['month'],           sortBy: 'at', noAudit: true,
+    get: ()=> periodLog,         set: v=>{ periodLog = v; } },
+  { key: AUDIT_KEY,     label: 'Audit log',          dateField: 'at',        indexes: ['at','entity'],     sortBy: 'at', noAudit: true, appendOnly: true,
+    get: ()=> auditLog,          set: v=>{ auditLog = v; } }
+];
 
 /* =========================
    HELPERS
@@ -72,236 +159,1369 @@ function trialResetIfNeeded() {
 function formatCurrency(num){
   return '₱' + Number(num || 0).toLocaleString(undefined,{minimumFractionDigits:2, maximumFractionDigits:2});
 }
-function uid(){ return Date.now().toString() + Math.floor(Math.random()*1000); }
+/** Unique, increasing id: ms timestamp + 3 digits; a counter keeps ids made in the same ms (loops) apart */
+let lastUid = 0;
+function uid(){
+  lastUid = Math.max(Date.now() * 1000 + Math.floor(Math.random()*1000), lastUid + 1);
+  return String(lastUid);
+}
 function nowISO(){ return new Date().toISOString(); }
+function toDateInputValue(d){
+  const x = new Date(d);
+  return `${x.getFullYear()}-${String(x.getMonth()+1).padStart(2,'0')}-${String(x.getDate()).padStart(2,'0')}`;
+}
+/** Timestamp for a day picked on a form: that day at the current clock time, or `keep` as-is when it falls on the same day (edits) */
+function dateInputToISO(v, keep){
+  if(!v) return keep ? new Date(keep).toISOString() : nowISO();
+  if(keep && toDateInputValue(keep) === v) return new Date(keep).toISOString();
+  const now = new Date();
+  const [y,m,d] = String(v).split('-').map(Number);
+  return new Date(y, m-1, d, now.getHours(), now.getMinutes(), now.getSeconds(), now.getMilliseconds()).toISOString();
+}
+function isFutureDateInput(v){ return !!v && startOfDay(v) > new Date(); }
+function startOfDay(v){ const [y,m,d] = String(v).split('-').map(Number); return new Date(y, m-1, d, 0,0,0,0); }
+function endOfDay(v){ const [y,m,d] = String(v).split('-').map(Number); return new Date(y, m-1, d, 23,59,59,999); }
 
-/** Compute a transaction's Inventory Cost (COGS) safely */
+/** Compute a transaction's Inventory Cost (COGS) safely (older records are backfilled by migration 1) */
 function getTxnInventoryCost(t){
   if(!t) return 0;
-  if(typeof t.invCost === 'number' && !isNaN(t.invCost)) return Number(t.invCost);
-  if(t.type === 'revenue' && t.invId && t.invQty){
-    const inv = inventory.find(i=>i.id === t.invId);
-    const unit = inv ? Number(inv.unitPrice || 0) : 0;
-    return Number(t.invQty) * unit; // fallback if older txns lack invCost
+  const cost = Number(t.invCost);
+  return isNaN(cost) ? 0 : cost;
+}
+
+/* =========================
+   STORAGE (repository layer)
+   App state lives in the arrays above; persistence is write-behind.
+   saveAll() only schedules a flush, so every saveAll() made while handling one
+   click (sale + stock + journal + log) lands in ONE IndexedDB transaction that
+   writes just the records that changed and deletes the ones that are gone.
+   Falls back to localStorage (whole-array writes) when IndexedDB is unavailable.
+   ========================= */
+const DB_NAME = 'monimo';
+const META_STORE = 'meta';
+// meta records as they were named in localStorage (fallback backend + one-time import)
+const META_LS_KEYS = { settings: SETTINGS_KEY, schemaVersion: SCHEMA_VERSION_KEY, snapshot: SNAPSHOT_KEY };
+
+let storage = null;         // active backend
+let appMeta = {};           // mirror of the meta store (schemaVersion, snapshot, ...)
+let seen = {};              // store key -> Map(id -> { json, pos, ref }) as of the last scan (see scanStores)
+let dirtyIds = {};          // store key -> Set of ids to write (or delete, when gone) on the next flush
+let scanNeeded = false;     // records may have changed since the last scan
+let persistedOrder = {};    // keepOrder store key -> ids joined, as last written
+let persistedSettings = '';
+let dirtyMeta = new Set();
+let flushQueued = false;
+let resyncNeeded = false;   // a failed write leaves the backend unknown -> rewrite everything next time
+
+function idbRequest(req){
+  return new Promise((resolve, reject)=>{
+    req.onsuccess = ()=> resolve(req.result);
+    req.onerror = ()=> reject(req.error);
+  });
+}
+function idbDone(tx){
+  return new Promise((resolve, reject)=>{
+    tx.oncomplete = ()=> resolve();
+    tx.onerror = ()=> reject(tx.error);
+    tx.onabort = ()=> reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+function missingObjectStores(db){
+  const names = DATA_STORES.map(s => s.key).concat(META_STORE);
+  if(names.some(n => !db.objectStoreNames.contains(n))) return true;
+  if(!DATA_STORES.some(s => (s.indexes || []).length)) return false;
+  const tx = db.transaction(DATA_STORES.map(s => s.key), 'readonly');
+  return DATA_STORES.some(s => (s.indexes || []).some(ix => !tx.objectStore(s.key).indexNames.contains(ix)));
+}
+
+/** Open the database, upgrading it whenever DATA_STORES gained a store or an index */
+function openDatabase(version){
+  return new Promise((resolve, reject)=>{
+    if(!window.indexedDB){ reject(new Error('IndexedDB not available')); return; }
+    const req = version ? indexedDB.open(DB_NAME, version) : indexedDB.open(DB_NAME);
+    req.onupgradeneeded = ()=>{
+      const db = req.result;
+      DATA_STORES.forEach(store=>{
+        const os = db.objectStoreNames.contains(store.key)
+          ? req.transaction.objectStore(store.key)
+          : db.createObjectStore(store.key, { keyPath: 'id' });
+        (store.indexes || []).forEach(ix=>{ if(!os.indexNames.contains(ix)) os.createIndex(ix, ix); });
+      });
+      if(!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE);
+    };
+    req.onsuccess = ()=>{
+      const db = req.result;
+      if(missingObjectStores(db)){
+        const next = db.version + 1;
+        db.close();
+        openDatabase(next).then(resolve, reject);
+        return;
+      }
+      // a newer tab is upgrading the schema: step aside instead of blocking it
+      db.onversionchange = ()=>{
+        db.close();
+        alert('Monimo was updated in another tab. Reload this page before making more changes.');
+      };
+      resolve(db);
+    };
+    req.onerror = ()=> reject(req.error);
+    req.onblocked = ()=> reject(new Error('Database upgrade blocked by another open Monimo tab'));
+  });
+}
+
+function createIndexedDbBackend(db){
+  const allNames = DATA_STORES.map(s => s.key).concat(META_STORE);
+  return {
+    name: 'IndexedDB',
+    async readAll(){
+      const tx = db.transaction(allNames, 'readonly');
+      const stores = {};
+      await Promise.all(DATA_STORES.map(async store=>{
+        stores[store.key] = await idbRequest(tx.objectStore(store.key).getAll());
+      }));
+      const metaStore = tx.objectStore(META_STORE);
+      const [keys, values] = await Promise.all([idbRequest(metaStore.getAllKeys()), idbRequest(metaStore.getAll())]);
+      const meta = {};
+      keys.forEach((k, i)=>{ meta[k] = values[i]; });
+      return { stores, meta };
+    },
+    /** changes: { puts: {key: records[]}, deletes: {key: ids[]}, meta: {name: value}, full } */
+    commit(changes){
+      const tx = db.transaction(allNames, 'readwrite');
+      DATA_STORES.forEach(store=>{
+        const os = tx.objectStore(store.key);
+        if(changes.full) os.clear();
+        (changes.deletes[store.key] || []).forEach(id => os.delete(id));
+        (changes.puts[store.key] || []).forEach(r => os.put(r));
+      });
+      const metaStore = tx.objectStore(META_STORE);
+      Object.keys(changes.meta).forEach(k => metaStore.put(changes.meta[k], k));
+      return idbDone(tx);
+    }
+  };
+}
+
+function createLocalStorageBackend(){
+  return {
+    name: 'localStorage',
+    async readAll(){
+      const stores = {};
+      DATA_STORES.forEach(store=>{
+        const raw = localStorage.getItem(store.key);
+        stores[store.key] = raw ? JSON.parse(raw) : [];
+      });
+      const meta = {};
+      const rawSettings = localStorage.getItem(SETTINGS_KEY);
+      if(rawSettings) meta.settings = JSON.parse(rawSettings);
+      const rawVersion = localStorage.getItem(SCHEMA_VERSION_KEY);
+      if(rawVersion) meta.schemaVersion = parseInt(rawVersion, 10) || 0;
+      const rawSnap = localStorage.getItem(SNAPSHOT_KEY);
+      if(rawSnap) meta.snapshot = JSON.parse(rawSnap);
+      return { stores, meta };
+    },
+    async commit(changes){
+      if(changes.meta.snapshot){
+        try { localStorage.setItem(SNAPSHOT_KEY, JSON.stringify(changes.meta.snapshot)); }
+        catch(err){
+          // quota: hand the snapshot to the user instead of skipping it
+          const snap = changes.meta.snapshot;
+          downloadFile(`monimo_premigration_v${snap.fromVersion}_${toDateInputValue(new Date())}.json`, JSON.stringify(snap.backup), 'application/json');
+          alert('Monimo is upgrading your data. A copy of your data before the upgrade has been downloaded — keep it until you have checked your books.');
+        }
+      }
+      DATA_STORES.forEach(store=>{
+        if(changes.full || changes.puts[store.key] || changes.deletes[store.key]){
+          localStorage.setItem(store.key, JSON.stringify(store.get()));
+        }
+      });
+      Object.keys(changes.meta).forEach(k=>{
+        if(k === 'snapshot' || !META_LS_KEYS[k]) return;
+        localStorage.setItem(META_LS_KEYS[k], typeof changes.meta[k] === 'string' ? changes.meta[k] : JSON.stringify(changes.meta[k]));
+      });
+    }
+  };
+}
+
+/** Put each store back in a stable order (IndexedDB returns records by key) */
+function orderStoreRecords(store, records, meta){
+  if(store.keepOrder){
+    const order = meta['order:' + store.key] || [];
+    const pos = new Map(order.map((id, i)=> [id, i]));
+    return records.slice().sort((a,b)=> (pos.has(a.id) ? pos.get(a.id) : Infinity) - (pos.has(b.id) ? pos.get(b.id) : Infinity));
+  }
+  if(store.sortBy){
+    const dir = store.sortDesc ? -1 : 1;
+    return records.slice().sort((a,b)=> dir * (new Date(a[store.sortBy]) - new Date(b[store.sortBy])));
+  }
+  return records;
+}
+
+/** Move the old localStorage books into IndexedDB (once), then free the localStorage quota */
+async function importLocalStorageOnce(){
+  const legacy = await createLocalStorageBackend().readAll();
+  const puts = {};
+  DATA_STORES.forEach(store=>{ puts[store.key] = legacy.stores[store.key]; });
+  const meta = Object.assign({}, legacy.meta, { importedFromLocalStorage: nowISO() });
+  DATA_STORES.filter(s => s.keepOrder).forEach(s=>{ meta['order:' + s.key] = legacy.stores[s.key].map(r => r.id); });
+  await storage.commit({ puts, deletes: {}, meta, full: true });
+  localStorage.setItem(IDB_BOOKS_KEY, '1');
+  DATA_STORES.forEach(store => localStorage.removeItem(store.key));
+  Object.values(META_LS_KEYS).forEach(k => localStorage.removeItem(k));
+}
+
+/** IndexedDB first; localStorage only while the books still live there. Once they have moved
+  * (IDB_BOOKS_KEY), an open error is reported and retried — falling back would show empty books. */
+async function openStorage(){
+  for(;;){
+    let db = null;
+    try {
+      db = await openDatabase();
+      storage = createIndexedDbBackend(db);
+      const { meta } = await storage.readAll();
+      if(!meta.importedFromLocalStorage) await importLocalStorageOnce();
+      else localStorage.setItem(IDB_BOOKS_KEY, '1');
+      return;
+    } catch(err){
+      storage = null;
+      if(db) db.close();
+      if(!localStorage.getItem(IDB_BOOKS_KEY)){
+        console.warn('IndexedDB unavailable, falling back to localStorage:', err);
+        storage = createLocalStorageBackend();
+        return;
+      }
+      if(!confirm(`Your books could not be opened (${err && err.message || err}). Close other Monimo tabs, then press OK to try again.`)) throw err;
+    }
+  }
+}
+
+/** Compare every record with the last scan and queue the changed ids for the next flush.
+  * Returns { storeKey: [{ id, before, after, posBefore, posAfter }] }, before / after as JSON
+  * (undefined when the record is absent). appendOnly stores never change a record in place,
+  * so only records that are new objects get serialised. */
+function scanStores(keys){
+  const changes = {};
+  DATA_STORES.filter(store => !keys || keys.includes(store.key)).forEach(store=>{
+    const prev = seen[store.key] || new Map();
+    const next = new Map();
+    const list = [];
+    store.get().forEach((r, pos)=>{
+      const p = prev.get(r.id);
+      const json = store.appendOnly && p && p.ref === r ? p.json : JSON.stringify(r);
+      next.set(r.id, { json, pos, ref: r });
+      if(!p || p.json !== json) list.push({ id: r.id, before: p && p.json, after: json, posBefore: p ? p.pos : null, posAfter: pos });
+    });
+    prev.forEach((p, id)=>{ if(!next.has(id)) list.push({ id, before: p.json, after: undefined, posBefore: p.pos, posAfter: null }); });
+    seen[store.key] = next;
+    if(list.length){
+      changes[store.key] = list;
+      const ids = dirtyIds[store.key] || (dirtyIds[store.key] = new Set());
+      list.forEach(c => ids.add(c.id));
+    }
+  });
+  if(!keys) scanNeeded = false;
+  return changes;
+}
+
+/** Remember what the backend now holds, so the next flush only writes what changes after this */
+function markPersisted(){
+  seen = {};
+  scanStores();
+  dirtyIds = {};
+  persistedOrder = {};
+  DATA_STORES.filter(s => s.keepOrder).forEach(store=>{ persistedOrder[store.key] = store.get().map(r => r.id).join('|'); });
+  persistedSettings = JSON.stringify(settings);
+}
+
+function setMeta(key, value){
+  appMeta[key] = value;
+  dirtyMeta.add(key);
+  saveAll();
+}
+
+/** The dirty ids as puts / deletes; a resync after a failed write puts every record */
+function collectChanges(){
+  if(scanNeeded) scanStores();
+  const changes = { puts: {}, deletes: {}, meta: {}, full: resyncNeeded, nextOrder: {}, any: resyncNeeded };
+  DATA_STORES.forEach(store=>{
+    const ids = dirtyIds[store.key];
+    if(resyncNeeded) changes.puts[store.key] = store.get().slice();
+    else if(ids && ids.size){
+      const byId = new Map(store.get().map(r => [r.id, r]));
+      const puts = [], deletes = [];
+      ids.forEach(id => byId.has(id) ? puts.push(byId.get(id)) : deletes.push(id));
+      if(puts.length) changes.puts[store.key] = puts;
+      if(deletes.length) changes.deletes[store.key] = deletes;
+      changes.any = true;
+    }
+    if(store.keepOrder){
+      const order = store.get().map(r => r.id);
+      const joined = order.join('|');
+      changes.nextOrder[store.key] = joined;
+      if(resyncNeeded || joined !== persistedOrder[store.key]){ changes.meta['order:' + store.key] = order; changes.any = true; }
+    }
+  });
+  const settingsJson = JSON.stringify(settings);
+  if(resyncNeeded || settingsJson !== persistedSettings){ changes.meta.settings = JSON.parse(settingsJson); changes.any = true; }
+  changes.nextSettings = settingsJson;
+  dirtyMeta.forEach(k=>{ changes.meta[k] = appMeta[k]; changes.any = true; });
+  return changes;
+}
+
+async function flushChanges(){
+  flushQueued = false;
+  if(!storage) return;
+  const changes = collectChanges();
+  if(!changes.any) return;
+  const metaKeys = Array.from(dirtyMeta);
+  dirtyMeta = new Set();
+  resyncNeeded = false;
+  dirtyIds = {};
+  persistedOrder = changes.nextOrder;
+  persistedSettings = changes.nextSettings;
+  try {
+    await storage.commit(changes);
+  } catch(err){
+    console.error('Save failed', err);
+    resyncNeeded = true;
+    metaKeys.forEach(k => dirtyMeta.add(k));
+    alert('Saving failed (' + (err && err.message || err) + '). Your changes are still on screen and will be saved again with your next action.');
   }
-  return 0;
 }
 
 /* =========================
    LOAD / SAVE
    ========================= */
-function loadAll(){
-  const raw = localStorage.getItem(STORAGE_KEY);
-  transactions = raw ? JSON.parse(raw) : [];
-  const rawInv = localStorage.getItem(INV_KEY);
-  inventory = rawInv ? JSON.parse(rawInv) : [];
-  const rawLogs = localStorage.getItem(LOG_KEY);
-  logs = rawLogs ? JSON.parse(rawLogs) : [];
-
-  // journals
-  purchasesJournal = JSON.parse(localStorage.getItem(PURCHASES_KEY) || '[]');
-  salesJournal = JSON.parse(localStorage.getItem(SALES_KEY) || '[]');
-  cashReceipts = JSON.parse(localStorage.getItem(RECEIPTS_KEY) || '[]');
-  cashDisbursements = JSON.parse(localStorage.getItem(DISB_KEY) || '[]');
+async function loadAll(){
+  await openStorage();
+  const { stores, meta } = await storage.readAll();
+  appMeta = meta;
+  DATA_STORES.forEach(store => store.set(orderStoreRecords(store, stores[store.key] || [], meta)));
 
   // settings
-  settings = Object.assign(settings, JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}'));
+  settings = Object.assign(settings, meta.settings || {});
+  markPersisted();
+
+  // bring older data up to the current schema before anything renders
+  const storedVersion = Number(meta.schemaVersion) || 0;
+  if(storedVersion < SCHEMA_VERSION) migrateLoadedData(storedVersion);
 }
+
+/** Schedule a write of everything that changed since the last flush (see STORAGE) */
 function saveAll(){
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(transactions));
-  localStorage.setItem(INV_KEY, JSON.stringify(inventory));
-  localStorage.setItem(LOG_KEY, JSON.stringify(logs));
-  localStorage.setItem(PURCHASES_KEY, JSON.stringify(purchasesJournal));
-  localStorage.setItem(SALES_KEY, JSON.stringify(salesJournal));
-  localStorage.setItem(RECEIPTS_KEY, JSON.stringify(cashReceipts));
-  localStorage.setItem(DISB_KEY, JSON.stringify(cashDisbursements));
-  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  if(!auditDepth) scanNeeded = true; // inside audited() the scan at the end of the action covers it
+  if(flushQueued) return;
+  flushQueued = true;
+  Promise.resolve().then(flushChanges);
+}
+
+/* =========================
+   SCHEMA MIGRATIONS
+   Ordered, run once each by loadAll (and on restored backups) when the stored
+   schema version is older. A migration only transforms in-memory state — the
+   caller snapshots first and persists after. Append new ones; never edit old ones.
+   ========================= */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Record inventory cost on sales saved without invCost',
+    up(){
+      transactions.forEach(t=>{
+        if(typeof t.invCost === 'number' && !isNaN(t.invCost)) return;
+        if(t.type === 'revenue' && t.invId && t.invQty){
+          const inv = inventory.find(i=>i.id === t.invId);
+          t.invCost = Number(t.invQty) * (inv ? Number(inv.unitPrice || 0) : 0);
+        } else t.invCost = 0;
+      });
+    }
+  },
+  {
+    version: 2,
+    description: 'Build the double-entry ledger for books saved before it existed',
+    up(){
+      if(!ledger.length && (transactions.length || logs.length)) rebuildLedger();
+    }
+  },
+  {
+    version: 3,
+    description: 'Split unit cost from selling price and open a cost layer for stock on hand',
+    up(){
+      inventory.forEach(it=>{
+        if(it.unitCost === undefined) it.unitCost = Number(it.unitPrice || 0);
+        if(Array.isArray(it.costLayers)) return;
+        const qty = Number(it.quantity || 0);
+        it.costLayers = qty > 0 ? [{ id: uid(), date: nowISO(), qty, unitCost: it.unitCost, sourceId: 'opening' }] : [];
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Move single-item transactions and journal rows onto document lines',
+    up(){
+      transactions.forEach(t=>{
+        if(Array.isArray(t.lines)) return;
+        const qty = Number(t.invQty || 0);
+        t.lines = t.invId ? [{
+          id: uid(), invId: t.invId, invName: t.invName || '', qty,
+          price: qty ? Number(t.amount) / qty : 0, discount: 0, amount: Number(t.amount),
+          invCost: Number(t.invCost || 0), ...(t.layerMoves ? { layerMoves: t.layerMoves } : {})
+        }] : [];
+        delete t.invId; delete t.invQty; delete t.invName; delete t.layerMoves;
+      });
+      purchasesJournal.concat(salesJournal).forEach(j=>{
+        if(Array.isArray(j.items)) return;
+        j.items = j.invId ? [{ invId: j.invId, qty: Number(j.invQty || 0) }] : [];
+        delete j.invId; delete j.invQty;
+      });
+    }
+  },
+  {
+    version: 5,
+    description: 'Create customer and supplier records from the names typed on transactions',
+    up(){
+      transactions.forEach(t=>{
+        if(t.customer && !t.customerId) t.customerId = ensureParty('customer', t.customer).id;
+        if(t.supplier && !t.supplierId) t.supplierId = ensureParty('supplier', t.supplier).id;
+      });
+      salesJournal.forEach(j=>{
+        if(j.customer && !j.customerId) j.customerId = ensureParty('customer', j.customer).id;
+      });
+      purchasesJournal.forEach(j=>{
+        if(j.supplier && !j.supplierId) j.supplierId = ensureParty('supplier', j.supplier).id;
+      });
+    }
+  },
+  {
+    version: 6,
+    description: 'Store terms and a due date on credit journal entries (from the customer/supplier default terms)',
+    up(){
+      [['customer', salesJournal], ['supplier', purchasesJournal]].forEach(([kind, journal])=>{
+        journal.forEach(j=>{
+          if(j.paymentMethod !== 'Credit' || j.dueDate) return;
+          const party = getParty(kind, j[PARTY_KINDS[kind].idField]);
+          j.terms = (party && party.terms) || PAYMENT_TERMS[0].code;
+          j.dueDate = journalDueDate(j, kind).toISOString();
+          const t = transactions.find(x => x.id === j.txnId);
+          if(t && !t.dueDate){ t.terms = j.terms; t.dueDate = j.dueDate; }
+        });
+      });
+    }
+  },
+  {
+    version: 7,
+    description: 'Create the default categories; tag sales as Sales and regular expenses by their expense account',
+    up(){
+      seedDefaultCategories();
+      transactions.forEach(t=>{
+        if(t.categoryId) return;
+        const cat = t.type === 'revenue'
+          ? categories.find(c => c.type === 'revenue' && c.name === 'Sales')
+          : (!txnLines(t).length ? categories.find(c => c.type === 'expense' && c.account === (t.expenseAccount || ACCT.OPEX)) : null);
+        if(cat) t.categoryId = cat.id;
+      });
+    }
+  },
+  {
+    version: 8,
+    description: 'Create the default stock location and hold the stock on hand there',
+    up(){
+      ensureDefaultLocation();
+      inventory.forEach(itemStock);
+    }
+  }
+];
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function runMigrations(fromVersion){
+  const applied = [];
+  MIGRATIONS.filter(m => m.version > fromVersion).forEach(m=>{
+    m.up();
+    applied.push(m.version);
+  });
+  return applied;
+}
+
+/** Keep a restorable copy of the data as it was before upgrading.
+  * It is written in the same storage transaction as the migrated data. */
+function savePreMigrationSnapshot(fromVersion){
+  // deep copy: the migrations mutate the live records before the write happens
+  const backup = JSON.parse(JSON.stringify(buildBackup(fromVersion)));
+  setMeta('snapshot', { fromVersion, toVersion: SCHEMA_VERSION, createdAt: nowISO(), backup });
+}
+
+function migrateLoadedData(fromVersion){
+  const hasData = DATA_STORES.some(store => store.get().length);
+  if(!hasData){
+    // fresh books: nothing to migrate, but start with the default categories and location
+    seedDefaultCategories();
+    ensureDefaultLocation();
+    saveAll();
+    setMeta('schemaVersion', SCHEMA_VERSION);
+    return;
+  }
+  savePreMigrationSnapshot(fromVersion);
+  const before = DATA_STORES.map(store => JSON.stringify(store.get()));
+  try {
+    runMigrations(fromVersion);
+  } catch(err){
+    // leave stored data untouched (still at the old version) and work from the unmigrated copy
+    DATA_STORES.forEach((store, i) => store.set(JSON.parse(before[i])));
+    markPersisted();
+    console.error('Migration failed', err);
+    alert('Monimo could not upgrade your saved data (' + err.message + '). Nothing was changed; a snapshot is available under Data.');
+    return;
+  }
+  setMeta('schemaVersion', SCHEMA_VERSION);
+}
+
+/** Upgrade the data section of an older backup without touching the live books */
+function migrateBackupData(data, fromVersion){
+  if(fromVersion >= SCHEMA_VERSION) return data;
+  const saved = DATA_STORES.map(store => store.get());
+  const savedSettings = settings;
+  try {
+    DATA_STORES.forEach(store => store.set(JSON.parse(JSON.stringify(data[store.key] || []))));
+    settings = Object.assign({}, data[SETTINGS_KEY] || savedSettings);
+    runMigrations(fromVersion);
+    const out = {};
+    DATA_STORES.forEach(store => { out[store.key] = store.get(); });
+    out[SETTINGS_KEY] = settings;
+    return out;
+  } finally {
+    DATA_STORES.forEach((store, i) => store.set(saved[i]));
+    settings = savedSettings;
+  }
+}
+
+function getPreMigrationSnapshot(){
+  return appMeta.snapshot || null;
 }
 
 /* =========================
    LOGGING
    ========================= */
-function addLog(itemId, action, qtyChange, note){
+function addLog(itemId, action, qtyChange, note, timestamp, locationId){
   const item = inventory.find(i => i.id === itemId);
   const balance = item ? Number(item.quantity) : null;
   const entry = {
     id: uid(),
-    timestamp: nowISO(),
+    timestamp: timestamp || nowISO(),
     itemId: itemId || null,
     itemName: item ? item.name : (note || ''),
     action,
     qtyChange,
     balanceAfter: balance,
-    note: note || ''
+    note: note || '',
+    locationId: locationId || null
   };
   logs.unshift(entry);
   saveAll();
   renderOverallLog();
+  return entry;
 }
 
 /* =========================
    DASHBOARD & SUMMARY
    (Expenses EXCLUDE inventory purchases)
    ========================= */
+/** Expense that buys stock (has item lines): its cost shows up as COGS when sold, not as an expense */
+function isInventoryPurchase(t){ return t.type === 'expense' && txnLines(t).length > 0; }
+
 function updateDashboard(){
-  const revenue = transactions.filter(t => t.type === 'revenue').reduce((s,t)=> s + Number(t.amount), 0);
+  // net of sales returns: the refunded revenue and the cost that went back into stock
+  const back = returnTotals('sale');
+  const revenue = transactions.filter(t => t.type === 'revenue').reduce((s,t)=> s + Number(t.amount), 0) - back.amount;
 
-  // exclude expense transactions that are inventory purchases (have invId)
+  // exclude expense transactions that are inventory purchases (have item lines)
   const expenseNonInventory = transactions
-    .filter(t => t.type === 'expense' && !t.invId)
+    .filter(t => t.type === 'expense' && !isInventoryPurchase(t))
     .reduce((s,t)=> s + Number(t.amount), 0);
 
-  const inventoryCost = transactions.reduce((s,t)=> s + getTxnInventoryCost(t), 0);
+  const inventoryCost = transactions.reduce((s,t)=> s + getTxnInventoryCost(t), 0) - back.cost;
   const profit = revenue - inventoryCost - expenseNonInventory;
 
   el('#totalRevenue').textContent = formatCurrency(revenue);
   el('#totalExpense').textContent = formatCurrency(expenseNonInventory);
   el('#totalInventoryCost').textContent = formatCurrency(inventoryCost);
   el('#profit').textContent = formatCurrency(profit);
+  renderDuePanel();
+  renderDashboardCharts();
+}
+
+/* =========================
+   DASHBOARD CHARTS
+   Small dependency-free SVG charts. Colors come from CSS classes (chart-s1..s4 use
+   --accent and fixed companions, axes use --muted/--border), so a theme or accent
+   change restyles them without a re-render. Figures use the same rules as the
+   dashboard cards: expenses leave out inventory purchases, COGS is the sale's invCost.
+   ========================= */
+const CHART_W = 560, CHART_H = 220, CHART_PAD = { top: 12, right: 12, bottom: 28, left: 56 };
+
+function svgEl(w, h, body){
+  return `<svg class="chart" viewBox="0 0 ${w} ${h}" preserveAspectRatio="xMidYMid meet" role="img">${body}</svg>`;
+}
+
+function chartLegend(series){
+  return `<div class="chart-legend">${series.map(s => `<span><i class="chart-swatch ${s.cls}"></i>${s.name}</span>`).join('')}</div>`;
+}
+
+/** Round axis maximum (1, 2, 2.5 or 5 × 10^n) */
+function niceMax(v){
+  if(!(v > 0)) return 1;
+  const mag = Math.pow(10, Math.floor(Math.log10(v)));
+  return [1, 2, 2.5, 5, 10].map(m => m * mag).find(m => m >= v);
+}
+
+function shortMoney(v){
+  const a = Math.abs(v);
+  const s = a >= 1e6 ? (a/1e6).toFixed(1).replace(/\.0$/,'') + 'M' : a >= 1e3 ? (a/1e3).toFixed(1).replace(/\.0$/,'') + 'k' : String(Math.round(a));
+  return (v < 0 ? '-' : '') + s;
+}
+
+/** Grouped bars per label plus optional line series ({name, cls, values, line:true}) */
+function barChart(labels, series){
+  const { top, right, bottom, left } = CHART_PAD;
+  const plotW = CHART_W - left - right, plotH = CHART_H - top - bottom;
+  const all = series.flatMap(s => s.values);
+  const max = niceMax(Math.max(0, ...all));
+  const min = Math.min(0, ...all) < 0 ? -niceMax(-Math.min(...all)) : 0;
+  const y = v => top + plotH - (v - min) / (max - min) * plotH;
+  const slot = plotW / Math.max(1, labels.length);
+  const bars = series.filter(s => !s.line);
+  const barW = Math.max(1, (slot * 0.8) / Math.max(1, bars.length));
+
+  let body = '';
+  [min, min + (max-min)/2, max].concat(min < 0 ? [0] : []).forEach(v=>{
+    body += `<line class="chart-gridline" x1="${left}" x2="${CHART_W - right}" y1="${y(v)}" y2="${y(v)}"/>`;
+    body += `<text class="chart-axis" x="${left - 6}" y="${y(v) + 4}" text-anchor="end">${shortMoney(v)}</text>`;
+  });
+  const every = Math.ceil(labels.length / 12);
+  labels.forEach((lab, i)=>{
+    const x0 = left + i * slot + slot * 0.1;
+    bars.forEach((s, j)=>{
+      const v = s.values[i] || 0;
+      const y1 = y(Math.max(v, 0)), y2 = y(Math.min(v, 0));
+      body += `<rect class="chart-bar ${s.cls}" x="${x0 + j * barW}" y="${y1}" width="${barW}" height="${Math.max(0, y2 - y1)}"><title>${lab} · ${s.name}: ${formatCurrency(v)}</title></rect>`;
+    });
+    if(i % every === 0) body += `<text class="chart-axis" x="${left + i * slot + slot / 2}" y="${CHART_H - 8}" text-anchor="middle">${lab}</text>`;
+  });
+  series.filter(s => s.line).forEach(s=>{
+    const pts = s.values.map((v, i) => `${left + i * slot + slot / 2},${y(v)}`);
+    body += `<polyline class="chart-line ${s.cls}" points="${pts.join(' ')}"/>`;
+    body += s.values.map((v, i) => `<circle class="chart-dot ${s.cls}" cx="${left + i * slot + slot / 2}" cy="${y(v)}" r="3"><title>${labels[i]} · ${s.name}: ${formatCurrency(v)}</title></circle>`).join('');
+  });
+  return svgEl(CHART_W, CHART_H, body) + chartLegend(series);
+}
+
+/** Horizontal bars: rows of {label, value, title} */
+function hBarChart(rows, cls, fmt){
+  if(!rows.length) return '<p class="muted">No item sales yet.</p>';
+  const rowH = 24, labelW = 150, w = CHART_W, h = rows.length * rowH + 4;
+  const max = Math.max(...rows.map(r => Math.abs(r.value)), 1);
+  const body = rows.map((r, i)=>{
+    const bw = Math.abs(r.value) / max * (w - labelW - 80);
+    const yy = i * rowH + 2;
+    return `<text class="chart-label" x="${labelW - 8}" y="${yy + 16}" text-anchor="end">${escapeHtml(String(r.label).slice(0, 22))}</text>
+      <rect class="chart-bar ${r.value < 0 ? 'chart-neg' : cls}" x="${labelW}" y="${yy + 3}" width="${bw}" height="${rowH - 8}"><title>${escapeHtml(r.title)}</title></rect>
+      <text class="chart-axis" x="${labelW + bw + 6}" y="${yy + 16}">${fmt(r.value)}</text>`;
+  }).join('');
+  return svgEl(w, h, body);
+}
+
+/** Two-or-more slice donut: slices of {name, value, cls} */
+function donutChart(slices){
+  const total = slices.reduce((s, x) => s + x.value, 0);
+  if(!(total > 0)) return '<p class="muted">No cash movements in this period.</p>';
+  const r = 70, c = 2 * Math.PI * r, cx = 100, cy = 100;
+  let offset = 0;
+  const body = slices.map(s=>{
+    const len = s.value / total * c;
+    const arc = `<circle class="chart-slice ${s.cls}" cx="${cx}" cy="${cy}" r="${r}" stroke-dasharray="${len} ${c - len}" stroke-dashoffset="${-offset}" transform="rotate(-90 ${cx} ${cy})"><title>${s.name}: ${formatCurrency(s.value)} (${Math.round(s.value / total * 100)}%)</title></circle>`;
+    offset += len;
+    return arc;
+  }).join('');
+  const net = slices[0].value - (slices[1] ? slices[1].value : 0);
+  return `<div class="donut-wrap">${svgEl(200, 200, body + `<text class="chart-center" x="${cx}" y="${cy - 2}" text-anchor="middle">${shortMoney(net)}</text><text class="chart-axis" x="${cx}" y="${cy + 16}" text-anchor="middle">net</text>`)}
+    <div>${slices.map(s => `<div class="donut-row"><i class="chart-swatch ${s.cls}"></i>${s.name}<strong>${formatCurrency(s.value)}</strong></div>`).join('')}</div></div>`;
+}
+
+/** Revenue / COGS / expenses / profit for each of the last `count` months, oldest first */
+function monthlyTrend(count){
+  const now = new Date();
+  const months = [];
+  for(let i = count - 1; i >= 0; i--){
+    const d = new Date(now.getFullYear(), now.getMonth() - i, 1);
+    months.push({ key: monthKey(d), label: d.toLocaleString('default', { month: 'short' }), revenue: 0, cogs: 0, expenses: 0 });
+  }
+  const byKey = new Map(months.map(m => [m.key, m]));
+  transactions.forEach(t=>{
+    const m = byKey.get(monthKey(new Date(t.date)));
+    if(!m) return;
+    if(t.type === 'revenue') m.revenue += Number(t.amount);
+    else if(!isInventoryPurchase(t)) m.expenses += Number(t.amount);
+    m.cogs += getTxnInventoryCost(t);
+  });
+  returns.filter(r => r.kind === 'sale').forEach(r=>{
+    const m = byKey.get(monthKey(new Date(r.date)));
+    if(!m) return;
+    m.revenue -= Number(r.amount);
+    m.cogs -= Number(r.cost);
+  });
+  months.forEach(m=>{
+    ['revenue','cogs','expenses'].forEach(k => { m[k] = roundMoney(m[k]); });
+    m.profit = roundMoney(m.revenue - m.cogs - m.expenses);
+  });
+  return months;
+}
+
+/** Sales per day of the current month */
+function dailySales(){
+  const now = new Date();
+  const days = Array(daysInMonth(now.getFullYear(), now.getMonth())).fill(0);
+  transactions.forEach(t=>{
+    const d = new Date(t.date);
+    if(t.type !== 'revenue' || d.getFullYear() !== now.getFullYear() || d.getMonth() !== now.getMonth()) return;
+    days[d.getDate() - 1] += Number(t.amount);
+  });
+  return days.map(roundMoney);
+}
+
+/** Per item: quantity sold, sales and margin (sales less the cost of the units sold) */
+function itemSalesStats(){
+  const stats = new Map();
+  transactions.filter(t => t.type === 'revenue').forEach(t=>{
+    txnLines(t).forEach(l=>{
+      const s = stats.get(l.invId) || { name: inventory.find(i => i.id === l.invId)?.name || l.invName || 'Item', qty: 0, sales: 0, margin: 0 };
+      s.qty += Number(l.qty);
+      s.sales += Number(l.amount);
+      s.margin += Number(l.amount) - Number(l.invCost || 0);
+      stats.set(l.invId, s);
+    });
+  });
+  return Array.from(stats.values());
+}
+
+/** Cash in / out from receipts and disbursements over the trend window (voided ones left out) */
+function cashSplit(since){
+  const sum = list => roundMoney(list.filter(p => !p.voidedAt && new Date(p.date) >= since).reduce((s, p) => s + Number(p.amount), 0));
+  return { cashIn: sum(cashReceipts), cashOut: sum(cashDisbursements) };
+}
+
+function renderDashboardCharts(){
+  if(!el('#dashboardCharts')) return;
+  const trend = monthlyTrend(12);
+  el('#chartMonthly').innerHTML = barChart(trend.map(m => m.label), [
+    { name: 'Revenue',  cls: 'chart-s1', values: trend.map(m => m.revenue) },
+    { name: 'COGS',     cls: 'chart-s2', values: trend.map(m => m.cogs) },
+    { name: 'Expenses', cls: 'chart-s3', values: trend.map(m => m.expenses) },
+    { name: 'Profit',   cls: 'chart-s4', values: trend.map(m => m.profit), line: true }
+  ]);
+
+  const daily = dailySales();
+  el('#chartDailyTitle').textContent = `Daily sales — ${new Date().toLocaleString('default', { month: 'long', year: 'numeric' })}`;
+  el('#chartDaily').innerHTML = barChart(daily.map((_, i) => String(i + 1)), [{ name: 'Sales', cls: 'chart-s1', values: daily }]);
+
+  const stats = itemSalesStats();
+  const top = (key, fmt) => stats.slice().sort((a,b)=> b[key] - a[key]).slice(0, 5)
+    .map(s => ({ label: s.name, value: roundMoney(s[key]), title: `${s.name}: ${s.qty} sold · sales ${formatCurrency(s.sales)} · margin ${formatCurrency(s.margin)}` }));
+  el('#chartTopQty').innerHTML = hBarChart(top('qty'), 'chart-s1', v => String(v));
+  el('#chartTopMargin').innerHTML = hBarChart(top('margin'), 'chart-s4', v => formatCurrency(v));
+
+  const now = new Date();
+  const split = cashSplit(new Date(now.getFullYear(), now.getMonth() - 11, 1));
+  el('#chartCash').innerHTML = donutChart([
+    { name: 'Cash in (receipts)',       cls: 'chart-s1', value: split.cashIn },
+    { name: 'Cash out (disbursements)', cls: 'chart-s3', value: split.cashOut }
+  ]);
 }
 
 /* =========================
    RENDER TRANSACTIONS
+   The list shows `txnView`: full-text search (description, customer, supplier, items),
+   filters, a sort column and a page. filterTransactions() is the same result set the
+   CSV and income-statement exports use. Named filter presets live in settings.
    ========================= */
-function renderTransactions(filterFrom, filterTo){
+const TXN_PAGE_SIZE = 25;
+const TXN_FILTER_DEFAULTS = { q: '', from: '', to: '', type: '', method: '', itemId: '', min: '', max: '', status: '' };
+const TXN_SORTS = {
+  date:        t => new Date(t.date).getTime(),
+  description: t => String(t.description || '').toLowerCase(),
+  type:        t => t.type,
+  amount:      t => Number(t.amount)
+};
+let txnView = Object.assign({}, TXN_FILTER_DEFAULTS, { sort: 'date', dir: 'desc', page: 1 });
+
+/** Unpaid part of a credit sale / purchase (0 for cash and plain expenses) */
+function txnBalanceDue(t){
+  const journal = t.type === 'revenue' ? salesJournal : purchasesJournal;
+  const j = journal.find(x => x.txnId === t.id);
+  if(!j || j.paymentMethod !== 'Credit') return 0;
+  return journalOpen(j);
+}
+
+function txnSearchText(t){
+  return [t.description, t.customer, t.supplier, ...txnLines(t).map(l => l.invName)].join(' ').toLowerCase();
+}
+
+/** Transactions matching the filter, sorted */
+function filterTransactions(f){
+  const words = String(f.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const from = f.from ? startOfDay(f.from) : null;
+  const to = f.to ? endOfDay(f.to) : null;
+  const min = f.min === '' ? null : Number(f.min);
+  const max = f.max === '' ? null : Number(f.max);
+  const out = transactions.filter(t=>{
+    const d = new Date(t.date);
+    if(from && d < from) return false;
+    if(to && d > to) return false;
+    if(f.type && t.type !== f.type) return false;
+    if(f.method && (t.paymentMethod || 'Cash') !== f.method) return false;
+    if(f.itemId && !txnLines(t).some(l => l.invId === f.itemId)) return false;
+    if(min !== null && Number(t.amount) < min) return false;
+    if(max !== null && Number(t.amount) > max) return false;
+    if(f.status === 'unpaid' && !(txnBalanceDue(t) > 0)) return false;
+    if(f.status === 'paid' && txnBalanceDue(t) > 0) return false;
+    if(words.length){
+      const text = txnSearchText(t);
+      if(!words.every(w => text.includes(w))) return false;
+    }
+    return true;
+  });
+  const key = TXN_SORTS[f.sort] || TXN_SORTS.date;
+  const dir = f.dir === 'asc' ? 1 : -1;
+  // ties keep the newest-entered first
+  return out.reverse().sort((a,b)=>{
+    const ka = key(a), kb = key(b);
+    return (ka < kb ? -1 : ka > kb ? 1 : 0) * dir;
+  });
+}
+
+function renderTransactions(){
   const tbody = qs('#transactionsTable tbody');
   if(!tbody) return;
-  tbody.innerHTML = '';
 
-  let filtered = transactions;
-  if(filterFrom || filterTo){
-    filtered = transactions.filter(t=>{
-      const d = new Date(t.date);
-      if(filterFrom && d < new Date(filterFrom)) return false;
-      if(filterTo){
-        const toD = new Date(filterTo); toD.setHours(23,59,59,999);
-        if(d > toD) return false;
-      }
-      return true;
-    });
-  }
+  const filtered = filterTransactions(txnView);
+  const pages = Math.max(1, Math.ceil(filtered.length / TXN_PAGE_SIZE));
+  txnView.page = Math.min(Math.max(1, txnView.page), pages);
+  const pageRows = filtered.slice((txnView.page - 1) * TXN_PAGE_SIZE, txnView.page * TXN_PAGE_SIZE);
+  const isLocked = txnLockLookup();
 
-  filtered.slice().reverse().forEach(t=>{
-    const tr = document.createElement('tr');
+  tbody.innerHTML = pageRows.map(t=>{
+    const lines = txnLines(t);
+    const due = txnBalanceDue(t);
     const extra = [
-      t.invName ? `Item: ${t.invName} ×${t.invQty}` : '',
-      t.paymentMethod ? `Method: ${t.paymentMethod}` : '',
+      ...lines.map(l => `Item: ${escapeHtml(l.invName)} ×${escapeHtml(lineQtyLabel(l))}${Number(l.discount) ? ` (less ${formatCurrency(l.discount)})` : ''}`),
+      t.paymentMethod ? `Method: ${t.paymentMethod}${due > 0 ? ` · Unpaid ${formatCurrency(due)}` : ''}` : '',
       (t.customer && t.type==='revenue') ? `Customer: ${t.customer}` : '',
-      (t.supplier && t.type==='expense' && t.invId) ? `Supplier: ${t.supplier}` : ''
+      (t.supplier && t.type==='expense' && lines.length) ? `Supplier: ${escapeHtml(t.supplier)}` : '',
+      (t.type==='expense' && !lines.length && t.expenseAccount) ? `Account: ${accountName(t.expenseAccount)}` : '',
+      getCategory(t.categoryId) ? `Category: ${escapeHtml(getCategory(t.categoryId).name)}` : ''
     ].filter(Boolean).map(s=>`<div class="muted">${s}</div>`).join('');
 
-    tr.innerHTML = `
+    return `<tr>
       <td>${new Date(t.date).toLocaleString()}</td>
       <td>${t.description}${extra}</td>
       <td>${t.type}</td>
       <td>${formatCurrency(t.amount)}</td>
       <td>
+        ${isLocked(t) ? '<span class="muted" title="In a closed period">🔒 Closed</span>' : `
         <button class="edit-btn" data-id="${t.id}">Edit</button>
-        <button class="del-btn" data-id="${t.id}">Delete</button>
+        <button class="del-btn" data-id="${t.id}">Delete</button>`}
       </td>
-    `;
-    tbody.appendChild(tr);
+    </tr>`;
+  }).join('') || `<tr class="empty-state"><td colspan="5">${transactions.length ? 'No transactions match these filters.' : 'No transactions yet. Try adding your first sale!'}</td></tr>`;
+
+  qsa('#transactionsTable th[data-sort]').forEach(th=>{
+    th.classList.toggle('sorted-asc', th.dataset.sort === txnView.sort && txnView.dir === 'asc');
+    th.classList.toggle('sorted-desc', th.dataset.sort === txnView.sort && txnView.dir === 'desc');
   });
+  const pager = el('#txnPager');
+  if(pager){
+    const total = roundMoney(filtered.reduce((s,t)=> s + (t.type === 'revenue' ? 1 : -1) * Number(t.amount), 0));
+    el('#txnResultInfo').textContent = `${filtered.length} of ${transactions.length} transactions · net ${formatCurrency(total)}`;
+    el('#txnPageInfo').textContent = `Page ${txnView.page} of ${pages}`;
+    el('#txnPrevPage').disabled = txnView.page <= 1;
+    el('#txnNextPage').disabled = txnView.page >= pages;
+  }
+}
 
-  tbody.querySelectorAll('.del-btn').forEach(btn=>{
-    btn.addEventListener('click', e=>{
-      const id = e.target.dataset.id;
-      if(!confirm('Delete this transaction? This also reverts any linked inventory and removes related journal entries.')) return;
-      deleteTransaction(id);
-    });
+/* filter controls <-> txnView */
+const TXN_FILTER_FIELDS = { q: '#searchTransactions', from: '#fromDate', to: '#toDate', type: '#filterType', method: '#filterMethod',
+  itemId: '#filterItem', min: '#filterMin', max: '#filterMax', status: '#filterStatus' };
+
+function readTxnFilters(){
+  Object.entries(TXN_FILTER_FIELDS).forEach(([k, sel])=>{ if(el(sel)) txnView[k] = el(sel).value.trim(); });
+  txnView.page = 1;
+}
+
+function writeTxnFilters(f){
+  Object.entries(TXN_FILTER_FIELDS).forEach(([k, sel])=>{ if(el(sel)) el(sel).value = f[k] || ''; });
+}
+
+function fillTxnFilterItems(){
+  const sel = el('#filterItem');
+  if(!sel) return;
+  const cur = sel.value;
+  sel.innerHTML = '<option value="">Any item</option>' + inventory.map(i => `<option value="${i.id}">${escapeHtml(i.name)}</option>`).join('');
+  sel.value = inventory.some(i => i.id === cur) ? cur : '';
+}
+
+function txnFilterPresets(){
+  if(!Array.isArray(settings.txnFilterPresets)) settings.txnFilterPresets = [];
+  return settings.txnFilterPresets;
+}
+
+function renderTxnPresets(){
+  const sel = el('#txnPreset');
+  if(!sel) return;
+  sel.innerHTML = '<option value="">Saved filters…</option>' + txnFilterPresets().map((p, i) => `<option value="${i}">${escapeHtml(p.name)}</option>`).join('');
+}
+
+function saveTxnPreset(name){
+  name = String(name || '').trim();
+  if(!name) return { error:true, msg: 'Give the filter a name.' };
+  const filter = {};
+  Object.keys(TXN_FILTER_DEFAULTS).forEach(k => { filter[k] = txnView[k]; });
+  Object.assign(filter, { sort: txnView.sort, dir: txnView.dir });
+  const presets = txnFilterPresets();
+  const existing = presets.find(p => p.name.toLowerCase() === name.toLowerCase());
+  if(existing) existing.filter = filter; else presets.push({ name, filter });
+  saveAll();
+  return { ok:true };
+}
+
+function applyTxnPreset(index){
+  const p = txnFilterPresets()[index];
+  if(!p) return;
+  Object.assign(txnView, TXN_FILTER_DEFAULTS, p.filter, { page: 1 });
+  writeTxnFilters(txnView);
+  renderTransactions();
+}
+
+function exportFilteredTransactionsCsv(){
+  const rows = filterTransactions(txnView);
+  if(!rows.length){ alert('No transactions match these filters.'); return; }
+  let csv = ['Date','Description','Type','Amount','Payment Method','Customer / Supplier','Items','Category','Balance Due'].map(csvEscape).join(',') + '\n';
+  rows.forEach(t=>{
+    csv += [
+      toDateInputValue(new Date(t.date)), t.description, t.type, Number(t.amount).toFixed(2), t.paymentMethod || 'Cash',
+      t.type === 'revenue' ? t.customer : t.supplier,
+      txnLines(t).map(l => `${l.invName} x${lineQtyLabel(l)}`).join('; '),
+      getCategory(t.categoryId)?.name || '', txnBalanceDue(t).toFixed(2)
+    ].map(csvEscape).join(',') + '\n';
+  });
+  downloadCSV(`transactions_${toDateInputValue(new Date())}.csv`, csv);
+  showToast(`Exported ${rows.length} transactions`);
+}
+
+/** Revenue / expenses / net over the filtered list (not the ledger-based Reports statement) */
+function exportFilteredIncomeStatementCsv(){
+  const rows = filterTransactions(txnView);
+  if(!rows.length){ alert('No transactions in selected period.'); return; }
+  const revenue = roundMoney(rows.filter(t => t.type === 'revenue').reduce((s,t)=> s + Number(t.amount), 0));
+  const expenses = roundMoney(rows.filter(t => t.type === 'expense').reduce((s,t)=> s + Number(t.amount), 0));
+  const periodLabel = (txnView.from || txnView.to) ? `${txnView.from || 'start'} to ${txnView.to || toDateInputValue(new Date())}` : 'All time';
+  let csv = '';
+  csv += csvEscape('Income Statement') + '\n';
+  csv += csvEscape('Period:') + ',' + csvEscape(periodLabel) + '\n\n';
+  csv += csvEscape('Category') + ',' + csvEscape('Amount') + '\n';
+  csv += csvEscape('Revenue') + ',' + csvEscape(revenue.toFixed(2)) + '\n';
+  csv += csvEscape('Expenses') + ',' + csvEscape(expenses.toFixed(2)) + '\n';
+  csv += csvEscape('Net Income') + ',' + csvEscape(roundMoney(revenue - expenses).toFixed(2)) + '\n\n';
+  csv += csvEscape('Transactions') + '\n';
+  csv += ['Date','Description','Type','Amount'].map(csvEscape).join(',') + '\n';
+  rows.forEach(t=>{
+    csv += [toDateInputValue(new Date(t.date)), t.description, t.type, Number(t.amount).toFixed(2)].map(csvEscape).join(',') + '\n';
+  });
+  downloadCSV(`income_statement_${toDateInputValue(new Date())}.csv`, csv);
+  showToast('Income statement exported');
+}
+
+function initTransactionFilters(){
+  let searchTimer = null;
+  on('#searchTransactions', 'input', ()=>{
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(()=>{ readTxnFilters(); renderTransactions(); }, 200);
+  });
+  ['#filterType', '#filterMethod', '#filterItem', '#filterStatus'].forEach(sel => on(sel, 'change', ()=>{ readTxnFilters(); renderTransactions(); }));
+  on('#applyFilter', 'click', ()=>{ readTxnFilters(); renderTransactions(); });
+  on('#clearFilter', 'click', ()=>{
+    Object.assign(txnView, TXN_FILTER_DEFAULTS, { page: 1 });
+    writeTxnFilters(txnView);
+    if(el('#txnPreset')) el('#txnPreset').value = '';
+    renderTransactions();
   });
 
-  tbody.querySelectorAll('.edit-btn').forEach(btn=>{
-    btn.addEventListener('click', e=> startEditTransaction(e.target.dataset.id));
+  on('#transactionsTable', 'click', e=>{
+    const th = e.target.closest('th[data-sort]');
+    if(th){
+      txnView.dir = txnView.sort === th.dataset.sort && txnView.dir === 'desc' ? 'asc' : 'desc';
+      txnView.sort = th.dataset.sort;
+      renderTransactions();
+      return;
+    }
+    const btn = e.target.closest('button[data-id]');
+    if(!btn) return;
+    if(btn.classList.contains('del-btn')){
+      if(!confirm('Delete this transaction? This also reverts any linked inventory and removes related journal entries.')) return;
+      audited({ action: 'delete', entity: 'transaction' }, ()=> deleteTransaction(btn.dataset.id));
+    } else if(btn.classList.contains('edit-btn')){
+      startEditTransaction(btn.dataset.id);
+    }
+  });
+  on('#txnPrevPage', 'click', ()=>{ txnView.page--; renderTransactions(); });
+  on('#txnNextPage', 'click', ()=>{ txnView.page++; renderTransactions(); });
+
+  on('#txnPreset', 'change', e=>{ if(e.target.value !== '') applyTxnPreset(Number(e.target.value)); });
+  on('#saveTxnPreset', 'click', ()=>{
+    readTxnFilters();
+    const name = prompt('Name this filter:', '');
+    if(name === null) return;
+    const res = saveTxnPreset(name);
+    if(res.error){ alert(res.msg); return; }
+    renderTxnPresets();
+    showToast('Filter saved');
+  });
+  on('#deleteTxnPreset', 'click', ()=>{
+    const sel = el('#txnPreset');
+    if(!sel || sel.value === ''){ alert('Pick a saved filter to delete.'); return; }
+    const p = txnFilterPresets()[Number(sel.value)];
+    if(!confirm(`Delete the saved filter "${p.name}"?`)) return;
+    txnFilterPresets().splice(Number(sel.value), 1);
+    saveAll();
+    renderTxnPresets();
   });
+
+  on('#exportTransactionsCsv', 'click', exportFilteredTransactionsCsv);
+  on('#exportIncomeStmtCsv', 'click', exportFilteredIncomeStatementCsv);
+
+  fillTxnFilterItems();
+  renderTxnPresets();
 }
 
 /* =========================
-   INVENTORY HELPERS
+   UNITS OF MEASURE
+   Every item is stocked in its base unit (item.baseUnit, 'pc' by default): quantity,
+   per-location stock, cost layers, logs, reorder points and unitCost / unitPrice are
+   all per base unit. An item can add alternate units with a conversion factor
+   (item.units, e.g. { name: 'bag', factor: 1000 } on an item kept in g). A document
+   line remembers the unit it was entered in (line.unit, line.unitQty, price per that
+   unit) and stores line.qty in base units, so everything downstream only ever sees
+   base quantities. Base quantities are whole numbers unless item.allowDecimal.
    ========================= */
-function revertTransactionInventory(txn){
-  if(!txn || !txn.invId) return { ok: true };
-  const inv = inventory.find(i=>i.id === txn.invId);
-  if(!inv) return { error:true, msg: 'Inventory item no longer exists' };
-
-  const qty = Number(txn.invQty || 0);
-  if(txn.type === 'revenue'){ // sale deducted stock -> restore
-    inv.quantity = Number(inv.quantity) + qty;
-    addLog(inv.id, 'restore', +qty, `Restore from revert of sale tx ${txn.id}`);
-    saveAll();
-    return { ok:true };
-  } else if(txn.type === 'expense'){ // purchase added stock -> revert by subtracting
-    inv.quantity = Number(inv.quantity) - qty;
-    addLog(inv.id, 'restore', -qty, `Restore (remove) from revert of purchase tx ${txn.id}`);
-    saveAll();
-    return { ok:true };
-  }
-  return { ok:true };
+const DEFAULT_BASE_UNIT = 'pc';
+
+function baseUnit(item){ return (item && item.baseUnit) || DEFAULT_BASE_UNIT; }
+function itemUnits(item){ return item && Array.isArray(item.units) ? item.units : []; }
+function roundQty(q){ return Math.round(Number(q) * 1e6) / 1e6; }
+function formatQty(item, qty){ return `${roundQty(qty)} ${baseUnit(item)}`; }
+
+/** Base units in one `unit`; blank or the base unit is 1 */
+function unitFactor(item, unit){
+  if(!unit || unit === baseUnit(item)) return 1;
+  const u = itemUnits(item).find(x => x.name === unit);
+  return u ? Number(u.factor) : 1;
 }
 
-function applyTransactionInventory(txn){
-  if(!txn || !txn.invId) { txn.invCost = 0; return { ok:true }; }
-  const inv = inventory.find(i=>i.id === txn.invId);
-  if(!inv) return { error:true, msg: 'Inventory item not found' };
-  const qty = Number(txn.invQty || 0);
-  if(txn.type === 'revenue'){ // sale -> decrease & record COGS
-    if(inv.quantity < qty) return { error:true, msg: `Not enough stock for "${inv.name}". Available: ${inv.quantity}` };
-    inv.quantity = Number(inv.quantity) - qty;
-    txn.invCost = Number(inv.unitPrice || 0) * qty;
-    addLog(inv.id, 'sale', -qty, `Sale tx ${txn.id}`);
-  } else if(txn.type === 'expense'){ // purchase -> increase
-    inv.quantity = Number(inv.quantity) + qty;
-    txn.invCost = 0;
-    addLog(inv.id, 'purchase', +qty, `Purchase tx ${txn.id}`);
+function isItemUnit(item, unit){ return !unit || unit === baseUnit(item) || itemUnits(item).some(x => x.name === unit); }
+
+/** Whole base units only, unless the item allows decimals */
+function qtyAllowed(item, baseQty){ return !!(item && item.allowDecimal) || Number.isInteger(roundQty(baseQty)); }
+
+/** "bag=1000, case=24" -> { units: [{ name, factor }] } or { error, msg } */
+function parseUnitList(text, base){
+  const units = [];
+  for(const part of String(text || '').split(',').map(s => s.trim()).filter(Boolean)){
+    const m = /^(.+?)\s*=\s*([\d.]+)$/.exec(part);
+    const factor = m ? Number(m[2]) : NaN;
+    if(!m || !(factor > 0)) return { error:true, msg: `Write alternate units as name=factor, e.g. bag=1000 (got "${part}").` };
+    const name = m[1].trim();
+    if(name === base || units.some(u => u.name === name)) return { error:true, msg: `Unit "${name}" is listed twice.` };
+    units.push({ name, factor });
   }
-  saveAll();
-  return { ok:true };
+  return { ok:true, units };
 }
 
+function unitListText(item){ return itemUnits(item).map(u => `${u.name}=${u.factor}`).join(', '); }
+
+function unitOptions(item){
+  const base = escapeHtml(baseUnit(item));
+  return `<option value="">${base}</option>` +
+    itemUnits(item).map(u => `<option value="${escapeHtml(u.name)}">${escapeHtml(u.name)} (${u.factor} ${base})</option>`).join('');
+}
+
+/** " (2 bag)" for logs of lines entered in an alternate unit */
+function lineUnitNote(line){ return line.unit ? ` (${line.unitQty} ${line.unit})` : ''; }
+
+/** Alternate units of an item that saved documents were entered in (their factors must not change) */
+function unitsInUse(item){
+  const used = new Set();
+  const add = l => { if(l.invId === item.id && l.unit) used.add(l.unit); };
+  transactions.forEach(t => txnLines(t).forEach(add));
+  recurring.forEach(tpl => (tpl.txn.lines || []).forEach(add));
+  purchaseOrders.forEach(po => po.lines.forEach(add));
+  return used;
+}
+
+/** A line's quantity as entered: "2 bag" or "5" */
+function lineQtyLabel(line){ return line.unit ? `${line.unitQty} ${line.unit}` : `${line.qty}`; }
+
 /* =========================
-   JOURNALS: creation, updates, linking
+   INVENTORY COSTING (cost layers)
+   Every item keeps the layers its stock was bought in (item.costLayers). FIFO
+   sells the oldest layer first; moving average keeps one merged layer. Sales and
+   purchases record the layer moves they made (txn.layerMoves) so a revert on
+   edit/delete puts back exactly those units at those costs.
    ========================= */
-function createJournalFromTransaction(txn){
-  if(!txn || !txn.id) return;
+const QTY_EPSILON = 1e-9;
 
-  // remove duplicates first
-  removeJournalEntriesForTxn(txn.id);
+function costingMethod(){ return settings.costingMethod === 'average' ? 'average' : 'fifo'; }
 
-  if(txn.type === 'revenue'){
-    const entry = {
-      id: uid(),
-      txnId: txn.id,
-      date: txn.date,
-      description: txn.description,
-      amount: Number(txn.amount),
-      invId: txn.invId || null,
-      invQty: txn.invQty || null,
-      paymentMethod: txn.paymentMethod || 'Cash',
-      customer: txn.customer || '',
-      paidAmount: (txn.paymentMethod === 'Cash') ? Number(txn.amount) : 0,
-      paid: (txn.paymentMethod === 'Cash')
-    };
-    salesJournal.unshift(entry);
-    saveAll();
-    renderSalesJournal();
+function itemLayers(item){
+  if(!Array.isArray(item.costLayers)) item.costLayers = [];
+  return item.costLayers;
+}
 
-    // If cash sale, mirror into Receipts (for visibility)
-    if(entry.paid){
-      const receipt = {
-        id: uid(),
-        date: txn.date,
-        from: entry.customer || entry.description || 'Customer',
-        amount: Number(txn.amount),
-        saleId: entry.id,
-        note: 'Cash sale (paid in full)'
-      };
-      cashReceipts.unshift(receipt);
-      saveAll();
-      renderCashReceipts();
+function itemStockValue(item){
+  return roundMoney(itemLayers(item).reduce((s,l)=> s + Number(l.qty) * Number(l.unitCost), 0));
+}
+
+/** Average cost of the units on hand; the last purchase cost when there are none */
+function itemAverageCost(item){
+  const qty = itemLayers(item).reduce((s,l)=> s + Number(l.qty), 0);
+  return qty > QTY_EPSILON ? itemStockValue(item) / qty : Number(item.unitCost || 0);
+}
+
+function sortLayers(item){
+  item.costLayers = itemLayers(item)
+    .filter(l => Number(l.qty) > QTY_EPSILON)
+    .sort((a,b)=> new Date(a.date) - new Date(b.date));
+}
+
+/** Put units into stock at a cost. Returns the moves made. */
+function addToLayers(item, qty, unitCost, date, sourceId){
+  qty = Number(qty); unitCost = Number(unitCost || 0);
+  if(!(qty > 0)) return [];
+  const layers = itemLayers(item);
+  if(costingMethod() === 'average'){
+    let layer = layers[0];
+    if(!layer){ layer = { id: uid(), date: date || nowISO(), qty: 0, unitCost, sourceId: 'average' }; layers.push(layer); }
+    const value = layer.qty * layer.unitCost + qty * unitCost;
+    layer.qty += qty;
+    layer.unitCost = value / layer.qty;
+    return [{ layerId: layer.id, qty, unitCost, date: layer.date }];
+  }
+  const layer = { id: uid(), date: date || nowISO(), qty, unitCost, sourceId: sourceId || null };
+  layers.push(layer);
+  sortLayers(item);
+  return [{ layerId: layer.id, qty, unitCost, date: layer.date }];
+}
+
+/** Take units out of stock (oldest layer first). Units beyond the layers are
+  * costed at the item's last purchase cost. Returns { moves, cost }. */
+function consumeLayers(item, qty){
+  const moves = [];
+  let left = Number(qty);
+  itemLayers(item).forEach(layer=>{
+    if(left <= QTY_EPSILON) return;
+    const take = Math.min(Number(layer.qty), left);
+    if(take <= 0) return;
+    layer.qty = Number(layer.qty) - take;
+    left -= take;
+    moves.push({ layerId: layer.id, qty: take, unitCost: layer.unitCost, date: layer.date });
+  });
+  if(left > QTY_EPSILON) moves.push({ layerId: null, qty: left, unitCost: Number(item.unitCost || 0), date: nowISO() });
+  sortLayers(item);
+  return { moves, cost: roundMoney(moves.reduce((s,m)=> s + m.qty * m.unitCost, 0)) };
+}
+
+/** Undo a consumption: units go back into the layers they came from */
+function restoreLayers(item, moves){
+  (moves || []).forEach(m=>{
+    if(costingMethod() === 'average'){ addToLayers(item, m.qty, m.unitCost, m.date); return; }
+    const layers = itemLayers(item);
+    const layer = m.layerId && layers.find(l => l.id === m.layerId);
+    if(layer) layer.qty = Number(layer.qty) + Number(m.qty);
+    else layers.push({ id: m.layerId || uid(), date: m.date || nowISO(), qty: Number(m.qty), unitCost: Number(m.unitCost), sourceId: 'restore' });
+  });
+  sortLayers(item);
+}
+
+/** Undo an addition: take the units back out of the layer they created. If some of
+  * them were sold already, the rest comes out of the remaining layers. */
+function removeAddedLayers(item, moves){
+  let cost = 0;
+  (moves || []).forEach(m=>{
+    const qty = Number(m.qty);
+    const layers = itemLayers(item);
+    if(costingMethod() === 'average'){
+      const layer = layers[0];
+      if(!layer) return;
+      const value = Math.max(0, layer.qty * layer.unitCost - qty * m.unitCost);
+      layer.qty -= qty;
+      if(layer.qty > QTY_EPSILON) layer.unitCost = value / layer.qty;
+      cost += qty * m.unitCost;
+      return;
+    }
+    const layer = m.layerId && layers.find(l => l.id === m.layerId);
+    const fromLayer = layer ? Math.min(Number(layer.qty), qty) : 0;
+    if(layer) layer.qty = Number(layer.qty) - fromLayer;
+    cost += fromLayer * Number(m.unitCost);
+    if(qty - fromLayer > QTY_EPSILON) cost += consumeLayers(item, qty - fromLayer).cost;
+  });
+  sortLayers(item);
+  return roundMoney(cost);
+}
+
+/** Switching to moving average merges each item's layers; switching back to FIFO
+  * starts from that merged layer. */
+function setCostingMethod(method){
+  settings.costingMethod = method === 'average' ? 'average' : 'fifo';
+  if(settings.costingMethod === 'average'){
+    inventory.forEach(item=>{
+      const layers = itemLayers(item);
+      if(layers.length <= 1) return;
+      const qty = layers.reduce((s,l)=> s + Number(l.qty), 0);
+      const value = layers.reduce((s,l)=> s + Number(l.qty) * Number(l.unitCost), 0);
+      item.costLayers = [{ id: uid(), date: layers[0].date, qty, unitCost: value / qty, sourceId: 'average' }];
+    });
+  }
+  saveAll();
+}
+
+/* =========================
+   INVENTORY HELPERS
+   ========================= */
+/** Look up the item of every line; a document is applied or reverted whole or not at all */
+function resolveLineItems(lines){
+  const found = [];
+  for(const line of lines){
+    const inv = inventory.find(i=>i.id === line.invId);
+    if(!inv) return { error:true, msg: `Inventory item not found${line.invName ? `: ${line.invName}` : ''}` };
+    found.push(inv);
+  }
+  return { ok:true, items: found };
+}
+
+/** Total quantity per item across a document's lines */
+function lineQtyByItem(lines){
+  const totals = new Map();
+  lines.forEach(l => totals.set(l.invId, (totals.get(l.invId) || 0) + Number(l.qty || 0)));
+  return totals;
+}
+
+function revertTransactionInventory(txn){
+  if(txn && txn.poId) return { ok:true }; // PO bills never moved stock (receiving did)
+  const lines = txn ? txnLines(txn) : [];
+  if(!lines.length) return { ok: true };
+  const res = resolveLineItems(lines);
+  if(res.error) return res;
+  const loc = docLocation(txn);
+
+  // last line first, so lines on the same item unwind in the opposite order they were applied
+  lines.slice().reverse().forEach((line, i)=>{
+    const inv = res.items[lines.length - 1 - i];
+    const qty = Number(line.qty || 0);
+    if(txn.type === 'revenue'){ // sale deducted stock -> restore (sales saved before cost layers come back at their recorded cost)
+      adjustStock(inv, loc, +qty);
+      restoreLayers(inv, line.layerMoves || [{ layerId: null, qty, unitCost: qty ? Number(line.invCost || 0) / qty : 0, date: txn.date }]);
+      addLog(inv.id, 'restore', +qty, `Restore from revert of sale tx ${txn.id}${lineUnitNote(line)}`, txn.date, loc);
+    } else if(txn.type === 'expense'){ // purchase added stock -> revert by subtracting
+      adjustStock(inv, loc, -qty);
+      removeAddedLayers(inv, line.layerMoves || [{ layerId: null, qty, unitCost: qty ? Number(line.amount) / qty : 0 }]);
+      // put back the cost this purchase replaced, unless a later purchase has set its own since
+      if(line.prevUnitCost !== undefined && inv.unitCost === (qty ? Number(line.amount) / qty : 0)) inv.unitCost = line.prevUnitCost;
+      addLog(inv.id, 'restore', -qty, `Restore (remove) from revert of purchase tx ${txn.id}${lineUnitNote(line)}`, txn.date, loc);
+    }
+  });
+  saveAll();
+  return { ok:true };
+}
+
+function applyTransactionInventory(txn){
+  const lines = txn ? txnLines(txn) : [];
+  if(!lines.length || txn.poId) { if(txn) txn.invCost = 0; return { ok:true }; }
+  const res = resolveLineItems(lines);
+  if(res.error) return res;
+  const loc = docLocation(txn);
+  if(txn.type === 'revenue'){
+    for(const [invId, qty] of lineQtyByItem(lines)){
+      const inv = inventory.find(i=>i.id === invId);
+      const available = locationQty(inv, loc);
+      if(available < qty) return { error:true, msg: `Not enough stock for "${inv.name}" at ${locationName(loc)}. Available: ${available}` };
+    }
+  }
+
+  lines.forEach((line, i)=>{
+    const inv = res.items[i];
+    const qty = Number(line.qty || 0);
+    if(txn.type === 'revenue'){ // sale -> decrease & record COGS from the cost layers
+      adjustStock(inv, loc, -qty);
+      const { moves, cost } = consumeLayers(inv, qty);
+      line.invCost = cost;
+      line.layerMoves = moves;
+      addLog(inv.id, 'sale', -qty, `Sale tx ${txn.id}${lineUnitNote(line)}`, txn.date, loc);
+    } else if(txn.type === 'expense'){ // purchase -> increase, new layer at the price paid
+      adjustStock(inv, loc, +qty);
+      const unitCost = qty ? Number(line.amount) / qty : 0;
+      line.layerMoves = addToLayers(inv, qty, unitCost, txn.date, txn.id);
+      line.invCost = 0;
+      line.prevUnitCost = inv.unitCost;
+      inv.unitCost = unitCost;
+      addLog(inv.id, 'purchase', +qty, `Purchase tx ${txn.id}${lineUnitNote(line)}`, txn.date, loc);
+    }
+  });
+  txn.invCost = roundMoney(lines.reduce((s,l)=> s + Number(l.invCost || 0), 0));
+  saveAll();
+  return { ok:true };
+}
+
+/* =========================
+   JOURNALS: creation, updates, linking
+   ========================= */
+function createJournalFromTransaction(txn){
+  if(!txn || !txn.id) return;
+
+  // remove duplicates first
+  removeJournalEntriesForTxn(txn.id);
+
+  if(txn.type === 'revenue'){
+    const entry = {
+      id: uid(),
+      txnId: txn.id,
+      date: txn.date,
+      description: txn.description,
+      amount: Number(txn.amount),
+      items: journalItems(txn),
+      paymentMethod: txn.paymentMethod || 'Cash',
+      customer: txn.customer || '',
+      customerId: txn.customerId || null,
+      terms: txn.terms || null,
+      dueDate: txn.dueDate || null,
+      paidAmount: (txn.paymentMethod === 'Cash') ? Number(txn.amount) : 0,
+      paid: (txn.paymentMethod === 'Cash')
+    };
+    salesJournal.unshift(entry);
+    saveAll();
+    renderSalesJournal();
+
+    // If cash sale, mirror into Receipts (for visibility)
+    if(entry.paid){
+      const receipt = {
+        id: uid(),
+        date: txn.date,
+        from: entry.customer || entry.description || 'Customer',
+        amount: Number(txn.amount),
+        saleId: entry.id,
+        note: 'Cash sale (paid in full)'
+      };
+      cashReceipts.unshift(receipt);
+      saveAll();
+      renderCashReceipts();
     }
 
   } else if(txn.type === 'expense'){
-    if(txn.invId){
+    if(txnLines(txn).length){
       // Inventory Purchase -> Purchases Journal
       const entry = {
         id: uid(),
@@ -309,10 +1529,12 @@ function createJournalFromTransaction(txn){
         date: txn.date,
         description: txn.description,
         amount: Number(txn.amount),
-        invId: txn.invId,
-        invQty: txn.invQty,
+        items: journalItems(txn),
         paymentMethod: txn.paymentMethod || 'Cash',
         supplier: txn.supplier || '',
+        supplierId: txn.supplierId || null,
+        terms: txn.terms || null,
+        dueDate: txn.dueDate || null,
         paidAmount: (txn.paymentMethod === 'Cash') ? Number(txn.amount) : 0,
         paid: (txn.paymentMethod === 'Cash')
       };
@@ -350,9 +1572,24 @@ function createJournalFromTransaction(txn){
     }
   }
 
+  syncLedgerForTxn(txn.id);
   renderGeneralJournal();
 }
 
+/** What a Sales/Purchases Journal row keeps of the document lines */
+function journalItems(txn){
+  return txnLines(txn).map(l => ({ invId: l.invId, qty: Number(l.qty) }));
+}
+
+/** Item names / quantities of a journal row, one per line */
+function journalItemCells(j){
+  const items = j.items || [];
+  return {
+    names: items.map(it => escapeHtml(inventory.find(i=>i.id===it.invId)?.name || it.invId)).join('<br>'),
+    qtys: items.map(it => it.qty).join('<br>')
+  };
+}
+
 // Remove linked journal entries for a txn id (cleanup on delete/edit)
 function removeJournalEntriesForTxn(txnId){
   let changed = false;
@@ -383,13 +1620,17 @@ function updateJournalFromTxn(txn){
   // Purchases
   purchasesJournal.forEach(j=>{
     if(j.txnId === txn.id){
+      // payments recorded with the document (cash mirror) move with its date
+      linkedPayments('supplier', j).filter(d => d.date === j.date).forEach(d=>{ d.date = txn.date; });
       j.date = txn.date;
       j.description = txn.description;
       j.amount = Number(txn.amount);
-      j.invQty = txn.invQty || null;
-      j.invId = txn.invId || null;
+      j.items = journalItems(txn);
       j.paymentMethod = txn.paymentMethod || j.paymentMethod || 'Cash';
       j.supplier = txn.supplier || j.supplier || '';
+      j.supplierId = txn.supplierId || null;
+      j.terms = txn.terms || null;
+      j.dueDate = txn.dueDate || null;
 
       // Recompute paid flag if amount changed
       j.paidAmount = Number(j.paidAmount || 0);
@@ -420,13 +1661,16 @@ function updateJournalFromTxn(txn){
   // Sales
   salesJournal.forEach(j=>{
     if(j.txnId === txn.id){
+      linkedPayments('customer', j).filter(r => r.date === j.date).forEach(r=>{ r.date = txn.date; });
       j.date = txn.date;
       j.description = txn.description;
       j.amount = Number(txn.amount);
-      j.invQty = txn.invQty || null;
-      j.invId = txn.invId || null;
+      j.items = journalItems(txn);
       j.paymentMethod = txn.paymentMethod || j.paymentMethod || 'Cash';
       j.customer = txn.customer || j.customer || '';
+      j.customerId = txn.customerId || null;
+      j.terms = txn.terms || null;
+      j.dueDate = txn.dueDate || null;
 
       // Recompute paid if amount changed
       j.paidAmount = Number(j.paidAmount || 0);
@@ -453,16 +1697,17 @@ function updateJournalFromTxn(txn){
     }
   });
 
-  // Disbursements (regular expense)
+  // Disbursements (regular expense); a purchase's payments were settled above and keep their amounts
+  const isPurchase = purchasesJournal.some(j => j.txnId === txn.id);
   cashDisbursements.forEach(d=>{
-    if(d.txnId === txn.id){
+    if(d.txnId === txn.id && !isPurchase){
       d.date = txn.date;
       d.description = txn.description;
       d.amount = Number(txn.amount);
     }
   });
 
-  saveAll();
+  syncLedgerForTxn(txn.id); // re-posts Dr/Cr lines and saves
   renderPurchasesJournal();
   renderSalesJournal();
   renderCashDisbursements();
@@ -470,6 +1715,243 @@ function updateJournalFromTxn(txn){
   renderGeneralJournal();
 }
 
+/* =========================
+   CHART OF ACCOUNTS + LEDGER (double-entry)
+   Every flow posts balanced Dr/Cr entries into `ledger`.
+   Entries belonging to a transaction are rebuilt from the transaction and its
+   journals (sales/purchases, receipts, disbursements) whenever any of them change.
+   ========================= */
+const ACCT = {
+  CASH: '1000',
+  AR: '1100',
+  INVENTORY: '1200',
+  AP: '2000',
+  GRNI: '2100',
+  EQUITY: '3000',
+  SALES: '4000',
+  SALES_RETURNS: '4100',
+  COGS: '5000',
+  INV_ADJ: '5100',
+  OPEX: '6000'
+};
+
+// system: posted by the app only, not offered on the transaction form
+const CHART_OF_ACCOUNTS = [
+  { code: '1000', name: 'Cash', type: 'asset' },
+  { code: '1100', name: 'Accounts Receivable', type: 'asset' },
+  { code: '1200', name: 'Inventory', type: 'asset' },
+  { code: '2000', name: 'Accounts Payable', type: 'liability' },
+  { code: '2100', name: 'Goods Received Not Invoiced', type: 'liability', system: true },
+  { code: '3000', name: "Owner's Equity", type: 'equity' },
+  { code: '4000', name: 'Sales', type: 'revenue' },
+  { code: '4100', name: 'Sales Returns & Allowances', type: 'revenue', system: true },
+  { code: '5000', name: 'Cost of Goods Sold', type: 'expense', system: true },
+  { code: '5100', name: 'Inventory Shrinkage & Adjustments', type: 'expense', system: true },
+  { code: '6000', name: 'General Expenses', type: 'expense' },
+  { code: '6100', name: 'Rent', type: 'expense' },
+  { code: '6200', name: 'Utilities', type: 'expense' },
+  { code: '6300', name: 'Salaries & Wages', type: 'expense' },
+  { code: '6400', name: 'Supplies', type: 'expense' }
+];
+
+function getAccount(code){ return CHART_OF_ACCOUNTS.find(a => a.code === code) || null; }
+function accountName(code){ const a = getAccount(code); return a ? a.name : code; }
+function getExpenseAccounts(){ return CHART_OF_ACCOUNTS.filter(a => a.type === 'expense' && !a.system); }
+function roundMoney(n){ return Math.round(Number(n || 0) * 100) / 100; }
+
+function validateLedgerEntry(entry){
+  if(!entry || !Array.isArray(entry.lines) || entry.lines.length < 2){
+    return { error:true, msg: 'An entry needs at least one debit and one credit line' };
+  }
+  let dr = 0, cr = 0;
+  for(const l of entry.lines){
+    if(!getAccount(l.account)) return { error:true, msg: `Unknown account ${l.account}` };
+    const d = Number(l.debit || 0), c = Number(l.credit || 0);
+    if(isNaN(d) || isNaN(c) || d < 0 || c < 0) return { error:true, msg: 'Line amounts must be positive numbers' };
+    if(d > 0 && c > 0) return { error:true, msg: 'A line cannot carry both a debit and a credit' };
+    dr += d; cr += c;
+  }
+  if(roundMoney(dr) !== roundMoney(cr)){
+    return { error:true, msg: `Entry does not balance (Dr ${formatCurrency(dr)} / Cr ${formatCurrency(cr)})` };
+  }
+  if(roundMoney(dr) === 0) return { error:true, msg: 'Entry has no amount' };
+  return { ok:true };
+}
+
+/** An entry as it would be stored: amounts rounded, zero lines dropped */
+function cleanLedgerEntry(entry){
+  return Object.assign({ id: uid(), postedAt: nowISO() }, entry, {
+    lines: (entry.lines || [])
+      .map(l => ({ account: l.account, debit: roundMoney(l.debit), credit: roundMoney(l.credit) }))
+      .filter(l => l.debit || l.credit)
+  });
+}
+
+/** Validate + store one entry. Zero lines are dropped; the caller persists with saveAll(). */
+function postLedgerEntry(entry){
+  const clean = cleanLedgerEntry(entry);
+  const res = validateLedgerEntry(clean);
+  if(res.error) return res;
+  ledger = ledger.filter(e => e.id !== clean.id);
+  ledger.push(clean);
+  return { ok:true, entry: clean };
+}
+
+/** Derive the entries for a base transaction and the payments linked to it */
+function buildTxnLedgerEntries(txn){
+  const entries = [];
+  const amount = Number(txn.amount || 0);
+
+  if(txn.type === 'revenue'){
+    const cost = getTxnInventoryCost(txn);
+    entries.push({
+      id: `sale:${txn.id}`, date: txn.date, txnId: txn.id, source: 'sale', refId: txn.id,
+      description: `Sale — ${txn.description}`,
+      lines: [
+        { account: ACCT.AR, debit: amount },
+        { account: ACCT.SALES, credit: amount },
+        { account: ACCT.COGS, debit: cost },
+        { account: ACCT.INVENTORY, credit: cost }
+      ]
+    });
+    // every receipt (including the cash-sale mirror) settles the receivable
+    const sale = salesJournal.find(s => s.txnId === txn.id);
+    if(sale){
+      cashReceipts.filter(r => r.saleId === sale.id).forEach(r=>{
+        entries.push({
+          id: `receipt:${r.id}`, date: r.date, txnId: txn.id, source: 'receipt', refId: r.id,
+          description: `Receipt — ${r.from || 'Customer'}`,
+          lines: [
+            { account: ACCT.CASH, debit: r.amount },
+            { account: ACCT.AR, credit: r.amount }
+          ]
+        });
+        // a voided receipt keeps its entry; the reversal puts the receivable back
+        if(r.voidedAt){
+          entries.push({
+            id: `receipt-void:${r.id}`, date: r.voidedAt, txnId: txn.id, source: 'receipt-void', refId: r.id,
+            description: `Void receipt — ${r.from || 'Customer'}${r.voidReason ? ` (${r.voidReason})` : ''}`,
+            lines: [
+              { account: ACCT.AR, debit: r.amount },
+              { account: ACCT.CASH, credit: r.amount }
+            ]
+          });
+        }
+      });
+    }
+  } else if(txn.type === 'expense' && txnLines(txn).length){
+    entries.push({
+      id: `purchase:${txn.id}`, date: txn.date, txnId: txn.id, source: 'purchase', refId: txn.id,
+      description: `Purchase — ${txn.description}`,
+      lines: [
+        // a PO bill clears goods already received into stock
+        { account: txn.poId ? ACCT.GRNI : ACCT.INVENTORY, debit: amount },
+        { account: ACCT.AP, credit: amount }
+      ]
+    });
+    cashDisbursements.filter(d => d.txnId === txn.id).forEach(d=>{
+      entries.push({
+        id: `disbursement:${d.id}`, date: d.date, txnId: txn.id, source: 'disbursement', refId: d.id,
+        description: `Payment — ${d.description || 'Supplier'}`,
+        lines: [
+          { account: ACCT.AP, debit: d.amount },
+          { account: ACCT.CASH, credit: d.amount }
+        ]
+      });
+      if(d.voidedAt){
+        entries.push({
+          id: `disbursement-void:${d.id}`, date: d.voidedAt, txnId: txn.id, source: 'disbursement-void', refId: d.id,
+          description: `Void payment — ${d.description || 'Supplier'}${d.voidReason ? ` (${d.voidReason})` : ''}`,
+          lines: [
+            { account: ACCT.CASH, debit: d.amount },
+            { account: ACCT.AP, credit: d.amount }
+          ]
+        });
+      }
+    });
+  } else if(txn.type === 'expense'){
+    const account = getAccount(txn.expenseAccount) ? txn.expenseAccount : ACCT.OPEX;
+    entries.push({
+      id: `expense:${txn.id}`, date: txn.date, txnId: txn.id, source: 'expense', refId: txn.id,
+      description: `Expense — ${txn.description}`,
+      lines: [
+        { account, debit: amount },
+        { account: ACCT.CASH, credit: amount }
+      ]
+    });
+  }
+  return entries.concat(returnLedgerEntries(txn));
+}
+
+/** Re-post all entries of a transaction (after add/edit/payment). Unbalanced entries are rejected. */
+function syncLedgerForTxn(txnId){
+  if(!txnId) return { ok:true };
+  ledger = ledger.filter(e => e.txnId !== txnId);
+  const txn = transactions.find(t => t.id === txnId);
+  const errors = [];
+  if(txn){
+    buildTxnLedgerEntries(txn).forEach(entry=>{
+      const res = postLedgerEntry(entry);
+      if(res.error) errors.push(`${entry.description}: ${res.msg}`);
+    });
+  }
+  saveAll();
+  if(errors.length){
+    alert('Journal entries rejected (not balanced):\n' + errors.join('\n'));
+    return { error:true, msg: errors.join('; ') };
+  }
+  return { ok:true };
+}
+
+function removeLedgerEntriesForTxn(txnId){
+  ledger = ledger.filter(e => e.txnId !== txnId);
+}
+
+/** Post a stock movement that has no transaction behind it (opening stock, manual adjustments) */
+function postInventoryAdjustment(item, logEntry, value, opening){
+  if(!item || !logEntry) return { ok:true };
+  const qty = Number(logEntry.qtyChange || 0);
+  value = roundMoney(value);
+  if(!value) return { ok:true };
+  const offset = opening ? ACCT.EQUITY : ACCT.INV_ADJ;
+  const lines = qty > 0
+    ? [{ account: ACCT.INVENTORY, debit: value }, { account: offset, credit: value }]
+    : [{ account: offset, debit: value }, { account: ACCT.INVENTORY, credit: value }];
+  const res = postLedgerEntry({
+    id: `stock:${logEntry.id}`, date: logEntry.timestamp, txnId: null, source: 'stock', refId: logEntry.id,
+    description: `${logEntry.note || 'Stock adjustment'} — ${item.name}`,
+    lines
+  });
+  if(res.error) alert('Journal entry rejected: ' + res.msg);
+  return res;
+}
+
+/** Derive the whole ledger from stored books (migration 2). The caller persists. */
+function rebuildLedger(){
+  ledger = [];
+  const errors = [];
+  transactions.forEach(t=>{
+    buildTxnLedgerEntries(t).forEach(entry=>{
+      const res = postLedgerEntry(entry);
+      if(res.error) errors.push(`${entry.description}: ${res.msg}`);
+    });
+  });
+  logs.filter(l => l.action === 'manual').slice().reverse().forEach(l=>{
+    const item = inventory.find(i => i.id === l.itemId);
+    if(item) postInventoryAdjustment(item, l, Math.abs(l.qtyChange) * Number(item.unitCost ?? item.unitPrice ?? 0), /initial stock/i.test(l.note || ''));
+  });
+  purchaseOrders.forEach(po => (po.receipts || []).forEach(r => postLedgerEntry(poReceiptLedgerEntry(po, r))));
+  stockCounts.forEach(c => c.lines.filter(l => l.logId).forEach(l=>{
+    const item = inventory.find(i => i.id === l.invId);
+    const log = logs.find(x => x.id === l.logId);
+    if(item && log) postInventoryAdjustment(item, log, Math.abs(l.value || 0));
+  }));
+  if(errors.length){
+    alert(`${errors.length} entr${errors.length === 1 ? 'y' : 'ies'} could not be posted to the new ledger and ${errors.length === 1 ? 'was' : 'were'} skipped:\n` +
+      errors.slice(0, 10).join('\n') + (errors.length > 10 ? '\n…' : ''));
+  }
+}
+
 /* =========================
    RENDER JOURNAL VIEWS
    ========================= */
@@ -478,22 +1960,27 @@ function renderPurchasesJournal(){
   if(!tb) return;
   tb.innerHTML = '';
   purchasesJournal.forEach(p=>{
-    const itemName = inventory.find(i=>i.id===p.invId)?.name || p.description || '';
-    const remaining = Math.max(0, Number(p.amount) - Number(p.paidAmount || 0));
-    const paidStr = `${formatCurrency(p.paidAmount || 0)} / ${formatCurrency(p.amount)}${remaining>0 ? ` (Rem: ${formatCurrency(remaining)})` : ''}`;
+    const cells = journalItemCells(p);
+    const remaining = journalOpen(p);
+    const returned = journalReturned(p);
+    const due = dueDateCell('supplier', p, remaining);
+    const paidStr = `${formatCurrency(p.paidAmount || 0)} / ${formatCurrency(p.amount)}${returned>0 ? ` (Returned: ${formatCurrency(returned)})` : ''}${remaining>0 ? ` (Rem: ${formatCurrency(remaining)})` : ''}`;
 
     // NOTE: Per request, we moved Edit/Delete to Inventory Tab per-item log — so actions here are only payments.
     const actions = `
       ${p.paymentMethod === 'Credit' && remaining > 0 ? `
         <button class="pay-supplier-btn" data-id="${p.id}">Pay</button>
         <button class="partial-btn pay-supplier-partial" data-id="${p.id}">Partial</button>` : ''}
+      ${canReturn(p) ? `<button class="ghost return-btn" data-id="${p.id}">Return</button>` : ''}
     `;
     const tr = document.createElement('tr');
+    if(due.overdue) tr.className = 'overdue';
     tr.innerHTML = `<td>${new Date(p.date).toLocaleString()}</td>
-                    <td>${itemName}</td>
-                    <td>${p.invQty ?? ''}</td>
+                    <td>${cells.names || p.description || ''}</td>
+                    <td>${cells.qtys}</td>
                     <td>${formatCurrency(p.amount)}</td>
                     <td>${p.paymentMethod || ''}</td>
+                    <td>${due.html}</td>
                     <td>${p.supplier || ''}</td>
                     <td>${paidStr}</td>
                     <td>${p.txnId || ''}</td>
@@ -503,7 +1990,7 @@ function renderPurchasesJournal(){
 
   // pay supplier full
   tb.querySelectorAll('.pay-supplier-btn').forEach(b=>{
-    b.addEventListener('click', e=> paySupplier(e.target.dataset.id, null));
+    b.addEventListener('click', e=> audited({ action: 'payment', entity: 'disbursement' }, ()=> paySupplier(e.target.dataset.id, null)));
   });
   // partial pay supplier
   tb.querySelectorAll('.pay-supplier-partial').forEach(b=>{
@@ -511,14 +1998,17 @@ function renderPurchasesJournal(){
       const id = e.target.dataset.id;
       const p = purchasesJournal.find(x=>x.id===id);
       if(!p) return;
-      const rem = Math.max(0, Number(p.amount) - Number(p.paidAmount||0));
+      const rem = journalOpen(p);
       let amt = prompt(`Enter partial payment amount (Remaining: ${formatCurrency(rem)})`, rem>0? (rem/2).toFixed(2): '0.00');
       if(amt===null) return;
       amt = parseFloat(amt);
       if(isNaN(amt) || amt<=0){ alert('Invalid amount'); return; }
-      paySupplier(id, amt);
+      audited({ action: 'payment', entity: 'disbursement' }, ()=> paySupplier(id, amt));
     });
   });
+  tb.querySelectorAll('.return-btn').forEach(b=>{
+    b.addEventListener('click', e=> promptReturn('purchase', e.target.dataset.id));
+  });
 }
 
 function renderSalesJournal(){
@@ -526,22 +2016,28 @@ function renderSalesJournal(){
   if(!tb) return;
   tb.innerHTML = '';
   salesJournal.forEach(s=>{
-    const remaining = Math.max(0, Number(s.amount) - Number(s.paidAmount || 0));
-    const paidStr = `${formatCurrency(s.paidAmount || 0)} / ${formatCurrency(s.amount)}${remaining>0 ? ` (Rem: ${formatCurrency(remaining)})` : ''}`;
+    const remaining = journalOpen(s);
+    const returned = journalReturned(s);
+    const paidStr = `${formatCurrency(s.paidAmount || 0)} / ${formatCurrency(s.amount)}${returned>0 ? ` (Returned: ${formatCurrency(returned)})` : ''}${remaining>0 ? ` (Rem: ${formatCurrency(remaining)})` : ''}`;
     const actions = `
       ${(s.paymentMethod==='Credit' && remaining>0) ? `
         <button class="mark-paid-btn" data-id="${s.id}">Pay in Full</button>
         <button class="partial-btn mark-partial-btn" data-id="${s.id}">Partial</button>` : ''}
+      ${canReturn(s) ? `<button class="ghost return-btn" data-id="${s.id}">Return</button>` : ''}
     `;
+    const cells = journalItemCells(s);
+    const due = dueDateCell('customer', s, remaining);
     const tr = document.createElement('tr');
     tr.dataset.saleId = s.id;
+    if(due.overdue) tr.className = 'overdue';
     tr.innerHTML = `<td>${new Date(s.date).toLocaleString()}</td>
                     <td>${s.description}</td>
                     <td>${s.customer || ''}</td>
-                    <td>${inventory.find(i=>i.id===s.invId)?.name || (s.invId ? s.invId : '')}</td>
-                    <td>${s.invQty ?? ''}</td>
+                    <td>${cells.names}</td>
+                    <td>${cells.qtys}</td>
                     <td>${formatCurrency(s.amount)}</td>
                     <td>${s.paymentMethod || 'Cash'}</td>
+                    <td>${due.html}</td>
                     <td>${paidStr}</td>
                     <td>${actions}</td>`;
     tb.appendChild(tr);
@@ -549,7 +2045,7 @@ function renderSalesJournal(){
 
   // Pay in full
   tb.querySelectorAll('.mark-paid-btn').forEach(b=>{
-    b.addEventListener('click', e=> markSalePaid(e.target.dataset.id, null));
+    b.addEventListener('click', e=> audited({ action: 'payment', entity: 'receipt' }, ()=> markSalePaid(e.target.dataset.id, null)));
   });
   // Partial
   tb.querySelectorAll('.mark-partial-btn').forEach(b=>{
@@ -557,14 +2053,17 @@ function renderSalesJournal(){
       const id = e.target.dataset.id;
       const sale = salesJournal.find(x=>x.id===id);
       if(!sale) return;
-      const rem = Math.max(0, Number(sale.amount) - Number(sale.paidAmount||0));
+      const rem = journalOpen(sale);
       let amt = prompt(`Enter partial payment amount (Remaining: ${formatCurrency(rem)})`, rem>0? (rem/2).toFixed(2) : '0.00');
       if(amt===null) return;
       amt = parseFloat(amt);
       if(isNaN(amt) || amt<=0){ alert('Invalid amount'); return; }
-      markSalePaid(id, amt);
+      audited({ action: 'payment', entity: 'receipt' }, ()=> markSalePaid(id, amt));
     });
   });
+  tb.querySelectorAll('.return-btn').forEach(b=>{
+    b.addEventListener('click', e=> promptReturn('sale', e.target.dataset.id));
+  });
 }
 
 function renderCashReceipts(){
@@ -573,13 +2072,19 @@ function renderCashReceipts(){
   tb.innerHTML = '';
   cashReceipts.forEach(r=>{
     const tr = document.createElement('tr');
+    if(r.voidedAt) tr.className = 'voided';
     tr.innerHTML = `<td>${new Date(r.date).toLocaleString()}</td>
                     <td>${r.from || r.description || ''}</td>
                     <td>${formatCurrency(r.amount)}</td>
                     <td>${r.saleId || ''}</td>
-                    <td>${r.note || ''}</td>`;
+                    <td>${escapeHtml(r.note || '')}${voidNote(r)}</td>
+                    <td>${canVoidPayment('customer', r) ? `<button class="void-payment-btn" data-id="${r.id}">Void</button>` : ''}</td>`;
     tb.appendChild(tr);
   });
+
+  tb.querySelectorAll('.void-payment-btn').forEach(b=>{
+    b.addEventListener('click', e=> audited({ action: 'void', entity: 'receipt' }, ()=> voidPayment('customer', e.target.dataset.id)));
+  });
 }
 
 function renderCashDisbursements(){
@@ -588,69 +2093,350 @@ function renderCashDisbursements(){
   tb.innerHTML = '';
   cashDisbursements.forEach(d=>{
     const tr = document.createElement('tr');
+    if(d.voidedAt) tr.className = 'voided';
     tr.innerHTML = `<td>${new Date(d.date).toLocaleString()}</td>
                     <td>${d.description || ''}</td>
                     <td>${formatCurrency(d.amount)}</td>
                     <td>${d.txnId || ''}</td>
-                    <td>${d.note || ''}</td>`;
+                    <td>${escapeHtml(d.note || '')}${voidNote(d)}</td>
+                    <td>${canVoidPayment('supplier', d) ? `<button class="void-payment-btn" data-id="${d.id}">Void</button>` : ''}</td>`;
     tb.appendChild(tr);
   });
+
+  tb.querySelectorAll('.void-payment-btn').forEach(b=>{
+    b.addEventListener('click', e=> audited({ action: 'void', entity: 'disbursement' }, ()=> voidPayment('supplier', e.target.dataset.id)));
+  });
+}
+
+function voidNote(p){
+  if(!p.voidedAt) return '';
+  return ` <span class="badge void-badge">Voided ${new Date(p.voidedAt).toLocaleDateString()}</span>${p.voidReason ? ` — ${escapeHtml(p.voidReason)}` : ''}`;
 }
 
-/** General Journal is derived from:
-  * A. Base transactions
-  * B. Cash Receipts (payments on receivables)
-  * C. Cash Disbursements (payments on payables or expenses)
-  * This ensures edits/payments show up without needing a separate store.
+/** General Journal shows the double-entry ledger:
+  * one header row per entry followed by its Dr/Cr lines (credits indented).
+  * Entries are derived from transactions, receipts, disbursements and stock
+  * adjustments (see CHART OF ACCOUNTS + LEDGER), so edits/payments show up automatically.
   */
 function renderGeneralJournal(){
   const tb = qs('#generalJournalTable tbody');
   if(!tb) return;
   tb.innerHTML = '';
 
-  // A. Base transactions (latest first)
-  transactions.slice().reverse().forEach(t=>{
-    const detailBits = [];
-    if(t.invName) detailBits.push(`Item: ${t.invName} ×${t.invQty}`);
-    if(t.customer && t.type==='revenue') detailBits.push(`Customer: ${t.customer}`);
-    if(t.supplier && t.type==='expense' && t.invId) detailBits.push(`Supplier: ${t.supplier}`);
-    if(t.paymentMethod) detailBits.push(`Method: ${t.paymentMethod}`);
-    const detail = detailBits.join(' — ');
-    const tr = document.createElement('tr');
-    tr.innerHTML = `<td>${new Date(t.date).toLocaleString()}</td>
-                    <td>${t.description}</td>
-                    <td>${t.type}</td>
-                    <td>${formatCurrency(t.amount)}</td>
-                    <td>${detail}</td>`;
-    tb.appendChild(tr);
+  // latest first
+  const entries = ledger.slice().sort((a,b)=> new Date(b.date) - new Date(a.date) || String(b.postedAt).localeCompare(String(a.postedAt)));
+  const closed = closedMonths();
+  let totalDr = 0, totalCr = 0;
+  entries.forEach(en=>{
+    const head = document.createElement('tr');
+    head.className = 'gj-entry-head';
+    head.innerHTML = `<td>${new Date(en.date).toLocaleString()}</td>
+                      <td><strong>${en.description}</strong></td>
+                      <td></td>
+                      <td></td>
+                      <td>${en.source}${en.txnId ? ' — Txn: '+en.txnId : ''}${closed.has(monthKey(en.date)) ? ' 🔒' : ''}</td>`;
+    tb.appendChild(head);
+
+    en.lines.forEach(l=>{
+      totalDr += Number(l.debit || 0); totalCr += Number(l.credit || 0);
+      const tr = document.createElement('tr');
+      tr.className = l.credit ? 'gj-line gj-credit' : 'gj-line';
+      tr.innerHTML = `<td></td>
+                      <td>${l.account} · ${accountName(l.account)}</td>
+                      <td class="num">${l.debit ? formatCurrency(l.debit) : ''}</td>
+                      <td class="num">${l.credit ? formatCurrency(l.credit) : ''}</td>
+                      <td></td>`;
+      tb.appendChild(tr);
+    });
   });
 
-  // B. Cash Receipts (payments on receivables)
-  cashReceipts.slice().reverse().forEach(r=>{
+  const tfoot = qs('#generalJournalTable tfoot');
+  if(tfoot){
+    tfoot.innerHTML = `<tr><td></td><td><strong>Totals</strong></td>
+      <td class="num"><strong>${formatCurrency(totalDr)}</strong></td>
+      <td class="num"><strong>${formatCurrency(totalCr)}</strong></td><td></td></tr>`;
+  }
+}
+
+function renderChartOfAccounts(){
+  const tb = qs('#chartOfAccountsTable tbody');
+  if(!tb) return;
+  tb.innerHTML = '';
+  CHART_OF_ACCOUNTS.forEach(a=>{
     const tr = document.createElement('tr');
-    tr.innerHTML = `<td>${new Date(r.date).toLocaleString()}</td>
-                    <td>Receivable paid — ${r.from || 'Customer'}</td>
-                    <td>receipt</td>
-                    <td>${formatCurrency(r.amount)}</td>
-                    <td>Sale: ${r.saleId || ''} ${r.note ? '— '+r.note : ''}</td>`;
+    tr.innerHTML = `<td>${a.code}</td><td>${a.name}</td><td>${a.type}</td>`;
     tb.appendChild(tr);
   });
+}
 
-  // C. Cash Disbursements (payments on payables or expenses)
-  cashDisbursements.slice().reverse().forEach(d=>{
-    const tr = document.createElement('tr');
-    tr.innerHTML = `<td>${new Date(d.date).toLocaleString()}</td>
-                    <td>Payment — ${d.description || ''}</td>
-                    <td>disbursement</td>
-                    <td>${formatCurrency(d.amount)}</td>
-                    <td>${d.txnId ? 'Linked Txn: '+d.txnId : ''} ${d.note ? '— '+d.note : ''}</td>`;
-    tb.appendChild(tr);
+/* =========================
+   PERIOD CLOSE + ADJUSTING ENTRIES
+   A closed month (YYYY-MM) freezes the transactions, payments, stock movements and
+   ledger entries dated in it: edits and deletes there are refused, and corrections go
+   in as adjusting entries dated in an open month. Close/reopen events are kept in
+   `periodLog`; the latest event for a month decides its state.
+   ========================= */
+function monthKey(d){ const x = new Date(d); return `${x.getFullYear()}-${String(x.getMonth()+1).padStart(2,'0')}`; }
+function monthLabel(key){
+  const [y,m] = String(key).split('-').map(Number);
+  return new Date(y, m-1, 1).toLocaleString(undefined, { month:'long', year:'numeric' });
+}
+
+function closedMonths(){
+  const state = new Map();
+  periodLog.slice().sort((a,b)=> new Date(a.at) - new Date(b.at)).forEach(e => state.set(e.month, e.action));
+  return new Set(Array.from(state).filter(([, action]) => action === 'close').map(([month]) => month));
+}
+function isPeriodClosed(date){ return !!date && closedMonths().has(monthKey(date)); }
+
+/** {error,msg} when any of the dates falls in a closed month; `what` names the thing being changed */
+function checkPeriodOpen(dates, what){
+  const closed = closedMonths();
+  const hit = closed.size ? [].concat(dates).find(d => d && closed.has(monthKey(d))) : null;
+  if(!hit) return { ok:true };
+  return { error:true, msg: `${what} falls in ${monthLabel(monthKey(hit))}, which is closed. Post an adjusting entry in an open period instead.` };
+}
+
+/** A transaction is locked when it or any entry posted from it (payments, voids) is in a closed month */
+function checkTxnOpen(txn){
+  if(!txn) return { ok:true };
+  return checkPeriodOpen([txn.date, ...ledger.filter(e => e.txnId === txn.id).map(e => e.date)], 'This transaction');
+}
+
+/** checkTxnOpen for a whole table: one pass over the ledger, then txn => locked per row */
+function txnLockLookup(){
+  const closed = closedMonths();
+  if(!closed.size) return ()=> false;
+  const lockedIds = new Set(ledger.filter(e => e.txnId && e.date && closed.has(monthKey(e.date))).map(e => e.txnId));
+  return txn => lockedIds.has(txn.id) || (!!txn.date && closed.has(monthKey(txn.date)));
+}
+
+function closePeriod(month){
+  if(month >= monthKey(new Date())) return { error:true, msg: 'Only months that have ended can be closed.' };
+  if(closedMonths().has(month)) return { error:true, msg: `${monthLabel(month)} is already closed.` };
+  periodLog.push({ id: uid(), month, action: 'close', at: nowISO(), note: '' });
+  saveAll();
+  return { ok:true };
+}
+
+function reopenPeriod(month, reason){
+  if(!closedMonths().has(month)) return { error:true, msg: `${monthLabel(month)} is not closed.` };
+  if(!reason) return { error:true, msg: 'A reason is required to reopen a period.' };
+  periodLog.push({ id: uid(), month, action: 'reopen', at: nowISO(), note: reason });
+  saveAll();
+  return { ok:true };
+}
+
+/** Months with any activity (or a close/reopen event), newest first */
+function activityMonths(){
+  const counts = new Map();
+  const bump = d => { if(d){ const k = monthKey(d); counts.set(k, (counts.get(k) || 0) + 1); } };
+  ledger.forEach(e => bump(e.date));
+  logs.forEach(l => bump(l.timestamp));
+  periodLog.forEach(e => { if(!counts.has(e.month)) counts.set(e.month, 0); });
+  return Array.from(counts).sort((a,b)=> b[0].localeCompare(a[0]));
+}
+
+function renderPeriods(){
+  const tb = qs('#periodsTable tbody');
+  if(!tb) return;
+  const closed = closedMonths();
+  const current = monthKey(new Date());
+  tb.innerHTML = activityMonths().map(([month, count])=>{
+    const isClosed = closed.has(month);
+    const action = isClosed
+      ? `<button class="period-reopen-btn" data-month="${month}">Reopen</button>`
+      : (month < current ? `<button class="period-close-btn" data-month="${month}">Close</button>` : '');
+    return `<tr class="${isClosed ? 'period-closed' : ''}">
+      <td>${monthLabel(month)}</td>
+      <td>${count}</td>
+      <td>${isClosed ? '🔒 Closed' : (month >= current ? 'Open (current)' : 'Open')}</td>
+      <td>${action}</td>
+    </tr>`;
+  }).join('') || '<tr><td colspan="4" class="muted">No activity yet.</td></tr>';
+
+  const hist = qs('#periodLogTable tbody');
+  if(hist){
+    hist.innerHTML = periodLog.slice().sort((a,b)=> new Date(b.at) - new Date(a.at)).map(e => `<tr>
+      <td>${new Date(e.at).toLocaleString()}</td>
+      <td>${monthLabel(e.month)}</td>
+      <td>${e.action === 'close' ? 'Closed' : 'Reopened'}</td>
+      <td>${escapeHtml(e.note || '')}</td>
+    </tr>`).join('') || '<tr><td colspan="4" class="muted">No periods closed yet.</td></tr>';
+  }
+}
+
+// closing/reopening changes which edit/delete buttons are offered
+function afterPeriodChange(){
+  renderPeriods();
+  renderTransactions();
+  renderInventory();
+  renderGeneralJournal();
+}
+
+function adjLineRowHTML(){
+  const opts = CHART_OF_ACCOUNTS.map(a => `<option value="${a.code}">${a.code} · ${a.name}</option>`).join('');
+  return `<tr>
+    <td><select class="adj-account">${opts}</select></td>
+    <td><input class="adj-debit" type="number" min="0" step="0.01" /></td>
+    <td><input class="adj-credit" type="number" min="0" step="0.01" /></td>
+    <td><button type="button" class="adj-remove ghost" title="Remove line">✕</button></td>
+  </tr>`;
+}
+
+function readAdjLines(){
+  return qsa('#adjLinesTable tbody tr').map(tr => ({
+    account: tr.querySelector('.adj-account').value,
+    debit: parseFloat(tr.querySelector('.adj-debit').value) || 0,
+    credit: parseFloat(tr.querySelector('.adj-credit').value) || 0
+  })).filter(l => l.debit || l.credit);
+}
+
+function updateAdjTotals(){
+  const lines = readAdjLines();
+  const dr = roundMoney(lines.reduce((s,l)=> s + l.debit, 0));
+  const cr = roundMoney(lines.reduce((s,l)=> s + l.credit, 0));
+  const out = el('#adjTotals');
+  if(out) out.textContent = `Dr ${formatCurrency(dr)} · Cr ${formatCurrency(cr)}${dr !== cr ? ' — not balanced' : ''}`;
+}
+
+function resetAdjustingForm(){
+  el('#adjDate').value = toDateInputValue(new Date());
+  el('#adjDescription').value = '';
+  el('#adjLinesTable tbody').innerHTML = adjLineRowHTML() + adjLineRowHTML();
+  updateAdjTotals();
+}
+
+/** Post a manual adjusting entry (txnId null, so transaction re-syncs never touch it) */
+function postAdjustingEntry(data){
+  if(!data.description) return { error:true, msg: 'Enter a description.' };
+  if(isFutureDateInput(data.dateValue)) return { error:true, msg: 'The entry date cannot be in the future.' };
+  const date = dateInputToISO(data.dateValue);
+  const lock = checkPeriodOpen(date, 'The entry date');
+  if(lock.error) return lock;
+  const id = uid();
+  const res = postLedgerEntry({
+    id: `adjust:${id}`, date, txnId: null, source: 'adjustment', refId: id,
+    description: `Adjusting entry — ${data.description}`,
+    lines: data.lines
+  });
+  if(res.error) return res;
+  saveAll();
+  return res;
+}
+
+function initPeriods(){
+  on('#periodsTable', 'click', e=>{
+    const closeBtn = e.target.closest('.period-close-btn');
+    if(closeBtn){
+      const month = closeBtn.dataset.month;
+      if(!confirm(`Close ${monthLabel(month)}? Its transactions, payments and stock movements will be locked against edits and deletes.`)) return;
+      const res = closePeriod(month);
+      if(res.error){ alert(res.msg); return; }
+      afterPeriodChange();
+    }
+    const reopenBtn = e.target.closest('.period-reopen-btn');
+    if(reopenBtn){
+      const month = reopenBtn.dataset.month;
+      if(!confirm(`Reopen ${monthLabel(month)}? Figures already reported for it may change.`)) return;
+      const reason = prompt('Reason for reopening (kept in the period history):', '');
+      if(reason === null) return;
+      const res = reopenPeriod(month, reason.trim());
+      if(res.error){ alert(res.msg); return; }
+      afterPeriodChange();
+    }
+  });
+
+  const form = el('#adjustingEntryForm');
+  if(!form) return;
+  resetAdjustingForm();
+  on('#adjAddLine', 'click', ()=>{
+    el('#adjLinesTable tbody').insertAdjacentHTML('beforeend', adjLineRowHTML());
+  });
+  on('#adjLinesTable', 'click', e=>{
+    const btn = e.target.closest('.adj-remove');
+    if(!btn) return;
+    btn.closest('tr').remove();
+    updateAdjTotals();
+  });
+  on('#adjLinesTable', 'input', updateAdjTotals);
+  form.addEventListener('submit', e=>{
+    e.preventDefault();
+    const res = audited({ action: 'create', entity: 'entry' }, ()=> postAdjustingEntry({
+      dateValue: el('#adjDate').value,
+      description: el('#adjDescription').value.trim(),
+      lines: readAdjLines()
+    }));
+    if(res.error){ alert(res.msg); return; }
+    resetAdjustingForm();
+    renderGeneralJournal();
+    renderPeriods();
+    showToast('✓ Adjusting entry posted');
   });
 }
 
 /* =========================
    TRANSACTION FLOWS: add / edit / delete
    ========================= */
+/** Document lines of a transaction. Records saved before migration 4 carry a single invId/invQty. */
+function txnLines(t){
+  if(Array.isArray(t.lines)) return t.lines;
+  return t.invId ? [{ invId: t.invId, invName: t.invName || '', qty: Number(t.invQty || 0), amount: Number(t.amount), invCost: Number(t.invCost || 0) }] : [];
+}
+
+/** One document line: qty × price less discount, unless the caller already knows the amount */
+function buildTxnLine(l){
+  const item = inventory.find(i=>i.id===l.invId);
+  // qty in base units; price is per the unit the line was entered in
+  const unit = l.unit && l.unit !== baseUnit(item) && isItemUnit(item, l.unit) ? l.unit : '';
+  const unitQty = Number(l.unitQty ?? l.qty);
+  const qty = unit ? roundQty(unitQty * unitFactor(item, unit)) : unitQty;
+  const price = Number(l.price || 0);
+  const discount = Number(l.discount || 0);
+  return {
+    id: l.id || uid(),
+    invId: l.invId,
+    invName: item?.name || l.invName || '',
+    qty, unit, unitQty, price, discount,
+    amount: roundMoney(l.amount !== undefined ? l.amount : unitQty * price - discount),
+    invCost: 0
+  };
+}
+
+/** Normalize form/import input into a stored transaction record (inventory not applied yet).
+  * With item lines the document amount is the sum of the lines. */
+function buildTxnRecord(data){
+  const lines = (data.lines || []).filter(l => l.invId).map(buildTxnLine);
+  const hasLines = lines.length > 0;
+  // parties by id from the pickers; imports pass names, matched to existing records
+  const customer = data.customerId ? getParty('customer', data.customerId) : findPartyByName('customer', data.customer);
+  const supplier = data.supplierId ? getParty('supplier', data.supplierId) : findPartyByName('supplier', data.supplier);
+  const date = data.date || new Date().toISOString();
+  // terms only mean something on a receivable or payable
+  const onCredit = data.paymentMethod === 'Credit' && (data.type === 'revenue' || hasLines);
+  const party = data.type === 'revenue' ? customer : supplier;
+  const terms = onCredit ? (data.terms || (party && party.terms) || PAYMENT_TERMS[0].code) : null;
+  return {
+    id: data.id || uid(),
+    description: data.description,
+    amount: hasLines ? roundMoney(lines.reduce((s,l)=> s + l.amount, 0)) : Number(data.amount),
+    type: data.type,
+    lines,
+    invCost: 0,
+    paymentMethod: data.paymentMethod || 'Cash',
+    customerId: (data.type==='revenue') ? (customer ? customer.id : null) : null,
+    customer: (data.type==='revenue') ? (customer ? customer.name : (data.customer || '')) : '',
+    supplierId: (data.type==='expense' && hasLines) ? (supplier ? supplier.id : null) : null,
+    supplier: (data.type==='expense' && hasLines) ? (supplier ? supplier.name : (data.supplier || '')) : '',
+    expenseAccount: (data.type==='expense' && !hasLines) ? (data.expenseAccount || ACCT.OPEX) : null,
+    categoryId: getCategory(data.categoryId)?.type === data.type ? data.categoryId : null,
+    locationId: hasLines ? (getLocation(data.locationId) ? data.locationId : defaultLocationId()) : null,
+    terms,
+    dueDate: onCredit ? computeDueDate(date, terms, data.dueDate) : null,
+    date
+  };
+}
+
 function addTransaction(txn){
   transactions.push(txn);
   saveAll();
@@ -667,25 +2453,25 @@ function deleteTransaction(id){
   const idx = transactions.findIndex(t=>t.id===id);
   if(idx === -1) return;
   const txn = transactions[idx];
-
-  // revert inventory effect
-  if(txn.invId){
-    const inv = inventory.find(i => i.id === txn.invId);
-    if(inv){
-      let newQty = inv.quantity;
-      if(txn.type === 'revenue') newQty = Number(inv.quantity) + Number(txn.invQty || 0);
-      else if(txn.type === 'expense') newQty = Number(inv.quantity) - Number(txn.invQty || 0);
-
-      if(txn.type === 'expense' && newQty < 0){
-        const ok = confirm(`Reverting this purchase will make "${inv.name}" negative (${newQty}). Continue?`);
-        if(!ok) return;
-      }
-      const res = revertTransactionInventory(txn);
-      if(res.error){
-        alert('Error reverting inventory: ' + res.msg);
-        return;
+  const lock = checkTxnOpen(txn);
+  if(lock.error){ alert(lock.msg); return; }
+  if(txnReturns(id).length){ alert('This transaction has returns. Delete them (Journals → Returns) first.'); return; }
+
+  // revert inventory effect (all lines at once; PO bills have none)
+  const lines = txn.poId ? [] : txnLines(txn).filter(l => inventory.some(i => i.id === l.invId));
+  if(lines.length){
+    if(txn.type === 'expense'){
+      for(const [invId, qty] of lineQtyByItem(lines)){
+        const inv = inventory.find(i => i.id === invId);
+        const newQty = locationQty(inv, docLocation(txn)) - qty;
+        if(newQty < 0 && !confirm(`Reverting this purchase will make "${inv.name}" negative at ${locationName(docLocation(txn))} (${newQty}). Continue?`)) return;
       }
     }
+    const res = revertTransactionInventory(Object.assign({}, txn, { lines }));
+    if(res.error){
+      alert('Error reverting inventory: ' + res.msg);
+      return;
+    }
   }
 
   // remove linked receipts/disbursements if they point to this txn's journal entries
@@ -700,11 +2486,14 @@ function deleteTransaction(id){
     cashDisbursements = cashDisbursements.filter(d => d.txnId !== purchJ.txnId);
   }
 
+  if(txn.poId) unbillPurchaseOrder(txn);
+
   // remove txn + linked journals
   transactions.splice(idx,1);
   purchasesJournal = purchasesJournal.filter(j => j.txnId !== id);
   salesJournal = salesJournal.filter(j => j.txnId !== id);
   cashDisbursements = cashDisbursements.filter(j => j.txnId !== id);
+  removeLedgerEntriesForTxn(id);
 
   saveAll();
   renderTransactions();
@@ -722,18 +2511,29 @@ function deleteTransaction(id){
 function startEditTransaction(id){
   const t = transactions.find(x=>x.id===id);
   if(!t) return;
+  const lock = checkTxnOpen(t);
+  if(lock.error){ alert(lock.msg); return; }
+  if(t.poId){ alert('This bill comes from a purchase order. Delete it and bill the order again to change it.'); return; }
+  if(txnReturns(t.id).length){ alert('This transaction has returns. Delete them (Journals → Returns) first.'); return; }
   originalTxnSnapshot = JSON.parse(JSON.stringify(t));
   el('#description').value = t.description;
   el('#amount').value = t.amount;
   el('#type').value = t.type;
-  el('#inventorySelect').value = t.invId || '';
-  el('#quantity').value = t.invQty || '';
+  el('#txnDate').value = toDateInputValue(t.date);
+  setLineRows(txnLines(t));
   el('#paymentMethod').value = t.paymentMethod || 'Cash';
-  el('#customerName').value = t.customer || '';
-  el('#supplierName').value = t.supplier || '';
+  el('#paymentTerms').value = t.terms || PAYMENT_TERMS[0].code;
+  el('#dueDate').value = t.terms === TERMS_CUSTOM && t.dueDate ? toDateInputValue(new Date(t.dueDate)) : '';
+  fillPartySelects();
+  el('#customerSelect').value = t.customerId || '';
+  el('#supplierSelect').value = t.supplierId || '';
+  el('#expenseAccount').value = t.expenseAccount || ACCT.OPEX;
   toggleConditionalFields();
+  el('#category').value = t.categoryId || '';
+  if(el('#txnLocation')) el('#txnLocation').value = docLocation(t);
   editId = id;
   el('#addBtn').textContent = 'Update';
+  if(el('#recurringToggle')){ resetRecurringFields(); el('#recurringToggle').classList.add('hidden'); }
   window.scrollTo({top:0,behavior:'smooth'});
 }
 
@@ -741,40 +2541,41 @@ function commitTransactionForm(){
   const description = el('#description').value.trim();
   const amount = parseFloat(el('#amount').value);
   const type = el('#type').value;
-  const invId = el('#inventorySelect').value || '';
-  const invQty = el('#quantity').value ? parseInt(el('#quantity').value,10) : 0;
+  const lines = readLineRows();
   const paymentMethod = el('#paymentMethod') ? el('#paymentMethod').value : 'Cash';
-  const customer = el('#customerName').value.trim();
-  const supplier = el('#supplierName').value.trim();
-
-  if(!description || isNaN(amount) || amount <= 0){ alert('Enter a valid description and amount.'); return; }
-  if(invId && (!invQty || invQty <= 0)){ alert('Enter a valid quantity for the selected inventory item.'); return; }
+  const customerId = el('#customerSelect').value;
+  const supplierId = el('#supplierSelect').value;
+  const terms = el('#paymentTerms').value;
+  const dueDate = el('#dueDate').value;
+  const dateValue = el('#txnDate').value;
+  const categoryId = el('#category').value;
+  const locationId = el('#txnLocation') ? el('#txnLocation').value : '';
+  const expenseAccount = el('#expenseAccount') ? el('#expenseAccount').value : ACCT.OPEX;
+
+  if(isFutureDateInput(dateValue)){ alert('The transaction date cannot be in the future.'); return; }
+  const lineError = validateLineRows(lines);
+  if(lineError){ alert(lineError); return; }
+  if(!description || (!lines.length && (isNaN(amount) || amount <= 0))){ alert('Enter a valid description and amount.'); return; }
+  if(paymentMethod === 'Credit' && terms === TERMS_CUSTOM && !dueDate){ alert('Pick a due date for custom terms.'); return; }
 
   if(editId){
     const txn = transactions.find(x=>x.id === editId);
     if(!txn){ alert('Transaction not found'); return; }
 
+    const newTxn = buildTxnRecord({
+      id: txn.id, description, amount, type, lines, paymentMethod, customerId, supplierId, expenseAccount, categoryId, locationId, terms, dueDate,
+      date: dateInputToISO(dateValue, txn.date)
+    });
+    const lock = [checkTxnOpen(txn), checkPeriodOpen(newTxn.date, 'The transaction date')].find(r => r.error);
+    if(lock){ alert(lock.msg); return; }
+    if(!confirmCreditLimit(newTxn, txn.id)) return;
+
     // revert original inventory if needed
-    if(originalTxnSnapshot && originalTxnSnapshot.invId){
+    if(originalTxnSnapshot && txnLines(originalTxnSnapshot).length){
       const revertRes = revertTransactionInventory(originalTxnSnapshot);
       if(revertRes.error){ alert('Unable to revert original transaction: ' + revertRes.msg); return; }
     }
 
-    const newTxn = {
-      id: txn.id,
-      description,
-      amount,
-      type,
-      invId: invId || null,
-      invQty: invId ? invQty : null,
-      invName: invId ? (inventory.find(i=>i.id===invId)?.name || '') : null,
-      invCost: 0,
-      paymentMethod,
-      customer: (type==='revenue') ? customer : '',
-      supplier: (type==='expense' && invId) ? supplier : '',
-      date: new Date().toISOString()
-    };
-
     const applyRes = applyTransactionInventory(newTxn);
     if(applyRes.error){
       // rollback inventory to original
@@ -783,6 +2584,9 @@ function commitTransactionForm(){
         if(rollbackRes.error){
           alert('Critical: failed to apply changes and rollback failed: ' + rollbackRes.msg);
         } else {
+          // the re-applied original took fresh cost layers; keep the stored record in step
+          txn.invCost = originalTxnSnapshot.invCost;
+          txn.lines = originalTxnSnapshot.lines;
           alert('Edit cancelled: ' + applyRes.msg);
         }
       } else {
@@ -809,68 +2613,197 @@ function commitTransactionForm(){
     resetTransactionForm();
     renderTransactions(); renderInventory(); fillInventorySelects();
     updateDashboard(); updateMonthlySummary();
+    warnOverBudget(txn);
     return;
   }
 
   // New transaction
-  const newTxn = {
-    id: uid(),
-    description,
-    amount,
-    type,
-    invId: invId || null,
-    invQty: invId ? invQty : null,
-    invName: invId ? (inventory.find(i=>i.id===invId)?.name || '') : null,
-    invCost: 0,
-    paymentMethod,
-    customer: (type==='revenue') ? customer : '',
-    supplier: (type==='expense' && invId) ? supplier : '',
-    date: new Date().toISOString()
-  };
+  const newTxn = buildTxnRecord({ description, amount, type, lines, paymentMethod, customerId, supplierId, expenseAccount, categoryId, locationId, terms, dueDate, date: dateInputToISO(dateValue) });
+  const lock = checkPeriodOpen(newTxn.date, 'The transaction date');
+  if(lock.error){ alert(lock.msg); return; }
+  if(!confirmCreditLimit(newTxn)) return;
 
-  if(newTxn.invId){
+  if(newTxn.lines.length){
     const applyRes = applyTransactionInventory(newTxn);
     if(applyRes.error){ alert(applyRes.msg); return; }
   } else newTxn.invCost = 0;
 
   addTransaction(newTxn);
+  if(draftPurchaseId){
+    deletePurchaseDraft(draftPurchaseId);
+    renderReorderPanel();
+  }
+  const schedule = readRecurringSchedule();
+  if(schedule){
+    createRecurringTemplate(newTxn, schedule);
+    renderRecurring();
+  }
   saveAll();
   resetTransactionForm();
+  warnOverBudget(newTxn);
 }
 
 function resetTransactionForm(){
   el('#description').value = '';
   el('#amount').value = '';
   el('#type').value = 'revenue';
-  el('#inventorySelect').value = '';
-  el('#quantity').value = '';
+  el('#txnDate').value = toDateInputValue(new Date());
+  setLineRows([]);
   el('#paymentMethod').value = 'Cash';
-  el('#customerName').value = '';
-  el('#supplierName').value = '';
+  el('#paymentTerms').value = PAYMENT_TERMS[0].code;
+  el('#dueDate').value = '';
+  el('#customerSelect').value = '';
+  el('#supplierSelect').value = '';
+  el('#expenseAccount').value = ACCT.OPEX;
+  el('#category').value = '';
+  if(el('#txnLocation')) el('#txnLocation').value = defaultLocationId();
   toggleConditionalFields();
   editId = null;
   originalTxnSnapshot = null;
   el('#addBtn').textContent = 'Add';
+  draftPurchaseId = null;
+  if(el('#recurringToggle')) el('#recurringToggle').classList.remove('hidden');
+  resetRecurringFields();
 }
 
 /* =========================
-   INVENTORY UI + ACTIONS
+   TRANSACTION FORM: LINE ITEMS
+   One row per item; with rows present the Amount field is their total.
    ========================= */
-function renderInventory(){
-  const tbody = qs('#inventoryTable tbody');
-  if(!tbody) return;
-  tbody.innerHTML = '';
+function lineItemOptions(){
+  return '<option value="">— select item —</option>' +
+    inventory.map(it => `<option value="${it.id}">${escapeHtml(it.name)} (qty:${escapeHtml(formatQty(it, it.quantity))})</option>`).join('');
+}
 
-  inventory.forEach(item=>{
-    const tr = document.createElement('tr');
-    tr.className = item.quantity <= 5 ? 'low-stock' : '';
-    tr.innerHTML = `
-      <td>${item.name}</td>
-      <td>${item.description || ''}</td>
-      <td>${item.category || ''}</td>
-      <td>${item.quantity}</td>
-      <td>${formatCurrency(item.unitPrice)}</td>
-      <td>${formatCurrency(item.quantity * item.unitPrice)}</td>
+function addLineRow(line){
+  const tr = document.createElement('tr');
+  tr.innerHTML = `
+    <td><select class="line-item">${lineItemOptions()}</select></td>
+    <td><input class="line-qty" type="number" min="0" step="any" /></td>
+    <td><select class="line-unit"></select></td>
+    <td><input class="line-price" type="number" min="0" step="0.01" /></td>
+    <td><input class="line-discount" type="number" min="0" step="0.01" placeholder="0.00" /></td>
+    <td class="num line-total"></td>
+    <td><button type="button" class="ghost line-remove" title="Remove line">✕</button></td>`;
+  if(line){
+    const item = inventory.find(i => i.id === line.invId);
+    const unitQty = line.unitQty ?? line.qty;
+    tr.querySelector('.line-item').value = line.invId || '';
+    tr.querySelector('.line-unit').innerHTML = unitOptions(item);
+    tr.querySelector('.line-unit').value = line.unit || '';
+    tr.querySelector('.line-qty').value = unitQty ?? '';
+    tr.querySelector('.line-price').value = line.price ?? (unitQty ? roundMoney(Number(line.amount) / unitQty) : '');
+    tr.querySelector('.line-discount').value = Number(line.discount) ? line.discount : '';
+  }
+  qs('#lineItemsTable tbody').appendChild(tr);
+  return tr;
+}
+
+function setLineRows(lines){
+  qs('#lineItemsTable tbody').innerHTML = '';
+  (lines || []).forEach(addLineRow);
+  updateLineTotals();
+}
+
+/** Rows with an item chosen, as raw line input for buildTxnRecord (qty converted to base units) */
+function readLineRows(){
+  return qsa('#lineItemsTable tbody tr').map(tr=>{
+    const invId = tr.querySelector('.line-item').value;
+    const unit = tr.querySelector('.line-unit').value;
+    const unitQty = parseFloat(tr.querySelector('.line-qty').value);
+    return {
+      invId, unit, unitQty,
+      qty: roundQty(unitQty * unitFactor(inventory.find(i => i.id === invId), unit)),
+      price: parseFloat(tr.querySelector('.line-price').value),
+      discount: parseFloat(tr.querySelector('.line-discount').value) || 0
+    };
+  }).filter(l => l.invId);
+}
+
+function validateLineRows(lines){
+  for(const l of lines){
+    const item = inventory.find(i=>i.id===l.invId);
+    const name = item?.name || 'item';
+    if(isNaN(l.unitQty) || l.unitQty <= 0) return `Enter a valid quantity for "${name}".`;
+    if(!qtyAllowed(item, l.qty)) return `"${name}" is stocked in whole ${baseUnit(item)}; ${l.unitQty} ${l.unit || baseUnit(item)} is ${l.qty} ${baseUnit(item)}.`;
+    if(isNaN(l.price) || l.price < 0) return `Enter a valid unit price for "${name}".`;
+    if(l.discount < 0 || l.discount > l.unitQty * l.price) return `Discount for "${name}" must be between 0 and the line amount.`;
+  }
+  return null;
+}
+
+function updateLineTotals(){
+  const rows = qsa('#lineItemsTable tbody tr');
+  let total = 0;
+  rows.forEach(tr=>{
+    const qty = parseFloat(tr.querySelector('.line-qty').value) || 0; // in the row's unit, like the price
+    const price = parseFloat(tr.querySelector('.line-price').value) || 0;
+    const discount = parseFloat(tr.querySelector('.line-discount').value) || 0;
+    const amount = roundMoney(qty * price - discount);
+    tr.querySelector('.line-total').textContent = formatCurrency(amount);
+    if(tr.querySelector('.line-item').value) total += amount;
+  });
+  const amountInput = el('#amount');
+  const hasLines = readLineRows().length > 0;
+  amountInput.readOnly = hasLines;
+  if(hasLines) amountInput.value = roundMoney(total).toFixed(2);
+  toggleConditionalFields();
+}
+
+function initLineItems(){
+  const tbody = qs('#lineItemsTable tbody');
+  on('#addLineBtn','click', ()=>{ addLineRow().querySelector('.line-item').focus(); });
+  tbody.addEventListener('change', e=>{
+    const sel = e.target.closest('.line-item');
+    const unitSel = e.target.closest('.line-unit');
+    if(sel){
+      // default price: selling price on sales, last cost on purchases
+      const it = inventory.find(i=>i.id === sel.value);
+      const tr = sel.closest('tr');
+      tr.querySelector('.line-unit').innerHTML = unitOptions(it);
+      if(it) tr.querySelector('.line-price').value = el('#type').value === 'revenue' ? it.unitPrice : (it.unitCost ?? '');
+      if(it && !tr.querySelector('.line-qty').value) tr.querySelector('.line-qty').value = 1;
+    }
+    if(unitSel){
+      // the base price scaled to the picked unit
+      const tr = unitSel.closest('tr');
+      const it = inventory.find(i=>i.id === tr.querySelector('.line-item').value);
+      const base = it ? (el('#type').value === 'revenue' ? it.unitPrice : it.unitCost) : null;
+      if(base !== null && base !== undefined) tr.querySelector('.line-price').value = roundMoney(Number(base) * unitFactor(it, unitSel.value));
+    }
+    updateLineTotals();
+  });
+  tbody.addEventListener('input', updateLineTotals);
+  tbody.addEventListener('click', e=>{
+    const btn = e.target.closest('.line-remove');
+    if(!btn) return;
+    btn.closest('tr').remove();
+    updateLineTotals();
+  });
+}
+
+/* =========================
+   INVENTORY UI + ACTIONS
+   ========================= */
+function renderInventory(){
+  const tbody = qs('#inventoryTable tbody');
+  if(!tbody) return;
+  tbody.innerHTML = '';
+  const loc = selectedInventoryLocation();
+
+  inventory.forEach(item=>{
+    const tr = document.createElement('tr');
+    tr.className = isLowStock(item) ? 'low-stock' : '';
+    const split = !loc && locations.length > 1
+      ? `<div class="muted">${locations.map(l => `${escapeHtml(l.name)} ${roundQty(locationQty(item, l.id))}`).join(' · ')}</div>` : '';
+    tr.innerHTML = `
+      <td>${item.name}</td>
+      <td>${item.description || ''}</td>
+      <td>${item.category || ''}</td>
+      <td>${escapeHtml(formatQty(item, locationQty(item, loc)))}${split}<div class="muted">Reorder at ${itemReorderPoint(item)}</div></td>
+      <td>${formatCurrency(itemAverageCost(item))}</td>
+      <td>${formatCurrency(item.unitPrice)}</td>
+      <td>${formatCurrency(locationStockValue(item, loc))}</td>
       <td>
         <button class="inv-edit edit-btn" data-id="${item.id}">Edit</button>
         <button class="inv-del del-btn" data-id="${item.id}">Delete</button>
@@ -883,7 +2816,12 @@ function renderInventory(){
     const logRow = document.createElement('tr');
     logRow.className = 'item-log-row hidden';
     logRow.dataset.for = item.id;
-    logRow.innerHTML = `<td colspan="7"><div class="item-log-wrapper">
+    logRow.innerHTML = `<td colspan="8"><div class="item-log-wrapper">
+      <strong>Cost layers (${costingMethod() === 'average' ? 'moving average' : 'FIFO'})</strong>
+      <table class="small-log-table cost-layer-table">
+        <thead><tr><th>Received</th><th>Qty</th><th>Unit Cost</th><th>Value</th></tr></thead>
+        <tbody>${itemLayers(item).map(l => `<tr><td>${new Date(l.date).toLocaleDateString()}</td><td>${roundQty(l.qty)}</td><td>${formatCurrency(l.unitCost)}</td><td>${formatCurrency(l.qty * l.unitCost)}</td></tr>`).join('') || '<tr><td colspan="4">No stock on hand</td></tr>'}</tbody>
+      </table>
       <strong>Log for ${item.name}</strong>
       <table class="small-log-table">
         <thead>
@@ -898,9 +2836,13 @@ function renderInventory(){
   tbody.querySelectorAll('.inv-del').forEach(b=>{
     b.addEventListener('click', e=>{
       const id = e.target.dataset.id;
+      const lock = checkPeriodOpen(logs.filter(l => l.itemId === id).map(l => l.timestamp), 'A stock movement of this item');
+      if(lock.error){ alert(lock.msg); return; }
       if(!confirm('Delete inventory item? This will NOT change past transactions but will remove current stock records and logs. Continue?')) return;
-      logs = logs.filter(l => l.itemId !== id);
-      inventory = inventory.filter(x=>x.id !== id);
+      audited({ action: 'delete', entity: 'item' }, ()=>{
+        logs = logs.filter(l => l.itemId !== id);
+        inventory = inventory.filter(x=>x.id !== id);
+      });
       saveAll();
       renderInventory();
       fillInventorySelects();
@@ -934,33 +2876,42 @@ function renderInventory(){
       const txnId = delBtn.dataset.txn;
       if(!txnId) return;
       if(!confirm('Delete this linked purchase transaction? This will revert inventory and cascade journal updates.')) return;
-      deleteTransaction(txnId);
+      audited({ action: 'delete', entity: 'transaction' }, ()=> deleteTransaction(txnId));
     }
   });
 
   updateInventoryValue();
   renderOverallLog();
+  renderReorderPanel();
+  renderLocations();
 }
 
+/** Value of the stock at the location picked in the Inventory view (all locations by default) */
 function updateInventoryValue(){
-  const total = inventory.reduce((s,i)=> s + (Number(i.quantity) * Number(i.unitPrice || 0)), 0);
+  const loc = selectedInventoryLocation();
+  const total = inventory.reduce((s,i)=> s + locationStockValue(i, loc), 0);
   el('#inventoryValue').textContent = formatCurrency(total);
 }
 
 function fillInventorySelects(){
-  const invSelect = el('#inventorySelect');
   const stockSelect = el('#stockItemSelect');
-  [invSelect, stockSelect].forEach(sel=>{
+  qsa('#lineItemsTable select.line-item, #poLinesTable select.po-item, #transferLinesTable select.tr-item').forEach(sel=>{
+    const cur = sel.value;
+    sel.innerHTML = lineItemOptions();
+    sel.value = cur;
+  });
+  [stockSelect].forEach(sel=>{
     if(!sel) return;
     const cur = sel.value;
     sel.innerHTML = '<option value="">— None —</option>';
     inventory.forEach(it=>{
       const opt = document.createElement('option');
-      opt.value = it.id; opt.textContent = `${it.name} (qty:${it.quantity})`;
+      opt.value = it.id; opt.textContent = `${it.name} (qty:${formatQty(it, it.quantity)})`;
       sel.appendChild(opt);
     });
     if(cur) sel.value = cur;
   });
+  fillTxnFilterItems();
 }
 
 function togglePerItemLog(itemId){
@@ -969,7 +2920,8 @@ function togglePerItemLog(itemId){
   rows.forEach(r=>{
     if(r.dataset.for === itemId){
       r.classList.toggle('hidden');
-      const tb = r.querySelector('tbody'); tb.innerHTML = '';
+      const tb = r.querySelector('table:not(.cost-layer-table) tbody'); tb.innerHTML = '';
+      const item = inventory.find(i => i.id === itemId);
       const entries = logs.filter(l => l.itemId === itemId);
       entries.forEach(en=>{
         // Try to extract txnId from note "Purchase tx XXX" or "Sale tx XXX"
@@ -980,11 +2932,11 @@ function togglePerItemLog(itemId){
         const rr = document.createElement('tr');
         rr.innerHTML = `<td>${new Date(en.timestamp).toLocaleString()}</td>
                         <td>${en.action}</td>
-                        <td>${en.qtyChange>0? '+'+en.qtyChange: en.qtyChange}</td>
-                        <td>${en.balanceAfter !== null ? en.balanceAfter : ''}</td>
-                        <td>${en.note}</td>
+                        <td>${en.qtyChange>0? '+'+roundQty(en.qtyChange): roundQty(en.qtyChange)}</td>
+                        <td>${en.balanceAfter !== null ? escapeHtml(formatQty(item, en.balanceAfter)) : ''}</td>
+                        <td>${en.note}${en.locationId && locations.length > 1 ? ` <span class="muted">@ ${escapeHtml(locationName(en.locationId))}</span>` : ''}</td>
                         <td>
-                          ${(en.action === 'purchase' && linkedTxn) ? `
+                          ${(en.action === 'purchase' && linkedTxn && !isPeriodClosed(en.timestamp)) ? `
                             <button class="log-edit-txn" data-txn="${linkedTxn}">Edit Txn</button>
                             <button class="log-delete-txn" data-txn="${linkedTxn}">Delete Txn</button>` : ''}
                         </td>`;
@@ -1016,6 +2968,44 @@ function renderOverallLog(){
   });
 }
 
+/** Create an item; opening stock becomes its first cost layer and is posted against owner's equity.
+  * unitPrice is the selling price, unitCost what the stock cost (defaults to unitPrice). */
+function addInventoryItem(data){
+  const unitPrice = Number(data.unitPrice);
+  const item = {
+    id: uid(),
+    name: data.name,
+    description: data.description || '',
+    category: data.category || '',
+    unitPrice,
+    unitCost: (data.unitCost === undefined || data.unitCost === '') ? unitPrice : Number(data.unitCost),
+    quantity: Number(data.quantity || 0),
+    stock: { [defaultLocationId()]: Number(data.quantity || 0) },
+    reorderPoint: reorderNumber(data.reorderPoint),
+    reorderQty: reorderNumber(data.reorderQty),
+    preferredSupplierId: data.preferredSupplierId || null,
+    baseUnit: data.baseUnit || DEFAULT_BASE_UNIT,
+    allowDecimal: !!data.allowDecimal,
+    units: Array.isArray(data.units) ? data.units : [],
+    costLayers: []
+  };
+  inventory.push(item);
+  if(item.quantity !== 0){
+    const logEntry = addLog(item.id, 'manual', item.quantity, 'Initial stock on item creation', null, defaultLocationId());
+    addToLayers(item, item.quantity, item.unitCost, logEntry.timestamp, logEntry.id);
+    postInventoryAdjustment(item, logEntry, item.quantity * item.unitCost, true);
+  }
+  saveAll();
+  return item;
+}
+
+/** Blank reorder fields stay unset (null) */
+function reorderNumber(v){
+  if(v === undefined || v === null || String(v).trim() === '') return null;
+  const n = Number(v);
+  return isNaN(n) || n < 0 ? null : n;
+}
+
 function startEditInventory(id){
   const it = inventory.find(x=>x.id===id);
   if(!it) return;
@@ -1023,7 +3013,15 @@ function startEditInventory(id){
   el('#itemDesc').value = it.description || '';
   el('#itemCategory').value = it.category || '';
   el('#itemPrice').value = it.unitPrice;
-  el('#itemQtyStart').value = it.quantity;
+  el('#itemCost').value = it.unitCost ?? '';
+  el('#itemBaseUnit').value = baseUnit(it);
+  el('#itemUnits').value = unitListText(it);
+  el('#itemAllowDecimal').checked = !!it.allowDecimal;
+  el('#itemQtyStart').value = roundQty(it.quantity);
+  el('#itemReorderPoint').value = it.reorderPoint ?? '';
+  el('#itemReorderQty').value = it.reorderQty ?? '';
+  fillItemSupplierSelect();
+  el('#itemSupplier').value = it.preferredSupplierId || '';
   editingInventoryId = id;
   window.scrollTo({top:0,behavior:'smooth'});
 }
@@ -1033,7 +3031,14 @@ function clearInventoryForm(){
   el('#itemDesc').value = '';
   el('#itemCategory').value = '';
   el('#itemPrice').value = '';
+  el('#itemCost').value = '';
+  el('#itemBaseUnit').value = '';
+  el('#itemUnits').value = '';
+  el('#itemAllowDecimal').checked = false;
   el('#itemQtyStart').value = 0;
+  el('#itemReorderPoint').value = '';
+  el('#itemReorderQty').value = '';
+  el('#itemSupplier').value = '';
   editingInventoryId = null;
 }
 
@@ -1041,275 +3046,2902 @@ function clearInventoryForm(){
 function handleStockAdjust(e){
   e.preventDefault();
   const id = el('#stockItemSelect').value;
-  const qty = parseInt(el('#stockQty').value,10);
+  const unitQty = parseFloat(el('#stockQty').value);
   const action = el('#stockAction').value;
   const paymentMethod = el('#stockPaymentMethod') ? el('#stockPaymentMethod').value : 'Cash';
-  if(!id || !qty || qty <= 0){ alert('Select item and enter valid qty'); return; }
+  const locationId = el('#stockLocation') ? el('#stockLocation').value : defaultLocationId();
+  const dateValue = el('#stockDate').value;
+  if(!id || !(unitQty > 0)){ alert('Select item and enter valid qty'); return; }
+  if(isFutureDateInput(dateValue)){ alert('The stock date cannot be in the future.'); return; }
+  const date = dateInputToISO(dateValue);
+  const lock = checkPeriodOpen(date, 'The stock date');
+  if(lock.error){ alert(lock.msg); return; }
   const it = inventory.find(x=>x.id===id);
   if(!it) return;
+  const stockUnit = el('#stockUnit').value;
+  const qty = roundQty(unitQty * unitFactor(it, stockUnit));
+  if(!qtyAllowed(it, qty)){ alert(`"${it.name}" is stocked in whole ${baseUnit(it)}; ${unitQty} ${stockUnit || baseUnit(it)} is ${qty} ${baseUnit(it)}.`); return; }
 
   if(action === 'add'){
-    const unit = Number(it.unitPrice || 0);
-    const amount = unit * qty;
-    const newTxn = {
-      id: uid(),
+    const costInput = parseFloat(el('#stockUnitCost').value);
+    const unit = isNaN(costInput) ? roundMoney(Number(it.unitCost || 0) * unitFactor(it, stockUnit)) : costInput;
+    if(unit < 0){ alert('Enter a valid unit cost'); return; }
+    const amount = roundMoney(unit * unitQty);
+    const newTxn = buildTxnRecord({
       description: `Purchase - ${it.name}`,
-      amount: amount,
       type: 'expense',
-      invId: it.id,
-      invQty: qty,
-      invName: it.name,
-      invCost: 0,
-      paymentMethod: paymentMethod,
+      lines: [{ invId: it.id, qty, unit: stockUnit, unitQty, price: unit, amount }],
+      paymentMethod,
       supplier: '', // can be edited later
-      date: new Date().toISOString()
-    };
+      locationId,
+      date
+    });
     const applyRes = applyTransactionInventory(newTxn);
     if(applyRes.error){ alert(applyRes.msg); return; }
     addTransaction(newTxn);
     saveAll();
     return;
   } else {
-    if(it.quantity < qty){
-      if(!confirm('Removing this quantity will make stock negative. Continue?')) return;
+    if(locationQty(it, locationId) < qty){
+      if(!confirm(`Removing this quantity will make stock at ${locationName(locationId)} negative. Continue?`)) return;
     }
-    it.quantity = Number(it.quantity) - qty;
-    addLog(it.id, 'manual', -qty, 'Manual remove');
+    adjustStock(it, locationId, -qty);
+    const logEntry = addLog(it.id, 'manual', -qty, `Manual remove${stockUnit ? ` (${unitQty} ${stockUnit})` : ''}`, date, locationId);
+    postInventoryAdjustment(it, logEntry, consumeLayers(it, qty).cost);
     saveAll();
+    renderGeneralJournal();
     renderInventory(); fillInventorySelects(); updateInventoryValue();
     return;
   }
 }
 
 /* =========================
-   PAYMENTS: ACCOUNTS RECEIVABLE / PAYABLE
+   REORDER POINTS + PURCHASE SUGGESTIONS
+   Each item can carry a reorder point, a reorder quantity and a preferred supplier.
+   An item is low at or below its reorder point (DEFAULT_REORDER_POINT when unset).
+   Suggestions size the order from the last SALES_VELOCITY_DAYS of sale logs so stock
+   covers REORDER_COVER_DAYS on top of the reorder point; "Create drafts" turns them
+   into one draft purchase per supplier, which opens pre-filled in the transaction form.
    ========================= */
-// Sales: mark as paid (full or partial)
-function markSalePaid(saleId, amount){
-  const sale = salesJournal.find(s => s.id === saleId);
-  if(!sale){ alert('Sale record not found'); return; }
-  const remaining = Math.max(0, Number(sale.amount) - Number(sale.paidAmount || 0));
-  let payAmt = amount;
-  if(payAmt === null || payAmt === undefined) payAmt = remaining; // full
-  payAmt = Math.min(payAmt, remaining);
-  if(payAmt <= 0){ alert('Nothing to pay.'); return; }
+const DEFAULT_REORDER_POINT = 5;
+const SALES_VELOCITY_DAYS = 30;
+const REORDER_COVER_DAYS = 30;
 
-  sale.paidAmount = Number(sale.paidAmount || 0) + payAmt;
-  sale.paid = sale.paidAmount >= Number(sale.amount);
+let draftPurchaseId = null; // draft being posted through the transaction form
 
-  const receipt = {
-    id: uid(),
-    date: new Date().toISOString(),
-    from: sale.customer || sale.description || 'Customer',
-    amount: Number(payAmt),
-    saleId: sale.id,
-    note: sale.paid ? 'Paid in full' : 'Partial payment'
-  };
-  cashReceipts.unshift(receipt);
-  saveAll();
-  renderSalesJournal();
-  renderCashReceipts();
-  renderGeneralJournal();
+function itemReorderPoint(item){
+  const p = Number(item.reorderPoint);
+  return item.reorderPoint === null || item.reorderPoint === undefined || item.reorderPoint === '' || isNaN(p) ? DEFAULT_REORDER_POINT : p;
 }
 
-// Purchases: pay supplier (full or partial)
-function paySupplier(purchaseId, amount){
-  const p = purchasesJournal.find(x=>x.id===purchaseId);
-  if(!p){ alert('Purchase record not found'); return; }
-  const remaining = Math.max(0, Number(p.amount) - Number(p.paidAmount || 0));
-  let payAmt = amount;
-  if(payAmt === null || payAmt === undefined) payAmt = remaining; // full
-  payAmt = Math.min(payAmt, remaining);
-  if(payAmt <= 0){ alert('Nothing to pay.'); return; }
+function isLowStock(item){ return Number(item.quantity) <= itemReorderPoint(item); }
+
+/** Units sold per day over the last SALES_VELOCITY_DAYS (reverted and returned sales netted out) */
+function salesVelocity(itemId){
+  const since = new Date(); since.setDate(since.getDate() - SALES_VELOCITY_DAYS);
+  const sold = logs.filter(l => l.itemId === itemId && new Date(l.timestamp) >= since).reduce((s, l)=>{
+    if(l.action === 'sale') return s - Number(l.qtyChange);
+    if(l.action === 'restore' && /revert of sale/.test(l.note || '')) return s - Number(l.qtyChange);
+    if((l.action === 'return' || l.action === 'restore') && /sales return/i.test(l.note || '')) return s - Number(l.qtyChange);
+    return s;
+  }, 0);
+  return Math.max(0, sold) / SALES_VELOCITY_DAYS;
+}
 
-  p.paidAmount = Number(p.paidAmount || 0) + payAmt;
-  p.paid = p.paidAmount >= Number(p.amount);
+/** One suggestion per low-stock item: { item, velocity, qty, supplierId, unitCost } */
+function suggestedPurchases(){
+  return inventory.filter(isLowStock).map(item=>{
+    const velocity = salesVelocity(item.id);
+    const needed = Math.ceil(itemReorderPoint(item) + velocity * REORDER_COVER_DAYS - Number(item.quantity));
+    const qty = Math.max(1, Number(item.reorderQty) || 0, needed);
+    const supplierId = getParty('supplier', item.preferredSupplierId) ? item.preferredSupplierId : null;
+    return { item, velocity, qty, supplierId, unitCost: Number(item.unitCost ?? item.unitPrice) || 0 };
+  });
+}
 
-  const disb = {
-    id: uid(),
-    date: new Date().toISOString(),
-    description: p.supplier || p.description || 'Supplier',
-    amount: Number(payAmt),
-    txnId: p.txnId,
-    note: p.paid ? 'Paid in full' : 'Partial payment'
-  };
-  cashDisbursements.unshift(disb);
+/** Group suggestions into draft purchases, one per supplier (none = its own draft); items already on a draft are skipped */
+function createDraftsFromSuggestions(suggestions){
+  if(!suggestions.length) return { error:true, msg: 'Nothing to reorder.' };
+  const drafted = new Set(purchaseDrafts.flatMap(d => d.lines.map(l => l.invId)));
+  const fresh = suggestions.filter(s => !drafted.has(s.item.id));
+  if(!fresh.length) return { error:true, msg: 'Every suggested item is already on a draft purchase.' };
+  const bySupplier = new Map();
+  fresh.forEach(s=>{
+    const key = s.supplierId || '';
+    if(!bySupplier.has(key)) bySupplier.set(key, []);
+    bySupplier.get(key).push({ invId: s.item.id, qty: s.qty, price: roundMoney(s.unitCost) });
+  });
+  const created = Array.from(bySupplier.entries()).map(([supplierId, lines]) => ({
+    id: uid(), supplierId: supplierId || null, lines, createdAt: nowISO()
+  }));
+  purchaseDrafts.push(...created);
   saveAll();
-  renderPurchasesJournal();
-  renderCashDisbursements();
-  renderGeneralJournal();
+  return { ok:true, count: created.length };
 }
 
-/* =========================
-   INIT UI AND EVENTS
-   ========================= */
-document.addEventListener('DOMContentLoaded', ()=>{
-  // One-time wipe so we start fresh for this trial, but keep new data afterwards
-  trialResetIfNeeded();
+function draftTotal(d){ return roundMoney(d.lines.reduce((s, l)=> s + l.qty * l.price, 0)); }
 
-  loadAll();
+function deletePurchaseDraft(id){
+  purchaseDrafts = purchaseDrafts.filter(d => d.id !== id);
+  saveAll();
+  return { ok:true };
+}
 
-  // settings + theme
-  applySettingsUI();
+/** Load a draft into the transaction form as an inventory purchase */
+function openPurchaseDraft(id){
+  const d = purchaseDrafts.find(x => x.id === id);
+  if(!d) return;
+  const lines = d.lines.filter(l => inventory.some(i => i.id === l.invId));
+  if(!lines.length){ alert('The items on this draft no longer exist.'); return; }
+  resetTransactionForm();
+  const supplier = getParty('supplier', d.supplierId);
+  el('#type').value = 'expense';
+  el('#description').value = `Restock${supplier ? ` from ${supplier.name}` : ''}`;
+  setLineRows(lines);
+  el('#paymentMethod').value = supplier ? 'Credit' : 'Cash';
+  fillPartySelects();
+  el('#supplierSelect').value = d.supplierId || '';
+  toggleConditionalFields();
+  draftPurchaseId = id;
+  qs('.tab-btn[data-target="transactionsView"]').click();
+  window.scrollTo({top:0,behavior:'smooth'});
+}
 
-  renderTransactions();
-  renderInventory();
-  fillInventorySelects();
-  updateDashboard();
-  updateMonthlySummary();
-  updateInventoryValue();
+function renderReorderPanel(){
+  const panel = el('#lowStockPanel');
+  if(!panel) return;
+  const suggestions = suggestedPurchases();
+  panel.classList.toggle('hidden', !suggestions.length && !purchaseDrafts.length);
+  el('#lowStockCount').textContent = suggestions.length;
+  qs('#reorderTable tbody').innerHTML = suggestions.map(s => `<tr>
+      <td>${escapeHtml(s.item.name)}</td>
+      <td>${s.item.quantity}</td>
+      <td>${itemReorderPoint(s.item)}</td>
+      <td>${s.velocity ? s.velocity.toFixed(2) : '—'}</td>
+      <td><strong>${s.qty}</strong></td>
+      <td>${getParty('supplier', s.supplierId) ? escapeHtml(getParty('supplier', s.supplierId).name) : '<span class="muted">None</span>'}</td>
+      <td class="num">${formatCurrency(s.qty * s.unitCost)}</td>
+    </tr>`).join('') || '<tr><td colspan="7" class="muted">Everything is above its reorder point.</td></tr>';
+  el('#createDraftsBtn').disabled = !suggestions.length;
+
+  el('#draftPurchases').classList.toggle('hidden', !purchaseDrafts.length);
+  qs('#draftTable tbody').innerHTML = purchaseDrafts.map(d => `<tr>
+      <td>${new Date(d.createdAt).toLocaleDateString()}</td>
+      <td>${escapeHtml(getParty('supplier', d.supplierId)?.name || 'No supplier')}</td>
+      <td>${escapeHtml(d.lines.map(l => `${inventory.find(i => i.id === l.invId)?.name || '(deleted item)'} ×${l.qty}`).join(', '))}</td>
+      <td class="num">${formatCurrency(draftTotal(d))}</td>
+      <td>
+        <button class="draft-open" data-id="${d.id}">Open</button>
+        ${d.supplierId ? `<button class="draft-po" data-id="${d.id}">Make PO</button>` : ''}
+        <button class="ghost draft-del" data-id="${d.id}">Delete</button>
+      </td>
+    </tr>`).join('');
+}
 
-  // Journals
-  renderPurchasesJournal();
-  renderSalesJournal();
-  renderCashReceipts();
-  renderCashDisbursements();
-  renderGeneralJournal();
+function fillItemSupplierSelect(){
+  const sel = el('#itemSupplier');
+  if(!sel) return;
+  const cur = sel.value;
+  sel.innerHTML = '<option value="">— None —</option>' + suppliers.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('');
+  sel.value = getParty('supplier', cur) ? cur : '';
+}
 
-  // NAV tabs
-  qsa('.tab-btn').forEach(btn=>{
-    btn.addEventListener('click', ()=>{
-      qsa('.tab-btn').forEach(b=>b.classList.remove('active'));
-      btn.classList.add('active');
-      const target = btn.dataset.target;
-      qsa('.view').forEach(v=>v.classList.remove('active'));
-      el('#'+target).classList.add('active');
-      if(target === 'inventoryView'){ renderInventory(); fillInventorySelects(); updateInventoryValue(); renderOverallLog(); }
-      if(target === 'journalsView'){
-        renderPurchasesJournal(); renderSalesJournal(); renderCashReceipts(); renderCashDisbursements(); renderGeneralJournal();
-      }
-    });
+function initReorder(){
+  on('#createDraftsBtn', 'click', ()=>{
+    const res = audited({ action: 'create', entity: 'draft', summary: 'Draft purchases from reorder suggestions' }, ()=> createDraftsFromSuggestions(suggestedPurchases()));
+    if(res.error){ alert(res.msg); return; }
+    showToast(`✓ ${res.count} draft purchase${res.count === 1 ? '' : 's'} created`);
+    renderReorderPanel();
   });
-
-  // Journals sub-tabs
-  qsa('.journal-subtab-btn').forEach(btn=>{
-    btn.addEventListener('click', ()=>{
-      qsa('.journal-subtab-btn').forEach(b=>b.classList.remove('active'));
-      btn.classList.add('active');
-      qsa('.journal-subview').forEach(v=>v.classList.remove('active'));
-      const target = btn.dataset.target;
-      el('#'+target).classList.add('active');
-      if(target === 'purchasesJournalView') renderPurchasesJournal();
-      if(target === 'salesJournalView') renderSalesJournal();
-      if(target === 'cashReceiptsView') renderCashReceipts();
-      if(target === 'cashDisbursementsView') renderCashDisbursements();
-      if(target === 'generalJournalView') renderGeneralJournal();
-    });
+  on('#draftTable', 'click', e=>{
+    const btn = e.target.closest('button[data-id]');
+    if(!btn) return;
+    if(btn.classList.contains('draft-open')) openPurchaseDraft(btn.dataset.id);
+    else if(btn.classList.contains('draft-po')){
+      const res = audited({ action: 'create', entity: 'po', summary: 'Purchase order from a draft' }, ()=> purchaseOrderFromDraft(btn.dataset.id));
+      if(res.error){ alert(res.msg); return; }
+      showToast(`✓ ${res.po.number} created as a draft`);
+      renderReorderPanel();
+      renderPurchaseOrders();
+    }
+    else if(btn.classList.contains('draft-del')){
+      if(!confirm('Delete this draft purchase?')) return;
+      audited({ action: 'delete', entity: 'draft' }, ()=> deletePurchaseDraft(btn.dataset.id));
+      renderReorderPanel();
+    }
   });
+  fillItemSupplierSelect();
+  renderReorderPanel();
+}
 
-  // transaction submit
-  el('#transactionForm').addEventListener('submit', e=>{
-    e.preventDefault();
-    commitTransactionForm();
-  });
-  el('#resetTxnBtn').addEventListener('click', resetTransactionForm);
+/* =========================
+   PURCHASE ORDERS
+   draft -> sent -> partially received -> received -> closed.
+   Receiving is what moves stock: each delivery adds quantity and cost layers at the
+   PO price, logs a 'receive' movement and posts Dr Inventory / Cr Goods Received Not
+   Invoiced. Billing turns what arrived and isn't billed yet into a credit purchase
+   transaction tagged `poId` (payable in purchasesJournal, Dr GRNI / Cr AP), so
+   payments, aging and due dates work as for any purchase. A bill never touches stock;
+   deleting it puts its quantities back to "unbilled". A PO closes once everything
+   received is billed and nothing is still expected, or by hand (the rest is cancelled).
+   ========================= */
+const PO_STATUSES = { draft: 'Draft', sent: 'Sent', partial: 'Partially received', received: 'Received', closed: 'Closed' };
 
-  // filters
-  on('#applyFilter','click', ()=>{
-    const from = el('#fromDate').value;
-    const to = el('#toDate').value;
-    renderTransactions(from,to);
-  });
-  on('#clearFilter','click', ()=>{
-    el('#fromDate').value = '';
-    el('#toDate').value = '';
-    renderTransactions();
-  });
+let editingPoId = null;
 
-  // inventory form submit
-  el('#inventoryForm').addEventListener('submit', e=>{
-    e.preventDefault();
-    const name = el('#itemName').value.trim();
-    const desc = el('#itemDesc').value.trim();
-    const cat = el('#itemCategory').value.trim();
-    const price = parseFloat(el('#itemPrice').value);
-    const qtyStart = parseInt(el('#itemQtyStart').value,10) || 0;
-    if(!name || isNaN(price) || price < 0){ alert('Enter item name and valid price'); return; }
+function nextPoNumber(){
+  const max = purchaseOrders.reduce((m, po)=> Math.max(m, parseInt(String(po.number).replace(/\D/g, ''), 10) || 0), 0);
+  return `PO-${String(max + 1).padStart(4, '0')}`;
+}
 
-    if(editingInventoryId){
-      const it = inventory.find(x=>x.id === editingInventoryId);
-      if(it){
-        it.name = name; it.description = desc; it.category = cat; it.unitPrice = Number(price);
-        if(it.quantity !== Number(qtyStart)){
-          const diff = Number(qtyStart) - Number(it.quantity);
-          it.quantity = Number(qtyStart);
-          addLog(it.id, 'manual', diff, 'Edit item starting qty adjusted');
-        }
-      }
-      editingInventoryId = null;
-    } else {
-      const id = uid();
-      inventory.push({ id, name, description: desc, category: cat, unitPrice: Number(price), quantity: Number(qtyStart) });
-      if(qtyStart !== 0) addLog(id, 'manual', Number(qtyStart), 'Initial stock on item creation');
-    }
+/* A PO line keeps qty / received / billed in base units; price is per the line's unit
+   (line.unit, blank = base unit) and factor is that unit's size when the PO was saved. */
+function poLineFactor(l){ return Number(l.factor) || 1; }
+function poLineBaseCost(l){ return Number(l.price) / poLineFactor(l); }
+/** A base quantity of a PO line in the line's unit: "1.5 case" or "36" */
+function poLineQtyLabel(l, baseQty){ return l.unit ? `${roundQty(baseQty / poLineFactor(l))} ${l.unit}` : `${roundQty(baseQty)}`; }
+
+function poTotal(po){ return roundMoney(po.lines.reduce((s, l)=> s + l.qty * poLineBaseCost(l), 0)); }
+function poLineOutstanding(po, l){ return po.closedAt ? 0 : Math.max(0, roundQty(l.qty - (l.received || 0))); }
+function poLineUnbilled(l){ return Math.max(0, roundQty((l.received || 0) - (l.billed || 0))); }
+
+function refreshPoStatus(po){
+  const received = po.lines.reduce((s, l)=> s + (l.received || 0), 0);
+  const expecting = po.lines.some(l => poLineOutstanding(po, l) > 0);
+  const unbilled = po.lines.some(l => poLineUnbilled(l) > 0);
+  if(po.closedAt || (po.sentAt && !expecting && !unbilled)) po.status = 'closed';
+  else if(!po.sentAt) po.status = 'draft';
+  else if(!received) po.status = 'sent';
+  else po.status = expecting ? 'partial' : 'received';
+  return po.status;
+}
 
-    saveAll();
-    clearInventoryForm();
-    renderInventory();
-    fillInventorySelects();
-  });
+/** Create or update a draft PO from { supplierId, date, expectedDate, notes, lines:[{invId, qty, unit?, price}] }
+  * (qty and price per `unit`, the base unit when blank) */
+function savePurchaseOrder(data, id){
+  const supplier = getParty('supplier', data.supplierId);
+  if(!supplier) return { error:true, msg: 'Pick a supplier.' };
+  const lines = (data.lines || []).filter(l => l.invId);
+  if(!lines.length) return { error:true, msg: 'Add at least one item.' };
+  for(const l of lines){
+    const item = inventory.find(i => i.id === l.invId);
+    if(!item) return { error:true, msg: 'Item not found.' };
+    if(!(Number(l.qty) > 0)) return { error:true, msg: 'Quantities must be more than zero.' };
+    if(!isItemUnit(item, l.unit)) return { error:true, msg: `"${item.name}" has no unit "${l.unit}".` };
+    if(!qtyAllowed(item, Number(l.qty) * unitFactor(item, l.unit))) return { error:true, msg: `"${item.name}" is ordered in whole ${baseUnit(item)}.` };
+    if(isNaN(Number(l.price)) || Number(l.price) < 0) return { error:true, msg: 'Enter a valid unit cost.' };
+  }
+  const fields = {
+    supplierId: supplier.id,
+    date: data.date || nowISO(),
+    expectedDate: data.expectedDate || null,
+    notes: data.notes || '',
+    lines: lines.map(l=>{
+      const item = inventory.find(i => i.id === l.invId);
+      const unit = l.unit && l.unit !== baseUnit(item) ? l.unit : '';
+      const factor = unitFactor(item, unit);
+      return { id: l.id || uid(), invId: l.invId, qty: roundQty(Number(l.qty) * factor), unit, unitQty: Number(l.qty), factor,
+        price: roundMoney(l.price), received: 0, billed: 0 };
+    })
+  };
+  let po;
+  if(id){
+    po = purchaseOrders.find(x => x.id === id);
+    if(!po) return { error:true, msg: 'Purchase order not found.' };
+    if(po.status !== 'draft') return { error:true, msg: 'Only draft purchase orders can be changed.' };
+    Object.assign(po, fields);
+  } else {
+    po = Object.assign({ id: uid(), number: nextPoNumber(), status: 'draft', sentAt: null, closedAt: null, receipts: [], createdAt: nowISO() }, fields);
+    purchaseOrders.push(po);
+  }
+  refreshPoStatus(po);
+  saveAll();
+  return { ok:true, po };
+}
 
-  on('#inventoryClear','click', clearInventoryForm);
-  on('#stockForm','submit', handleStockAdjust);
+function sendPurchaseOrder(id){
+  const po = purchaseOrders.find(x => x.id === id);
+  if(!po || po.status !== 'draft') return { error:true, msg: 'Only a draft can be sent.' };
+  po.sentAt = nowISO();
+  refreshPoStatus(po);
+  saveAll();
+  return { ok:true };
+}
 
-  // month picker
-  const monthPicker = el('#monthPicker');
-  if(monthPicker){
-    const now = new Date();
-    monthPicker.value = `${now.getFullYear()}-${String(now.getMonth()+1).padStart(2,'0')}`;
-    monthPicker.addEventListener('change', ()=> updateMonthlySummary());
-  }
+function poReceiptLedgerEntry(po, receipt){
+  const value = roundMoney(receipt.lines.reduce((s, rl)=>{
+    const l = po.lines.find(x => x.id === rl.lineId);
+    return s + (l ? rl.qty * poLineBaseCost(l) : 0);
+  }, 0));
+  return {
+    id: `po-receipt:${receipt.id}`, date: receipt.date, txnId: null, source: 'po-receipt', refId: po.id,
+    description: `Goods received — ${po.number} (${getParty('supplier', po.supplierId)?.name || 'Supplier'})`,
+    lines: [
+      { account: ACCT.INVENTORY, debit: value },
+      { account: ACCT.GRNI, credit: value }
+    ]
+  };
+}
 
-  // purchases log toggle
-  const toggleOverallLogBtn = el('#toggleOverallLog');
-  if(toggleOverallLogBtn){
-    toggleOverallLogBtn.addEventListener('click', ()=>{
-      const wrap = el('#overallLogWrapper');
-      if(!wrap) return;
-      wrap.classList.toggle('hidden');
-      toggleOverallLogBtn.textContent = wrap.classList.contains('hidden') ? 'Show Purchases Log' : 'Hide Purchases Log';
-      if(!wrap.classList.contains('hidden')) renderOverallLog();
-    });
+/** Receive a delivery: qtys is { lineId: qty in the line's unit }, date an ISO string */
+function receivePurchaseOrder(id, qtys, date, locationId){
+  const po = purchaseOrders.find(x => x.id === id);
+  if(!po) return { error:true, msg: 'Purchase order not found.' };
+  if(!['sent', 'partial'].includes(po.status)) return { error:true, msg: `${po.number} is not waiting for goods.` };
+  const lock = checkPeriodOpen(date, 'The receiving date');
+  if(lock.error) return lock;
+  const lines = [];
+  for(const l of po.lines){
+    const qty = roundQty(Number(qtys[l.id] || 0) * poLineFactor(l));
+    if(!qty) continue;
+    const item = inventory.find(i => i.id === l.invId);
+    const name = item?.name || 'item';
+    if(qty < 0) return { error:true, msg: `Invalid quantity for "${name}".` };
+    if(qty > poLineOutstanding(po, l) + QTY_EPSILON) return { error:true, msg: `Only ${poLineQtyLabel(l, poLineOutstanding(po, l))} of "${name}" is still expected.` };
+    if(!item) return { error:true, msg: `Inventory item not found for a line on ${po.number}.` };
+    if(!qtyAllowed(item, qty)) return { error:true, msg: `"${name}" is received in whole ${baseUnit(item)}; that is ${qty} ${baseUnit(item)}.` };
+    lines.push({ lineId: l.id, qty });
   }
-
-  // theme toggle (dark)
-  const themeToggleBtn = el('#theme-toggle');
-  if(settings.theme === 'dark'){ document.body.classList.add('dark-mode'); themeToggleBtn.textContent = '☀️ Light Mode'; }
-  if(themeToggleBtn){
-    themeToggleBtn.addEventListener('click', ()=>{
-      document.body.classList.toggle('dark-mode');
-      settings.theme = document.body.classList.contains('dark-mode') ? 'dark' : 'light';
-      saveAll();
-      themeToggleBtn.textContent = (settings.theme==='dark') ? '☀️ Light Mode' : '🌙 Dark Mode';
-    });
+  if(!lines.length) return { error:true, msg: 'Enter a quantity to receive.' };
+
+  const receipt = { id: uid(), date, lines, locationId: getLocation(locationId) ? locationId : defaultLocationId() };
+  // check the posting before any stock moves; free goods have nothing to post
+  const entry = poReceiptLedgerEntry(po, receipt);
+  const valued = cleanLedgerEntry(entry).lines.length > 0;
+  if(valued){
+    const check = validateLedgerEntry(cleanLedgerEntry(entry));
+    if(check.error) return { error:true, msg: 'Journal entry rejected: ' + check.msg };
   }
+  lines.forEach(rl=>{
+    const l = po.lines.find(x => x.id === rl.lineId);
+    const inv = inventory.find(i => i.id === l.invId);
+    adjustStock(inv, receipt.locationId, +rl.qty);
+    addToLayers(inv, rl.qty, poLineBaseCost(l), date, receipt.id);
+    inv.unitCost = poLineBaseCost(l);
+    addLog(inv.id, 'receive', +rl.qty, `Received on ${po.number}${l.unit ? ` (${poLineQtyLabel(l, rl.qty)})` : ''}`, date, receipt.locationId);
+    l.received = roundQty((l.received || 0) + rl.qty);
+  });
+  po.receipts.push(receipt);
+  if(valued) postLedgerEntry(entry);
+  refreshPoStatus(po);
+  saveAll();
+  return { ok:true };
+}
 
-  // accent picker
-  qsa('.accent-dot').forEach(btn=>{
-    btn.addEventListener('click', ()=>{
-      const accent = btn.dataset.accent;
-      document.body.classList.remove('theme-blue','theme-green','theme-lavender');
-      document.body.classList.add(`theme-${accent}`);
-      settings.accent = accent;
-      saveAll();
-    });
+/** Bill everything received and not billed yet, as one credit purchase */
+function billPurchaseOrder(id, date){
+  const po = purchaseOrders.find(x => x.id === id);
+  if(!po) return { error:true, msg: 'Purchase order not found.' };
+  const open = po.lines.filter(l => poLineUnbilled(l) > 0 && inventory.some(i => i.id === l.invId));
+  if(!open.length) return { error:true, msg: 'Nothing received is waiting to be billed.' };
+  const txn = buildTxnRecord({
+    description: `Bill — ${po.number}`, type: 'expense', paymentMethod: 'Credit', supplierId: po.supplierId, date,
+    lines: open.map(l=>{
+      const qty = poLineUnbilled(l);
+      const unitQty = roundQty(qty / poLineFactor(l));
+      // whole multiples bill in the ordered unit, anything else in base units at the same cost
+      return l.unit && roundQty(unitQty * poLineFactor(l)) === qty
+        ? { invId: l.invId, unit: l.unit, unitQty, price: l.price }
+        : { invId: l.invId, qty, price: poLineBaseCost(l), amount: roundMoney(qty * poLineBaseCost(l)) };
+    })
   });
+  txn.poId = po.id;
+  txn.lines.forEach((tl, i)=>{ tl.poLineId = open[i].id; });
+  const lock = checkPeriodOpen(txn.date, 'The bill date');
+  if(lock.error) return lock;
+  if(!confirmCreditLimit(txn)) return { error:true, msg: 'Bill cancelled.' };
+  applyTransactionInventory(txn);
+  addTransaction(txn);
+  open.forEach(l => { l.billed = roundQty((l.billed || 0) + poLineUnbilled(l)); });
+  refreshPoStatus(po);
+  saveAll();
+  return { ok:true, txn };
+}
 
-  // edit business
-  on('#editBizBtn','click', ()=>{
-    const name = prompt('Enter business name:', settings.businessName || 'Monimo');
-    if(name===null) return;
-    settings.businessName = name.trim() || 'Monimo';
-    saveAll();
-    applySettingsUI();
+/** A PO bill was deleted: its quantities are unbilled again */
+function unbillPurchaseOrder(txn){
+  const po = purchaseOrders.find(x => x.id === txn.poId);
+  if(!po) return;
+  txnLines(txn).forEach(tl=>{
+    const l = po.lines.find(x => x.id === tl.poLineId);
+    if(l) l.billed = Math.max(0, roundQty((l.billed || 0) - Number(tl.qty)));
+  });
+  refreshPoStatus(po);
+}
+
+function closePurchaseOrder(id){
+  const po = purchaseOrders.find(x => x.id === id);
+  if(!po || !po.sentAt || po.status === 'closed') return { error:true, msg: 'Only a sent, open purchase order can be closed.' };
+  if(po.lines.some(l => poLineUnbilled(l) > 0)) return { error:true, msg: `Bill the goods received on ${po.number} before closing it.` };
+  po.closedAt = nowISO();
+  refreshPoStatus(po);
+  saveAll();
+  return { ok:true };
+}
+
+function deletePurchaseOrder(id){
+  const po = purchaseOrders.find(x => x.id === id);
+  if(!po) return { error:true, msg: 'Purchase order not found.' };
+  if(po.receipts.length) return { error:true, msg: `${po.number} has deliveries received; close it instead.` };
+  purchaseOrders = purchaseOrders.filter(x => x.id !== id);
+  saveAll();
+  return { ok:true };
+}
+
+/** Turn a reorder draft into a draft PO (drafts without a supplier need one first) */
+function purchaseOrderFromDraft(draftId){
+  const d = purchaseDrafts.find(x => x.id === draftId);
+  if(!d) return { error:true, msg: 'Draft not found.' };
+  if(!getParty('supplier', d.supplierId)) return { error:true, msg: 'This draft has no supplier. Set a preferred supplier on the items, or open it as a purchase.' };
+  const res = savePurchaseOrder({ supplierId: d.supplierId, lines: d.lines });
+  if(res.error) return res;
+  deletePurchaseDraft(draftId);
+  return res;
+}
+
+/** Outstanding quantities per supplier across open POs */
+function openPoBySupplier(){
+  const groups = new Map();
+  purchaseOrders.filter(po => ['sent', 'partial'].includes(po.status)).forEach(po=>{
+    po.lines.forEach(l=>{
+      const qty = poLineOutstanding(po, l);
+      if(!(qty > 0)) return;
+      if(!groups.has(po.supplierId)) groups.set(po.supplierId, { supplierId: po.supplierId, value: 0, rows: [] });
+      const g = groups.get(po.supplierId);
+      g.rows.push({ po, line: l, qty, value: roundMoney(qty * poLineBaseCost(l)) });
+      g.value = roundMoney(g.value + qty * poLineBaseCost(l));
+    });
+  });
+  return Array.from(groups.values());
+}
+
+/* ---- PO form ---- */
+function addPoLineRow(line){
+  const tr = document.createElement('tr');
+  tr.innerHTML = `
+    <td><select class="po-item">${lineItemOptions()}</select></td>
+    <td><input class="po-qty" type="number" min="0" step="any" /></td>
+    <td><select class="po-unit"></select></td>
+    <td><input class="po-price" type="number" min="0" step="0.01" /></td>
+    <td class="num po-line-total"></td>
+    <td><button type="button" class="ghost po-line-remove" title="Remove line">✕</button></td>`;
+  if(line){
+    tr.querySelector('.po-item').value = line.invId || '';
+    tr.querySelector('.po-unit').innerHTML = unitOptions(inventory.find(i => i.id === line.invId));
+    tr.querySelector('.po-unit').value = line.unit || '';
+    tr.querySelector('.po-qty').value = line.unitQty ?? line.qty ?? '';
+    tr.querySelector('.po-price').value = line.price ?? '';
+  }
+  qs('#poLinesTable tbody').appendChild(tr);
+  updatePoTotals();
+  return tr;
+}
+
+function readPoLineRows(){
+  return qsa('#poLinesTable tbody tr').map(tr => ({
+    invId: tr.querySelector('.po-item').value,
+    qty: parseFloat(tr.querySelector('.po-qty').value),
+    unit: tr.querySelector('.po-unit').value,
+    price: parseFloat(tr.querySelector('.po-price').value)
+  }));
+}
+
+function updatePoTotals(){
+  let total = 0;
+  qsa('#poLinesTable tbody tr').forEach(tr=>{
+    const v = (parseFloat(tr.querySelector('.po-qty').value) || 0) * (parseFloat(tr.querySelector('.po-price').value) || 0);
+    tr.querySelector('.po-line-total').textContent = formatCurrency(v);
+    total += v;
+  });
+  el('#poTotal').textContent = formatCurrency(total);
+}
+
+function resetPoForm(){
+  el('#poForm').reset();
+  el('#poDate').value = toDateInputValue(new Date());
+  qs('#poLinesTable tbody').innerHTML = '';
+  addPoLineRow();
+  editingPoId = null;
+  el('#poSubmitBtn').textContent = 'Save draft';
+}
+
+function startEditPurchaseOrder(id){
+  const po = purchaseOrders.find(x => x.id === id);
+  if(!po) return;
+  el('#poSupplier').value = po.supplierId;
+  el('#poDate').value = toDateInputValue(po.date);
+  el('#poExpected').value = po.expectedDate ? toDateInputValue(po.expectedDate) : '';
+  el('#poNotes').value = po.notes || '';
+  qs('#poLinesTable tbody').innerHTML = '';
+  po.lines.forEach(addPoLineRow);
+  editingPoId = id;
+  el('#poSubmitBtn').textContent = `Update ${po.number}`;
+  window.scrollTo({top:0,behavior:'smooth'});
+}
+
+function fillPoSupplierSelect(){
+  const sel = el('#poSupplier');
+  if(!sel) return;
+  const cur = sel.value;
+  sel.innerHTML = '<option value="">— select supplier —</option>' + suppliers.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('');
+  sel.value = getParty('supplier', cur) ? cur : '';
+}
+
+function renderPurchaseOrders(){
+  const tb = qs('#poTable tbody');
+  if(!tb) return;
+  tb.innerHTML = purchaseOrders.slice().reverse().map(po=>{
+    const supplier = getParty('supplier', po.supplierId)?.name || '(deleted supplier)';
+    const receivedValue = roundMoney(po.lines.reduce((s, l)=> s + (l.received || 0) * poLineBaseCost(l), 0));
+    const billedValue = roundMoney(po.lines.reduce((s, l)=> s + (l.billed || 0) * poLineBaseCost(l), 0));
+    const receiving = ['sent', 'partial'].includes(po.status);
+    const actions = [
+      po.status === 'draft' ? `<button class="po-edit" data-id="${po.id}">Edit</button><button class="po-send" data-id="${po.id}">Mark sent</button>` : '',
+      receiving ? `<button class="po-receive-toggle" data-id="${po.id}">Receive</button>` : '',
+      po.lines.some(l => poLineUnbilled(l) > 0) ? `<button class="po-bill" data-id="${po.id}">Bill received</button>` : '',
+      po.sentAt && po.status !== 'closed' ? `<button class="ghost po-close" data-id="${po.id}">Close</button>` : '',
+      !po.receipts.length ? `<button class="ghost po-del" data-id="${po.id}">Delete</button>` : ''
+    ].join(' ');
+    const detail = receiving ? `<tr class="po-receive-row hidden" data-for="${po.id}"><td colspan="8">
+        <table class="small-log-table">
+          <thead><tr><th>Item</th><th>Ordered</th><th>Received</th><th>Expected</th><th>Receive now</th></tr></thead>
+          <tbody>${po.lines.map(l => `<tr>
+            <td>${escapeHtml(inventory.find(i => i.id === l.invId)?.name || '(deleted item)')}</td>
+            <td>${escapeHtml(poLineQtyLabel(l, l.qty))}</td><td>${escapeHtml(poLineQtyLabel(l, l.received || 0))}</td><td>${escapeHtml(poLineQtyLabel(l, poLineOutstanding(po, l)))}</td>
+            <td><input type="number" class="po-receive-qty" data-line="${l.id}" min="0" step="any" value="${roundQty(poLineOutstanding(po, l) / poLineFactor(l))}"> ${escapeHtml(l.unit)}</td>
+          </tr>`).join('')}</tbody>
+        </table>
+        <div class="po-receive-actions">
+          <label>Received on <input type="date" class="po-receive-date" value="${toDateInputValue(new Date())}"></label>
+          <label>Into <select class="po-receive-location location-select"></select></label>
+          <button class="po-receive" data-id="${po.id}">Receive goods</button>
+        </div>
+      </td></tr>` : '';
+    return `<tr class="po-row po-${po.status}">
+      <td><strong>${po.number}</strong>${po.notes ? `<div class="muted">${escapeHtml(po.notes)}</div>` : ''}</td>
+      <td>${escapeHtml(supplier)}</td>
+      <td>${new Date(po.date).toLocaleDateString()}${po.expectedDate ? `<div class="muted">expected ${new Date(po.expectedDate).toLocaleDateString()}</div>` : ''}</td>
+      <td><span class="badge po-status po-status-${po.status}">${PO_STATUSES[po.status]}</span></td>
+      <td class="num">${formatCurrency(poTotal(po))}</td>
+      <td class="num">${formatCurrency(receivedValue)}</td>
+      <td class="num">${formatCurrency(billedValue)}</td>
+      <td>${actions}</td>
+    </tr>${detail}`;
+  }).join('') || '<tr><td colspan="8" class="muted">No purchase orders yet.</td></tr>';
+
+  const groups = openPoBySupplier();
+  qs('#openPoTable tbody').innerHTML = groups.map(g => `
+    <tr class="open-po-group"><td colspan="4">${escapeHtml(getParty('supplier', g.supplierId)?.name || '(deleted supplier)')}</td><td class="num">${formatCurrency(g.value)}</td></tr>
+    ${g.rows.map(r => `<tr>
+      <td>${r.po.number}</td>
+      <td>${escapeHtml(inventory.find(i => i.id === r.line.invId)?.name || '(deleted item)')}</td>
+      <td>${escapeHtml(poLineQtyLabel(r.line, r.qty))} of ${escapeHtml(poLineQtyLabel(r.line, r.line.qty))}</td>
+      <td>${r.po.expectedDate ? new Date(r.po.expectedDate).toLocaleDateString() : '—'}</td>
+      <td class="num">${formatCurrency(r.value)}</td>
+    </tr>`).join('')}`).join('') || '<tr><td colspan="5" class="muted">Nothing is on order.</td></tr>';
+  fillLocationSelects(); // the receive rows' "Into" pickers
+}
+
+function initPurchaseOrders(){
+  if(!el('#poForm')) return;
+  fillPoSupplierSelect();
+  resetPoForm();
+  on('#addPoLineBtn', 'click', ()=> addPoLineRow());
+  on('#poLinesTable', 'input', updatePoTotals);
+  on('#poLinesTable', 'change', e=>{
+    // default the unit cost to the item's current cost
+    if(e.target.classList.contains('po-item')){
+      const tr = e.target.closest('tr');
+      const it = inventory.find(i => i.id === e.target.value);
+      tr.querySelector('.po-unit').innerHTML = unitOptions(it);
+      if(it && !tr.querySelector('.po-price').value) tr.querySelector('.po-price').value = it.unitCost ?? it.unitPrice ?? '';
+    }
+    if(e.target.classList.contains('po-unit')){
+      // the item's cost scaled to the picked unit
+      const tr = e.target.closest('tr');
+      const it = inventory.find(i => i.id === tr.querySelector('.po-item').value);
+      if(it) tr.querySelector('.po-price').value = roundMoney(Number(it.unitCost ?? it.unitPrice ?? 0) * unitFactor(it, e.target.value));
+    }
+    updatePoTotals();
+  });
+  on('#poLinesTable', 'click', e=>{
+    if(!e.target.classList.contains('po-line-remove')) return;
+    e.target.closest('tr').remove();
+    updatePoTotals();
+  });
+  on('#poForm', 'submit', e=>{
+    e.preventDefault();
+    const data = {
+      supplierId: el('#poSupplier').value,
+      date: dateInputToISO(el('#poDate').value),
+      expectedDate: el('#poExpected').value ? dateInputToISO(el('#poExpected').value) : null,
+      notes: el('#poNotes').value.trim(),
+      lines: readPoLineRows()
+    };
+    const res = audited({ action: editingPoId ? 'update' : 'create', entity: 'po' }, ()=> savePurchaseOrder(data, editingPoId));
+    if(res.error){ alert(res.msg); return; }
+    showToast(`✓ ${res.po.number} saved`);
+    resetPoForm();
+    renderPurchaseOrders();
+  });
+  on('#poClearBtn', 'click', resetPoForm);
+
+  on('#poTable', 'click', e=>{
+    const btn = e.target.closest('button[data-id]');
+    if(!btn) return;
+    const id = btn.dataset.id;
+    let res = { ok:true };
+    if(btn.classList.contains('po-edit')){ startEditPurchaseOrder(id); return; }
+    if(btn.classList.contains('po-receive-toggle')){
+      qs(`#poTable tr.po-receive-row[data-for="${id}"]`).classList.toggle('hidden');
+      return;
+    }
+    if(btn.classList.contains('po-send')) res = audited({ action: 'update', entity: 'po', summary: 'Purchase order sent' }, ()=> sendPurchaseOrder(id));
+    else if(btn.classList.contains('po-receive')){
+      const row = btn.closest('tr.po-receive-row');
+      const qtys = {};
+      row.querySelectorAll('.po-receive-qty').forEach(inp => { qtys[inp.dataset.line] = parseFloat(inp.value) || 0; });
+      const dateValue = row.querySelector('.po-receive-date').value;
+      if(isFutureDateInput(dateValue)){ alert('The receiving date cannot be in the future.'); return; }
+      const locationId = row.querySelector('.po-receive-location').value;
+      res = audited({ action: 'stock', entity: 'po', summary: 'Goods received' }, ()=> receivePurchaseOrder(id, qtys, dateInputToISO(dateValue), locationId));
+      if(!res.error){ renderInventory(); fillInventorySelects(); renderGeneralJournal(); }
+    } else if(btn.classList.contains('po-bill')){
+      const dateValue = prompt('Bill date (YYYY-MM-DD):', toDateInputValue(new Date()));
+      if(dateValue === null) return;
+      if(!/^\d{4}-\d{2}-\d{2}$/.test(dateValue.trim()) || isFutureDateInput(dateValue.trim())){ alert('Enter a valid date that is not in the future.'); return; }
+      res = audited({ action: 'create', entity: 'transaction', summary: 'Purchase order billed' }, ()=> billPurchaseOrder(id, dateInputToISO(dateValue.trim())));
+      if(!res.error) showToast(`✓ Bill posted to the Purchases Journal`);
+    } else if(btn.classList.contains('po-close')){
+      if(!confirm('Close this purchase order? Anything not received yet is cancelled.')) return;
+      res = audited({ action: 'update', entity: 'po', summary: 'Purchase order closed' }, ()=> closePurchaseOrder(id));
+    } else if(btn.classList.contains('po-del')){
+      if(!confirm('Delete this purchase order?')) return;
+      res = audited({ action: 'delete', entity: 'po' }, ()=> deletePurchaseOrder(id));
+    }
+    if(res.error){ alert(res.msg); return; }
+    renderPurchaseOrders();
+  });
+}
+
+/* =========================
+   STOCK TAKE (physical count)
+   A count snapshots the items in scope (all, or one item category) at one location
+   and collects counted quantities; blank means not counted and is left alone. Posting
+   compares each counted quantity with the system quantity there at that moment: a shortage leaves
+   stock at layer cost (shrinkage), an overage comes in at the item's average cost.
+   Every variance logs a 'count' movement and posts Dr/Cr Inventory against
+   Inventory Shrinkage & Adjustments (see postInventoryAdjustment). Only one count
+   can be open at a time; posted counts are kept as the count report.
+   ========================= */
+function nextCountNumber(){
+  const max = stockCounts.reduce((m, c)=> Math.max(m, parseInt(String(c.number).replace(/\D/g, ''), 10) || 0), 0);
+  return `SC-${String(max + 1).padStart(4, '0')}`;
+}
+
+function openStockCount(){ return stockCounts.find(c => c.status === 'open') || null; }
+
+function itemCategories(){
+  return Array.from(new Set(inventory.map(i => (i.category || '').trim()).filter(Boolean))).sort((a,b)=> a.localeCompare(b));
+}
+
+/** Variance of a count line: posted lines keep theirs, open ones compare with stock now */
+function countLineVariance(count, line){
+  if(line.counted === null || line.counted === undefined) return null;
+  if(count.status === 'posted') return line.variance;
+  const item = inventory.find(i => i.id === line.invId);
+  return item ? roundQty(Number(line.counted) - locationQty(item, docLocation(count))) : null;
+}
+
+function countTotals(count){
+  return count.lines.reduce((s, l)=>{
+    if(count.status !== 'posted' || !l.value) return s;
+    if(l.value < 0) s.shrinkage = roundMoney(s.shrinkage - l.value);
+    else s.overage = roundMoney(s.overage + l.value);
+    s.net = roundMoney(s.overage - s.shrinkage);
+    return s;
+  }, { shrinkage: 0, overage: 0, net: 0 });
+}
+
+function startStockCount(category, date, locationId){
+  if(openStockCount()) return { error:true, msg: `${openStockCount().number} is still open. Post or discard it first.` };
+  const lock = checkPeriodOpen(date, 'The count date');
+  if(lock.error) return lock;
+  const items = inventory.filter(i => !category || (i.category || '').trim() === category);
+  if(!items.length) return { error:true, msg: 'No items to count.' };
+  const loc = getLocation(locationId) ? locationId : defaultLocationId();
+  const count = {
+    id: uid(), number: nextCountNumber(), date, category: category || '', locationId: loc, status: 'open',
+    lines: items.map(i => ({ invId: i.id, name: i.name, systemQty: locationQty(i, loc), counted: null })),
+    createdAt: nowISO(), postedAt: null
+  };
+  stockCounts.push(count);
+  saveAll();
+  return { ok:true, count };
+}
+
+/** counted: number, or null to clear */
+function setCountedQty(countId, invId, counted){
+  const count = stockCounts.find(c => c.id === countId);
+  const line = count && count.status === 'open' && count.lines.find(l => l.invId === invId);
+  if(!line) return { error:true, msg: 'Count line not found.' };
+  if(counted !== null && (isNaN(counted) || counted < 0)) return { error:true, msg: 'Enter a counted quantity of 0 or more.' };
+  const item = inventory.find(i => i.id === invId);
+  if(counted !== null && !qtyAllowed(item, counted)) return { error:true, msg: `"${item.name}" is counted in whole ${baseUnit(item)}.` };
+  line.counted = counted;
+  saveAll();
+  return { ok:true };
+}
+
+function postStockCount(id){
+  const count = stockCounts.find(c => c.id === id);
+  if(!count || count.status !== 'open') return { error:true, msg: 'Count not found.' };
+  const lock = checkPeriodOpen(count.date, 'The count date');
+  if(lock.error) return lock;
+  const counted = count.lines.filter(l => l.counted !== null && l.counted !== undefined);
+  if(!counted.length) return { error:true, msg: 'Enter at least one counted quantity.' };
+  const loc = docLocation(count);
+
+  count.lines.forEach(line=>{
+    const item = inventory.find(i => i.id === line.invId);
+    if(!item || line.counted === null || line.counted === undefined) return;
+    line.systemQty = locationQty(item, loc);
+    line.variance = roundQty(Number(line.counted) - line.systemQty);
+    line.value = 0;
+    if(!line.variance) return;
+    let value;
+    if(line.variance < 0){
+      value = consumeLayers(item, -line.variance).cost;
+    } else {
+      value = roundMoney(itemAverageCost(item) * line.variance);
+      addToLayers(item, line.variance, itemAverageCost(item), count.date, count.id);
+    }
+    adjustStock(item, loc, line.variance);
+    const logEntry = addLog(item.id, 'count', line.variance, `Stock count ${count.number}: ${line.variance < 0 ? 'shrinkage' : 'overage'}`, count.date, loc);
+    postInventoryAdjustment(item, logEntry, value);
+    line.logId = logEntry.id;
+    line.value = line.variance < 0 ? -value : value;
+  });
+  count.status = 'posted';
+  count.postedAt = nowISO();
+  saveAll();
+  return { ok:true, count };
+}
+
+function discardStockCount(id){
+  const count = stockCounts.find(c => c.id === id);
+  if(!count || count.status !== 'open') return { error:true, msg: 'Only an open count can be discarded.' };
+  stockCounts = stockCounts.filter(c => c.id !== id);
+  saveAll();
+  return { ok:true };
+}
+
+function countReportRows(count){
+  return count.lines.map(l=>{
+    const variance = countLineVariance(count, l);
+    return {
+      name: inventory.find(i => i.id === l.invId)?.name || l.name,
+      category: inventory.find(i => i.id === l.invId)?.category || '',
+      systemQty: count.status === 'posted' || !inventory.some(i => i.id === l.invId) ? l.systemQty : locationQty(inventory.find(i => i.id === l.invId), docLocation(count)),
+      counted: l.counted, variance, value: count.status === 'posted' ? (l.value || 0) : null
+    };
+  });
+}
+
+function exportCountCsv(id){
+  const count = stockCounts.find(c => c.id === id);
+  if(!count) return;
+  const header = ['Item','Category','System Qty','Counted','Variance','Value'];
+  const lines = countReportRows(count).map(r => [r.name, r.category, r.systemQty, r.counted ?? '', r.variance ?? '', r.value === null ? '' : r.value.toFixed(2)].map(csvEscape).join(','));
+  downloadCSV(`stock_count_${count.number}.csv`, [header.join(','), ...lines].join('\n'));
+}
+
+function fillCountCategorySelect(){
+  const sel = el('#countCategory');
+  if(!sel) return;
+  const current = sel.value;
+  sel.innerHTML = '<option value="">All items</option>' + itemCategories().map(c => `<option value="${escapeHtml(c)}">${escapeHtml(c)}</option>`).join('');
+  sel.value = itemCategories().includes(current) ? current : '';
+}
+
+function renderCountSheet(){
+  const wrap = el('#countSheet');
+  if(!wrap) return;
+  const count = openStockCount();
+  wrap.classList.toggle('hidden', !count);
+  if(!count) return;
+  el('#countSheetTitle').textContent = `${count.number} — ${count.category || 'All items'} at ${locationName(docLocation(count))} · ${new Date(count.date).toLocaleDateString()}`;
+  qs('#countSheetTable tbody').innerHTML = countReportRows(count).map((r, i)=>{
+    const line = count.lines[i];
+    return `<tr class="${r.variance ? (r.variance < 0 ? 'count-short' : 'count-over') : ''}">
+      <td>${escapeHtml(r.name)}</td><td>${escapeHtml(r.category)}</td><td>${r.systemQty}</td>
+      <td><input type="number" class="count-qty" data-inv="${line.invId}" min="0" step="any" value="${r.counted ?? ''}"></td>
+      <td>${r.variance === null ? '' : (r.variance > 0 ? '+' : '') + r.variance}</td>
+    </tr>`;
+  }).join('');
+  const done = count.lines.filter(l => l.counted !== null && l.counted !== undefined).length;
+  el('#countProgress').textContent = `${done} of ${count.lines.length} counted`;
+}
+
+function renderCountReport(id){
+  const wrap = el('#countReport');
+  if(!wrap) return;
+  const count = stockCounts.find(c => c.id === id && c.status === 'posted');
+  wrap.classList.toggle('hidden', !count);
+  if(!count) return;
+  const t = countTotals(count);
+  el('#countReportTitle').textContent = `Count report ${count.number} — ${count.category || 'All items'} at ${locationName(docLocation(count))} · ${new Date(count.date).toLocaleDateString()}`;
+  qs('#countReportTable tbody').innerHTML = countReportRows(count).filter(r => r.counted !== null && r.counted !== undefined).map(r => `<tr>
+      <td>${escapeHtml(r.name)}</td><td>${escapeHtml(r.category)}</td><td>${r.systemQty}</td><td>${r.counted}</td>
+      <td>${r.variance > 0 ? '+' : ''}${r.variance}</td><td>${formatCurrency(r.value)}</td>
+    </tr>`).join('');
+  qs('#countReportTable tfoot').innerHTML = `
+    <tr><td colspan="5">Shrinkage</td><td>${formatCurrency(-t.shrinkage)}</td></tr>
+    <tr><td colspan="5">Overage</td><td>${formatCurrency(t.overage)}</td></tr>
+    <tr class="total"><td colspan="5">Net adjustment</td><td>${formatCurrency(t.net)}</td></tr>`;
+  el('#exportCountCsv').dataset.id = count.id;
+}
+
+function renderStockCounts(){
+  fillCountCategorySelect();
+  renderCountSheet();
+  const tb = qs('#countTable tbody');
+  if(!tb) return;
+  tb.innerHTML = stockCounts.slice().reverse().map(c=>{
+    const t = countTotals(c);
+    const counted = c.lines.filter(l => l.counted !== null && l.counted !== undefined).length;
+    return `<tr>
+      <td><strong>${c.number}</strong></td>
+      <td>${new Date(c.date).toLocaleDateString()}</td>
+      <td>${escapeHtml(c.category || 'All items')}<div class="muted">${escapeHtml(locationName(docLocation(c)))}</div></td>
+      <td>${counted} / ${c.lines.length}</td>
+      <td>${c.status === 'posted' ? formatCurrency(-t.shrinkage) : ''}</td>
+      <td>${c.status === 'posted' ? formatCurrency(t.overage) : ''}</td>
+      <td>${c.status === 'posted' ? formatCurrency(t.net) : ''}</td>
+      <td>${c.status === 'posted' ? 'Posted' : 'Open'}</td>
+      <td>${c.status === 'posted' ? `<button class="ghost count-view" data-id="${c.id}">Report</button>` : ''}</td>
+    </tr>`;
+  }).join('') || '<tr><td colspan="9" class="muted">No stock counts yet.</td></tr>';
+}
+
+function initStockTake(){
+  if(!el('#countStartForm')) return;
+  el('#countDate').value = toDateInputValue(new Date());
+  on('#countStartForm', 'submit', e=>{
+    e.preventDefault();
+    const dateValue = el('#countDate').value;
+    if(isFutureDateInput(dateValue)){ alert('The count date cannot be in the future.'); return; }
+    const res = audited({ action: 'create', entity: 'count' }, ()=> startStockCount(el('#countCategory').value, dateInputToISO(dateValue), el('#countLocation').value));
+    if(res.error){ alert(res.msg); return; }
+    renderStockCounts();
+  });
+  on('#countSheetTable', 'change', e=>{
+    if(!e.target.classList.contains('count-qty')) return;
+    const count = openStockCount();
+    const v = e.target.value.trim();
+    const res = audited({ action: 'update', entity: 'count', summary: 'Counted quantity entered' }, ()=> setCountedQty(count.id, e.target.dataset.inv, v === '' ? null : parseFloat(v)));
+    if(res.error) alert(res.msg);
+    renderCountSheet();
+  });
+  on('#printCountSheet', 'click', ()=> printReport('countSheet'));
+  on('#postCountBtn', 'click', ()=>{
+    const count = openStockCount();
+    if(!count) return;
+    const changes = count.lines.filter(l => countLineVariance(count, l)).length;
+    if(!confirm(`Post ${count.number}? ${changes} item(s) will be adjusted to the counted quantity.`)) return;
+    const res = audited({ action: 'stock', entity: 'count', summary: `Stock count ${count.number} posted` }, ()=> postStockCount(count.id));
+    if(res.error){ alert(res.msg); return; }
+    showToast(`✓ ${count.number} posted · net ${formatCurrency(countTotals(res.count).net)}`);
+    renderStockCounts();
+    renderCountReport(count.id);
+    renderInventory(); fillInventorySelects(); updateInventoryValue(); renderGeneralJournal();
+  });
+  on('#discardCountBtn', 'click', ()=>{
+    const count = openStockCount();
+    if(!count || !confirm(`Discard ${count.number}? Counted quantities are lost.`)) return;
+    const res = audited({ action: 'delete', entity: 'count' }, ()=> discardStockCount(count.id));
+    if(res.error){ alert(res.msg); return; }
+    renderStockCounts();
+  });
+  on('#countTable', 'click', e=>{
+    const btn = e.target.closest('.count-view');
+    if(btn) renderCountReport(btn.dataset.id);
+  });
+  on('#exportCountCsv', 'click', e=> exportCountCsv(e.target.dataset.id));
+  on('#printCountReport', 'click', ()=> printReport('countReport'));
+  renderStockCounts();
+}
+
+/* =========================
+   STOCK LOCATIONS + TRANSFERS
+   Stock is held per location: item.stock maps location id -> qty and item.quantity
+   stays the total, so whatever only needs "how many do we have" reads it unchanged.
+   Everything that moves stock goes through adjustStock() with a location (the
+   document's locationId, the first location otherwise). Cost layers stay per item;
+   a location is valued at the item's average cost. A transfer moves quantities
+   between two locations with a pair of 'transfer' logs (out / in) and no journal
+   entry, since the stock value does not change.
+   ========================= */
+const DEFAULT_LOCATION_ID = 'main';
+
+function defaultLocationId(){ return locations[0] ? locations[0].id : DEFAULT_LOCATION_ID; }
+function getLocation(id){ return locations.find(l => l.id === id) || null; }
+function locationName(id){ return getLocation(id)?.name || '(deleted location)'; }
+
+/** Where a document moved stock; records saved before locations (or pointing at a deleted one) use the default */
+function docLocation(doc){ return doc && getLocation(doc.locationId) ? doc.locationId : defaultLocationId(); }
+
+function ensureDefaultLocation(){
+  if(!locations.length) locations.push({ id: DEFAULT_LOCATION_ID, name: 'Store', createdAt: nowISO() });
+}
+
+/** Per-location quantities; items saved before locations hold everything at the default one */
+function itemStock(item){
+  if(!item.stock || typeof item.stock !== 'object') item.stock = { [defaultLocationId()]: Number(item.quantity || 0) };
+  return item.stock;
+}
+
+/** Quantity at a location, or the total when no location is given */
+function locationQty(item, locationId){
+  return locationId ? Number(itemStock(item)[locationId] || 0) : Number(item.quantity || 0);
+}
+
+function adjustStock(item, locationId, delta){
+  const stock = itemStock(item);
+  const loc = locationId || defaultLocationId();
+  stock[loc] = roundQty(Number(stock[loc] || 0) + Number(delta));
+  item.quantity = roundQty(Number(item.quantity) + Number(delta));
+}
+
+function locationStockValue(item, locationId){
+  if(!locationId) return itemStockValue(item);
+  return roundMoney(locationQty(item, locationId) * itemAverageCost(item));
+}
+
+function saveLocation(name, id){
+  name = (name || '').trim();
+  if(!name) return { error:true, msg: 'Enter a location name.' };
+  if(locations.some(l => l.id !== id && l.name.toLowerCase() === name.toLowerCase())) return { error:true, msg: `A location named "${name}" already exists.` };
+  if(id){
+    const loc = getLocation(id);
+    if(!loc) return { error:true, msg: 'Location not found.' };
+    loc.name = name;
+  } else {
+    inventory.forEach(itemStock); // pin legacy stock to the current default first
+    locations.push({ id: uid(), name, createdAt: nowISO() });
+  }
+  saveAll();
+  return { ok:true };
+}
+
+function deleteLocation(id){
+  if(!getLocation(id)) return { error:true, msg: 'Location not found.' };
+  if(locations.length <= 1) return { error:true, msg: 'Keep at least one location.' };
+  // old documents without a location (and those pointing at a deleted one) read as the default
+  if(id === defaultLocationId()) return { error:true, msg: `${locationName(id)} is the default location and can't be deleted.` };
+  const held = inventory.find(i => Math.abs(locationQty(i, id)) > QTY_EPSILON);
+  if(held) return { error:true, msg: `${locationName(id)} still holds "${held.name}". Transfer or count it out first.` };
+  inventory.forEach(i => { delete itemStock(i)[id]; });
+  locations = locations.filter(l => l.id !== id);
+  saveAll();
+  return { ok:true };
+}
+
+function nextTransferNumber(){
+  const max = transfers.reduce((m, t)=> Math.max(m, parseInt(String(t.number).replace(/\D/g, ''), 10) || 0), 0);
+  return `TR-${String(max + 1).padStart(4, '0')}`;
+}
+
+/** data: { fromId, toId, date, note, lines: [{ invId, qty }] } */
+function createTransfer(data){
+  if(!getLocation(data.fromId) || !getLocation(data.toId)) return { error:true, msg: 'Pick both locations.' };
+  if(data.fromId === data.toId) return { error:true, msg: 'Pick two different locations.' };
+  const lock = checkPeriodOpen(data.date, 'The transfer date');
+  if(lock.error) return lock;
+  const lines = Array.from(lineQtyByItem((data.lines || []).filter(l => l.invId && Number(l.qty) > 0)), ([invId, qty]) => ({ invId, qty }));
+  if(!lines.length) return { error:true, msg: 'Add at least one item and quantity.' };
+  for(const l of lines){
+    const inv = inventory.find(i => i.id === l.invId);
+    if(!inv) return { error:true, msg: 'Inventory item not found.' };
+    if(!qtyAllowed(inv, l.qty)) return { error:true, msg: `"${inv.name}" moves in whole ${baseUnit(inv)}.` };
+    if(locationQty(inv, data.fromId) < l.qty - QTY_EPSILON) return { error:true, msg: `Only ${locationQty(inv, data.fromId)} of "${inv.name}" at ${locationName(data.fromId)}.` };
+  }
+  const tr = { id: uid(), number: nextTransferNumber(), date: data.date, fromId: data.fromId, toId: data.toId, note: data.note || '', lines: [], createdAt: nowISO() };
+  lines.forEach(l=>{
+    const inv = inventory.find(i => i.id === l.invId);
+    adjustStock(inv, tr.fromId, -l.qty);
+    const out = addLog(inv.id, 'transfer', -l.qty, `Transfer ${tr.number} out to ${locationName(tr.toId)}`, tr.date, tr.fromId);
+    adjustStock(inv, tr.toId, +l.qty);
+    const inn = addLog(inv.id, 'transfer', +l.qty, `Transfer ${tr.number} in from ${locationName(tr.fromId)}`, tr.date, tr.toId);
+    tr.lines.push({ invId: inv.id, qty: l.qty, outLogId: out.id, inLogId: inn.id });
+  });
+  transfers.push(tr);
+  saveAll();
+  return { ok:true, transfer: tr };
+}
+
+/** Move the stock back; fails when the destination no longer holds it */
+function deleteTransfer(id){
+  const tr = transfers.find(t => t.id === id);
+  if(!tr) return { error:true, msg: 'Transfer not found.' };
+  const lock = checkPeriodOpen(tr.date, 'This transfer');
+  if(lock.error) return lock;
+  for(const l of tr.lines){
+    const inv = inventory.find(i => i.id === l.invId);
+    if(inv && locationQty(inv, tr.toId) < l.qty - QTY_EPSILON) return { error:true, msg: `Only ${locationQty(inv, tr.toId)} of "${inv.name}" is left at ${locationName(tr.toId)}.` };
+  }
+  tr.lines.forEach(l=>{
+    const inv = inventory.find(i => i.id === l.invId);
+    if(!inv) return;
+    adjustStock(inv, tr.toId, -l.qty);
+    addLog(inv.id, 'restore', -l.qty, `Restore from deleted transfer ${tr.number}`, tr.date, tr.toId);
+    adjustStock(inv, tr.fromId, +l.qty);
+    addLog(inv.id, 'restore', +l.qty, `Restore from deleted transfer ${tr.number}`, tr.date, tr.fromId);
+  });
+  transfers = transfers.filter(t => t.id !== id);
+  saveAll();
+  return { ok:true };
+}
+
+/** Every select.location-select; data-all adds an "All locations" choice */
+function fillLocationSelects(){
+  qsa('select.location-select').forEach(sel=>{
+    const cur = sel.value;
+    const all = sel.dataset.all !== undefined;
+    sel.innerHTML = (all ? '<option value="">All locations</option>' : '')
+      + locations.map(l => `<option value="${l.id}">${escapeHtml(l.name)}</option>`).join('');
+    sel.value = getLocation(cur) ? cur : (all ? '' : defaultLocationId());
+  });
+}
+
+/** The Inventory view's location filter ('' = all locations) */
+function selectedInventoryLocation(){
+  const sel = el('#inventoryLocation');
+  return sel && getLocation(sel.value) ? sel.value : '';
+}
+
+function addTransferLineRow(line = {}){
+  const tr = document.createElement('tr');
+  tr.innerHTML = `
+    <td><select class="tr-item">${lineItemOptions()}</select></td>
+    <td><input type="number" class="tr-qty" min="0" step="any" value="${line.qty ?? ''}"></td>
+    <td><button type="button" class="ghost tr-line-remove">✕</button></td>`;
+  tr.querySelector('.tr-item').value = line.invId || '';
+  qs('#transferLinesTable tbody').appendChild(tr);
+}
+
+function resetTransferForm(){
+  qs('#transferLinesTable tbody').innerHTML = '';
+  addTransferLineRow();
+  el('#transferDate').value = toDateInputValue(new Date());
+  el('#transferNote').value = '';
+}
+
+function renderLocations(){
+  fillLocationSelects();
+  const tb = qs('#locationTable tbody');
+  if(!tb) return;
+  tb.innerHTML = locations.map((l, i)=>{
+    const qty = inventory.reduce((s, it)=> s + locationQty(it, l.id), 0);
+    const value = roundMoney(inventory.reduce((s, it)=> s + locationStockValue(it, l.id), 0));
+    return `<tr>
+      <td>${escapeHtml(l.name)}${i === 0 ? ' <span class="muted">(default)</span>' : ''}</td>
+      <td>${roundQty(qty)}</td>
+      <td>${formatCurrency(value)}</td>
+      <td>
+        <button class="ghost loc-rename" data-id="${l.id}">Rename</button>
+        ${i > 0 ? `<button class="ghost loc-del" data-id="${l.id}">Delete</button>` : ''}
+      </td>
+    </tr>`;
+  }).join('');
+  const ttb = qs('#transferTable tbody');
+  if(!ttb) return;
+  ttb.innerHTML = transfers.slice().reverse().map(t => `<tr>
+      <td><strong>${t.number}</strong></td>
+      <td>${new Date(t.date).toLocaleDateString()}</td>
+      <td>${escapeHtml(locationName(t.fromId))} → ${escapeHtml(locationName(t.toId))}</td>
+      <td>${escapeHtml(t.lines.map(l => `${inventory.find(i => i.id === l.invId)?.name || '(deleted item)'} ×${l.qty}`).join(', '))}${t.note ? `<div class="muted">${escapeHtml(t.note)}</div>` : ''}</td>
+      <td><button class="ghost transfer-del" data-id="${t.id}">Delete</button></td>
+    </tr>`).join('') || '<tr><td colspan="5" class="muted">No transfers yet.</td></tr>';
+}
+
+function afterLocationChange(){
+  renderInventory(); fillInventorySelects(); renderStockCounts();
+}
+
+function initLocations(){
+  if(!el('#locationForm')) return;
+  resetTransferForm();
+  on('#inventoryLocation', 'change', ()=> renderInventory());
+  on('#locationForm', 'submit', e=>{
+    e.preventDefault();
+    const res = audited({ action: 'create', entity: 'location' }, ()=> saveLocation(el('#locationName').value));
+    if(res.error){ alert(res.msg); return; }
+    el('#locationName').value = '';
+    afterLocationChange();
+  });
+  on('#locationTable', 'click', e=>{
+    const btn = e.target.closest('button[data-id]');
+    if(!btn) return;
+    const id = btn.dataset.id;
+    let res;
+    if(btn.classList.contains('loc-rename')){
+      const name = prompt('Location name:', locationName(id));
+      if(name === null) return;
+      res = audited({ action: 'update', entity: 'location' }, ()=> saveLocation(name, id));
+    } else if(btn.classList.contains('loc-del')){
+      if(!confirm(`Delete ${locationName(id)}?`)) return;
+      res = audited({ action: 'delete', entity: 'location' }, ()=> deleteLocation(id));
+    } else return;
+    if(res.error){ alert(res.msg); return; }
+    afterLocationChange();
+  });
+  on('#addTransferLineBtn', 'click', ()=> addTransferLineRow());
+  on('#transferLinesTable', 'click', e=>{
+    if(e.target.classList.contains('tr-line-remove')) e.target.closest('tr').remove();
+  });
+  on('#transferForm', 'submit', e=>{
+    e.preventDefault();
+    const dateValue = el('#transferDate').value;
+    if(isFutureDateInput(dateValue)){ alert('The transfer date cannot be in the future.'); return; }
+    const data = {
+      fromId: el('#transferFrom').value, toId: el('#transferTo').value,
+      date: dateInputToISO(dateValue), note: el('#transferNote').value.trim(),
+      lines: qsa('#transferLinesTable tbody tr').map(tr => ({ invId: tr.querySelector('.tr-item').value, qty: parseFloat(tr.querySelector('.tr-qty').value) || 0 }))
+    };
+    const res = audited({ action: 'stock', entity: 'transfer' }, ()=> createTransfer(data));
+    if(res.error){ alert(res.msg); return; }
+    showToast(`✓ ${res.transfer.number} recorded`);
+    resetTransferForm();
+    afterLocationChange();
+  });
+  on('#transferTable', 'click', e=>{
+    const btn = e.target.closest('.transfer-del');
+    if(!btn || !confirm('Delete this transfer? The stock moves back.')) return;
+    const res = audited({ action: 'delete', entity: 'transfer' }, ()=> deleteTransfer(btn.dataset.id));
+    if(res.error){ alert(res.msg); return; }
+    afterLocationChange();
+  });
+}
+
+/* =========================
+   CUSTOMERS & SUPPLIERS
+   Master records for the people we sell to and buy from. Transactions and
+   Sales/Purchases Journal rows link by id (customerId / supplierId) and keep a
+   copy of the name for display.
+   ========================= */
+const PAYMENT_TERMS = [
+  { code: 'due_on_receipt', label: 'COD (due on receipt)', days: 0 },
+  { code: 'net7',  label: 'Net 7',  days: 7 },
+  { code: 'net15', label: 'Net 15', days: 15 },
+  { code: 'net30', label: 'Net 30', days: 30 },
+  { code: 'net60', label: 'Net 60', days: 60 }
+];
+
+const PARTY_KINDS = {
+  customer: {
+    label: 'Customer', plural: 'Customers', idField: 'customerId', nameField: 'customer',
+    table: '#customersTable', form: '#customerForm', ledger: '#customerLedger', select: '#customerSelect',
+    list: ()=> customers, setList: v=>{ customers = v; }, journal: ()=> salesJournal
+  },
+  supplier: {
+    label: 'Supplier', plural: 'Suppliers', idField: 'supplierId', nameField: 'supplier',
+    table: '#suppliersTable', form: '#supplierForm', ledger: '#supplierLedger', select: '#supplierSelect',
+    list: ()=> suppliers, setList: v=>{ suppliers = v; }, journal: ()=> purchasesJournal
+  }
+};
+
+const TERMS_CUSTOM = 'custom'; // transaction form only: a due date picked by hand
+
+function paymentTermsLabel(code){
+  if(code === TERMS_CUSTOM) return 'Custom date';
+  return (PAYMENT_TERMS.find(t => t.code === code) || PAYMENT_TERMS[0]).label;
+}
+
+/** Due date of a credit document: the picked date for custom terms, else the document date plus the terms' days */
+function computeDueDate(date, terms, customDate){
+  if(terms === TERMS_CUSTOM) return customDate ? startOfDay(customDate).toISOString() : null;
+  const t = PAYMENT_TERMS.find(x => x.code === terms) || PAYMENT_TERMS[0];
+  const due = new Date(date);
+  due.setDate(due.getDate() + t.days);
+  return due.toISOString();
+}
+
+function getParty(kind, id){
+  return PARTY_KINDS[kind].list().find(p => p.id === id) || null;
+}
+
+function findPartyByName(kind, name){
+  const key = String(name || '').trim().toLowerCase();
+  if(!key) return null;
+  return PARTY_KINDS[kind].list().find(p => p.name.trim().toLowerCase() === key) || null;
+}
+
+function createParty(kind, data){
+  const party = {
+    id: uid(),
+    name: String(data.name).trim(),
+    phone: data.phone || '',
+    email: data.email || '',
+    address: data.address || '',
+    creditLimit: Number(data.creditLimit || 0),
+    terms: data.terms || PAYMENT_TERMS[0].code,
+    notes: data.notes || '',
+    createdAt: nowISO()
+  };
+  PARTY_KINDS[kind].list().push(party);
+  saveAll();
+  return party;
+}
+
+/** Existing record with this name (case-insensitive), or a new one */
+function ensureParty(kind, name){
+  return findPartyByName(kind, name) || createParty(kind, { name });
+}
+
+/** Every payment recorded against a Sales (customer) or Purchases (supplier) journal entry, voided ones included */
+function linkedPayments(kind, j){
+  return kind === 'customer'
+    ? cashReceipts.filter(r => r.saleId === j.id)
+    : cashDisbursements.filter(d => d.txnId === j.txnId);
+}
+
+/** Payments that still count against a journal entry (at asOf: not voided yet by then) */
+function journalPayments(kind, j, asOf){
+  return linkedPayments(kind, j).filter(p => !p.voidedAt || (asOf && new Date(p.voidedAt) > asOf));
+}
+
+/** What was still owed on a journal entry at a date (now when asOf is omitted) */
+function openBalanceAsOf(kind, j, asOf){
+  if(asOf && new Date(j.date) > asOf) return 0;
+  const paid = journalPayments(kind, j, asOf)
+    .filter(p => !asOf || new Date(p.date) <= asOf)
+    .reduce((s,p)=> s + Number(p.amount), 0);
+  return roundMoney(Math.max(0, Number(j.amount) - paid - journalReturned(j, asOf)));
+}
+
+/** When a journal entry falls due: its own dueDate, else the party's default terms from the entry date */
+function journalDueDate(j, kind){
+  if(j.dueDate) return new Date(j.dueDate);
+  const party = getParty(kind, j[PARTY_KINDS[kind].idField]);
+  const terms = PAYMENT_TERMS.find(t => t.code === (party && party.terms)) || PAYMENT_TERMS[0];
+  const due = new Date(j.date);
+  due.setDate(due.getDate() + terms.days);
+  return due;
+}
+
+/** Due date cell for a Sales/Purchases Journal row; flags open credit entries past due */
+function dueDateCell(kind, j, remaining){
+  if(j.paymentMethod !== 'Credit') return { overdue: false, html: '' };
+  const due = journalDueDate(j, kind);
+  const days = daysPastDue(due, new Date());
+  const overdue = remaining > 0 && days > 0;
+  return { overdue, html: `${due.toLocaleDateString()}${overdue ? ` <span class="badge overdue-badge">${days}d overdue</span>` : ''}` };
+}
+
+/** Home panel: open credit entries that are overdue or fall due within the next 7 days */
+function renderDuePanel(){
+  const now = new Date();
+  [['customer', '#dueCollect'], ['supplier', '#duePay']].forEach(([kind, sel])=>{
+    const box = el(sel);
+    if(!box) return;
+    const open = openJournalEntries(kind, now);
+    const overdue = open.filter(e => e.days > 0).sort((a,b)=> b.days - a.days);
+    const soon = open.filter(e => e.days <= 0 && e.days > -7).sort((a,b)=> a.due - b.due);
+    const list = (title, items, empty, cls) => `
+      <h4>${title}${items.length ? ` · ${formatCurrency(items.reduce((s,e)=> s + e.open, 0))}` : ''}</h4>
+      ${items.length ? `<ul class="due-list ${cls}">${items.map(e => `<li>
+          <span>${escapeHtml(e.partyName)} — ${escapeHtml(e.j.description || '')}</span>
+          <span>${e.days > 0 ? `${e.days}d overdue` : (e.days === 0 ? 'due today' : `due ${e.due.toLocaleDateString()}`)} · ${formatCurrency(e.open)}</span>
+        </li>`).join('')}</ul>` : `<p class="muted">${empty}</p>`}`;
+    box.innerHTML = list('Overdue', overdue, 'Nothing overdue.', 'overdue') + list('Due this week', soon, 'Nothing due in the next 7 days.', '');
+  });
+}
+
+/** Subsidiary ledger: a party's documents and payments, oldest first, with the running
+  * balance they owe us (customers) or we owe them (suppliers). */
+function partyLedger(kind, id){
+  const rows = [];
+  if(kind === 'customer'){
+    salesJournal.filter(s => s.customerId === id).forEach(s=>{
+      rows.push({ date: s.date, type: 'Sale', description: s.description || '', charge: Number(s.amount), payment: 0 });
+      linkedPayments('customer', s).forEach(r=>{
+        rows.push({ date: r.date, type: 'Receipt', description: r.note || '', charge: 0, payment: Number(r.amount) });
+        if(r.voidedAt) rows.push({ date: r.voidedAt, type: 'Void', description: r.voidReason || 'Receipt voided', charge: Number(r.amount), payment: 0 });
+      });
+      returns.filter(r => r.journalId === s.id).forEach(r=> pushReturnRows(rows, r));
+    });
+  } else {
+    purchasesJournal.filter(p => p.supplierId === id).forEach(p=>{
+      rows.push({ date: p.date, type: 'Purchase', description: p.description || '', charge: Number(p.amount), payment: 0 });
+      linkedPayments('supplier', p).forEach(d=>{
+        rows.push({ date: d.date, type: 'Payment', description: d.note || '', charge: 0, payment: Number(d.amount) });
+        if(d.voidedAt) rows.push({ date: d.voidedAt, type: 'Void', description: d.voidReason || 'Payment voided', charge: Number(d.amount), payment: 0 });
+      });
+      returns.filter(r => r.journalId === p.id).forEach(r=> pushReturnRows(rows, r));
+    });
+  }
+  // same timestamp (cash documents): the charge comes before its payment
+  rows.sort((a,b)=> (new Date(a.date) - new Date(b.date)) || (b.charge - a.charge));
+  let balance = 0;
+  rows.forEach(r=>{ balance = roundMoney(balance + r.charge - r.payment); r.balance = balance; });
+  return rows;
+}
+
+/** A return credits the full amount; whatever was refunded in cash is charged back */
+function pushReturnRows(rows, r){
+  rows.push({ date: r.date, type: 'Return', description: r.reason || RETURN_KINDS[r.kind].memo, charge: 0, payment: Number(r.amount) });
+  if(r.refund > 0) rows.push({ date: r.date, type: 'Refund', description: 'Refunded in cash', charge: Number(r.refund), payment: 0 });
+}
+
+function partyBalance(kind, id){
+  const rows = partyLedger(kind, id);
+  return rows.length ? rows[rows.length - 1].balance : 0;
+}
+
+/** Warn before a credit document takes a customer (or our account with a supplier) past its
+  * credit limit. excludeTxnId is the document being edited, whose old balance is replaced. */
+function confirmCreditLimit(txn, excludeTxnId){
+  const over = creditLimitWarning(txn, excludeTxnId);
+  return !over || confirm(`${over} Save anyway?`);
+}
+
+/** Why a credit document would go over the party's credit limit, or null.
+    pending is credit not in the journals yet (earlier rows of an import). */
+function creditLimitWarning(txn, excludeTxnId, pending){
+  if(txn.paymentMethod !== 'Credit') return null;
+  const kind = txn.type === 'revenue' ? 'customer' : 'supplier';
+  const cfg = PARTY_KINDS[kind];
+  const party = txn[cfg.idField] ? getParty(kind, txn[cfg.idField]) : null;
+  const limit = Number(party && party.creditLimit || 0);
+  if(!limit) return null;
+  const open = cfg.journal()
+    .filter(j => j[cfg.idField] === party.id && j.txnId !== excludeTxnId)
+    .reduce((s,j)=> s + journalOpen(j), 0);
+  const after = roundMoney(open + Number(pending || 0) + Number(txn.amount));
+  if(after <= limit) return null;
+  const who = kind === 'customer' ? `${party.name} would owe` : `We would owe ${party.name}`;
+  return `${who} ${formatCurrency(after)}, over the credit limit of ${formatCurrency(limit)}.`;
+}
+
+function renderParties(kind){
+  const cfg = PARTY_KINDS[kind];
+  const tbody = qs(cfg.table + ' tbody');
+  if(!tbody) return;
+  const list = cfg.list();
+  if(!list.length){
+    tbody.innerHTML = `<tr class="empty-state"><td colspan="6">No ${cfg.plural.toLowerCase()} yet.</td></tr>`;
+    return;
+  }
+  tbody.innerHTML = list.map(p=>{
+    const balance = partyBalance(kind, p.id);
+    const over = p.creditLimit && balance > p.creditLimit;
+    return `<tr class="${over ? 'over-limit' : ''}">
+      <td>${escapeHtml(p.name)}</td>
+      <td>${[p.phone, p.email].filter(Boolean).map(escapeHtml).join('<br>')}</td>
+      <td>${paymentTermsLabel(p.terms)}</td>
+      <td class="num">${p.creditLimit ? formatCurrency(p.creditLimit) : '—'}</td>
+      <td class="num">${formatCurrency(balance)}</td>
+      <td>
+        <button class="party-ledger-btn ghost" data-id="${p.id}">Ledger</button>
+        <button class="party-edit edit-btn" data-id="${p.id}">Edit</button>
+        <button class="party-del del-btn" data-id="${p.id}">Delete</button>
+      </td>
+    </tr>`;
+  }).join('');
+}
+
+function showPartyLedger(kind, id){
+  const cfg = PARTY_KINDS[kind];
+  const party = getParty(kind, id);
+  const wrap = el(cfg.ledger);
+  if(!party || !wrap) return;
+  const rows = partyLedger(kind, id);
+  wrap.dataset.id = id;
+  wrap.querySelector('.party-ledger-title').textContent = `${party.name} — ${cfg.label} Ledger`;
+  wrap.querySelector('.party-ledger-details').textContent = [
+    party.phone, party.email, party.address,
+    `Terms: ${paymentTermsLabel(party.terms)}`,
+    party.creditLimit ? `Credit limit: ${formatCurrency(party.creditLimit)}` : ''
+  ].filter(Boolean).join(' · ');
+  wrap.querySelector('tbody').innerHTML = rows.length
+    ? rows.map(r => `<tr>
+        <td>${new Date(r.date).toLocaleString()}</td>
+        <td>${r.type}</td>
+        <td>${escapeHtml(r.description)}</td>
+        <td class="num">${r.charge ? formatCurrency(r.charge) : ''}</td>
+        <td class="num">${r.payment ? formatCurrency(r.payment) : ''}</td>
+        <td class="num">${formatCurrency(r.balance)}</td>
+      </tr>`).join('')
+    : '<tr class="empty-state"><td colspan="6">No activity yet.</td></tr>';
+  const charges = rows.reduce((s,r)=> s + r.charge, 0);
+  const payments = rows.reduce((s,r)=> s + r.payment, 0);
+  wrap.querySelector('tfoot').innerHTML = `<tr><th colspan="3">Totals</th>
+    <th class="num">${formatCurrency(charges)}</th><th class="num">${formatCurrency(payments)}</th>
+    <th class="num">${formatCurrency(roundMoney(charges - payments))}</th></tr>`;
+  wrap.classList.remove('hidden');
+}
+
+function clearPartyForm(kind){
+  const form = el(PARTY_KINDS[kind].form);
+  form.reset();
+  delete form.dataset.editId;
+  form.querySelector('button[type="submit"]').textContent = `Add ${PARTY_KINDS[kind].label}`;
+}
+
+function startEditParty(kind, id){
+  const party = getParty(kind, id);
+  const form = el(PARTY_KINDS[kind].form);
+  if(!party || !form) return;
+  ['name','phone','email','address','creditLimit','terms','notes'].forEach(f=>{
+    form.querySelector(`[name="${f}"]`).value = party[f] ?? '';
+  });
+  form.dataset.editId = id;
+  form.querySelector('button[type="submit"]').textContent = 'Update';
+  window.scrollTo({top:0,behavior:'smooth'});
+}
+
+function saveParty(kind){
+  const cfg = PARTY_KINDS[kind];
+  const form = el(cfg.form);
+  const field = f => form.querySelector(`[name="${f}"]`).value.trim();
+  const name = field('name');
+  const creditLimit = field('creditLimit') === '' ? 0 : parseFloat(field('creditLimit'));
+  if(!name){ alert(`Enter the ${cfg.label.toLowerCase()}'s name`); return; }
+  if(isNaN(creditLimit) || creditLimit < 0){ alert('Enter a valid credit limit'); return; }
+  const editId = form.dataset.editId;
+  const dup = findPartyByName(kind, name);
+  if(dup && dup.id !== editId){ alert(`A ${cfg.label.toLowerCase()} named "${dup.name}" already exists`); return; }
+
+  const data = { name, phone: field('phone'), email: field('email'), address: field('address'), creditLimit, terms: field('terms'), notes: field('notes') };
+  if(editId){
+    const party = getParty(kind, editId);
+    if(!party) return;
+    const renamed = party.name !== name;
+    Object.assign(party, data);
+    if(renamed){
+      // keep the display copies on linked records in step
+      transactions.concat(cfg.journal()).forEach(r=>{ if(r[cfg.idField] === party.id) r[cfg.nameField] = name; });
+    }
+    saveAll();
+  } else {
+    createParty(kind, data);
+  }
+  clearPartyForm(kind);
+  renderParties(kind);
+  fillPartySelects();
+  renderTransactions(); renderSalesJournal(); renderPurchasesJournal();
+  const ledgerWrap = el(cfg.ledger);
+  if(ledgerWrap && !ledgerWrap.classList.contains('hidden')) showPartyLedger(kind, ledgerWrap.dataset.id);
+}
+
+function deleteParty(kind, id){
+  const cfg = PARTY_KINDS[kind];
+  const party = getParty(kind, id);
+  if(!party) return;
+  const used = transactions.filter(t => t[cfg.idField] === id).length;
+  if(used){ alert(`${party.name} is on ${used} transaction${used === 1 ? '' : 's'} and can't be deleted.`); return; }
+  if(!confirm(`Delete ${cfg.label.toLowerCase()} "${party.name}"?`)) return;
+  cfg.setList(cfg.list().filter(p => p.id !== id));
+  saveAll();
+  renderParties(kind);
+  fillPartySelects();
+  const ledgerWrap = el(cfg.ledger);
+  if(ledgerWrap && ledgerWrap.dataset.id === id) ledgerWrap.classList.add('hidden');
+}
+
+/** Transaction form pickers; the last option adds a record on the spot */
+function fillPartySelects(){
+  Object.entries(PARTY_KINDS).forEach(([kind, cfg])=>{
+    const sel = el(cfg.select);
+    if(!sel) return;
+    const cur = sel.value;
+    sel.innerHTML = '<option value="">— None —</option>' +
+      cfg.list().map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join('') +
+      `<option value="__new__">+ New ${cfg.label.toLowerCase()}…</option>`;
+    sel.value = cur !== '__new__' && getParty(kind, cur) ? cur : '';
+  });
+  fillItemSupplierSelect();
+  fillPoSupplierSelect();
+}
+
+function initParties(){
+  const termOptions = PAYMENT_TERMS.map(t => `<option value="${t.code}">${t.label}</option>`).join('');
+  qsa('select.party-terms').forEach(sel => { sel.innerHTML = termOptions; });
+  const formTerms = el('#paymentTerms');
+  if(formTerms){
+    formTerms.innerHTML = termOptions + `<option value="${TERMS_CUSTOM}">${paymentTermsLabel(TERMS_CUSTOM)}</option>`;
+    formTerms.addEventListener('change', toggleConditionalFields);
+  }
+  on('#paymentMethod', 'change', toggleConditionalFields);
+
+  Object.entries(PARTY_KINDS).forEach(([kind, cfg])=>{
+    on(cfg.form, 'submit', e=>{
+      e.preventDefault();
+      audited({ action: el(cfg.form).dataset.editId ? 'update' : 'create', entity: kind }, ()=> saveParty(kind));
+    });
+    on(cfg.form + ' .party-clear', 'click', ()=> clearPartyForm(kind));
+    const table = el(cfg.table);
+    if(table) table.addEventListener('click', e=>{
+      const btn = e.target.closest('button[data-id]');
+      if(!btn) return;
+      if(btn.classList.contains('party-ledger-btn')) showPartyLedger(kind, btn.dataset.id);
+      else if(btn.classList.contains('party-edit')) startEditParty(kind, btn.dataset.id);
+      else if(btn.classList.contains('party-del')) audited({ action: 'delete', entity: kind }, ()=> deleteParty(kind, btn.dataset.id));
+    });
+    const ledgerWrap = el(cfg.ledger);
+    if(ledgerWrap) ledgerWrap.querySelector('.party-ledger-close').addEventListener('click', ()=> ledgerWrap.classList.add('hidden'));
+
+    const sel = el(cfg.select);
+    if(sel) sel.addEventListener('change', ()=>{
+      if(sel.value === '__new__'){
+        const name = prompt(`New ${cfg.label.toLowerCase()} name:`);
+        const party = name && name.trim() ? ensureParty(kind, name) : null;
+        fillPartySelects();
+        sel.value = party ? party.id : '';
+        renderParties(kind);
+      }
+      // a party on account terms defaults new documents to Credit on those terms
+      const party = getParty(kind, sel.value);
+      if(party && !editId){
+        el('#paymentTerms').value = party.terms || PAYMENT_TERMS[0].code;
+        if(party.terms && party.terms !== PAYMENT_TERMS[0].code) el('#paymentMethod').value = 'Credit';
+        toggleConditionalFields();
+      }
+    });
+  });
+  renderParties('customer');
+  renderParties('supplier');
+  fillPartySelects();
+}
+
+/* =========================
+   PAYMENTS: ACCOUNTS RECEIVABLE / PAYABLE
+   ========================= */
+// Sales: mark as paid (full or partial)
+function markSalePaid(saleId, amount){
+  const sale = salesJournal.find(s => s.id === saleId);
+  if(!sale){ alert('Sale record not found'); return; }
+  const remaining = journalOpen(sale);
+  let payAmt = amount;
+  if(payAmt === null || payAmt === undefined) payAmt = remaining; // full
+  payAmt = Math.min(payAmt, remaining);
+  if(payAmt <= 0){ alert('Nothing to pay.'); return; }
+  const lock = checkPeriodOpen(new Date(), 'This payment');
+  if(lock.error){ alert(lock.msg); return; }
+
+  sale.paidAmount = Number(sale.paidAmount || 0) + payAmt;
+  sale.paid = journalOpen(sale) <= 0;
+
+  const receipt = {
+    id: uid(),
+    date: new Date().toISOString(),
+    from: sale.customer || sale.description || 'Customer',
+    amount: Number(payAmt),
+    saleId: sale.id,
+    note: sale.paid ? 'Paid in full' : 'Partial payment'
+  };
+  cashReceipts.unshift(receipt);
+  syncLedgerForTxn(sale.txnId);
+  renderSalesJournal();
+  renderCashReceipts();
+  renderGeneralJournal();
+  renderDuePanel();
+}
+
+// Purchases: pay supplier (full or partial)
+function paySupplier(purchaseId, amount){
+  const p = purchasesJournal.find(x=>x.id===purchaseId);
+  if(!p){ alert('Purchase record not found'); return; }
+  const remaining = journalOpen(p);
+  let payAmt = amount;
+  if(payAmt === null || payAmt === undefined) payAmt = remaining; // full
+  payAmt = Math.min(payAmt, remaining);
+  if(payAmt <= 0){ alert('Nothing to pay.'); return; }
+  const lock = checkPeriodOpen(new Date(), 'This payment');
+  if(lock.error){ alert(lock.msg); return; }
+
+  p.paidAmount = Number(p.paidAmount || 0) + payAmt;
+  p.paid = journalOpen(p) <= 0;
+
+  const disb = {
+    id: uid(),
+    date: new Date().toISOString(),
+    description: p.supplier || p.description || 'Supplier',
+    amount: Number(payAmt),
+    txnId: p.txnId,
+    note: p.paid ? 'Paid in full' : 'Partial payment'
+  };
+  cashDisbursements.unshift(disb);
+  syncLedgerForTxn(p.txnId);
+  renderPurchasesJournal();
+  renderCashDisbursements();
+  renderGeneralJournal();
+  renderDuePanel();
+}
+
+/** The Sales/Purchases journal row a receipt (customer) or disbursement (supplier) pays */
+function paymentJournalEntry(kind, pay){
+  return kind === 'customer'
+    ? salesJournal.find(s => s.id === pay.saleId)
+    : purchasesJournal.find(p => p.txnId === pay.txnId);
+}
+
+// Only payments on credit documents can be voided: cash-document mirrors and plain
+// expenses are undone by editing/deleting the transaction itself.
+function canVoidPayment(kind, pay){
+  if(!pay || pay.voidedAt) return false;
+  const j = paymentJournalEntry(kind, pay);
+  return !!j && j.paymentMethod === 'Credit';
+}
+
+/** Void a receipt/disbursement: the payment stays on file next to a reversing
+  * ledger entry, and its amount is owed again on the sale/purchase. */
+function voidPayment(kind, paymentId){
+  const pay = (kind === 'customer' ? cashReceipts : cashDisbursements).find(x => x.id === paymentId);
+  if(!pay){ alert('Payment record not found'); return; }
+  if(!canVoidPayment(kind, pay)){ alert('Only payments on credit sales/purchases can be voided. Edit or delete the transaction instead.'); return; }
+  const lock = checkPeriodOpen(new Date(), 'The reversing entry');
+  if(lock.error){ alert(lock.msg); return; }
+  const reason = prompt(`Void this ${formatCurrency(pay.amount)} payment? A reversing entry will be posted.\nReason (optional):`, '');
+  if(reason === null) return;
+
+  const j = paymentJournalEntry(kind, pay);
+  pay.voidedAt = nowISO();
+  pay.voidReason = reason.trim();
+  j.paidAmount = roundMoney(Math.max(0, Number(j.paidAmount || 0) - Number(pay.amount)));
+  j.paid = journalOpen(j) <= 0;
+
+  syncLedgerForTxn(j.txnId);
+  renderSalesJournal();
+  renderPurchasesJournal();
+  renderCashReceipts();
+  renderCashDisbursements();
+  renderGeneralJournal();
+  renderDuePanel();
+}
+
+/* =========================
+   SALES & PURCHASE RETURNS (credit / debit memos)
+   A return takes quantities back off a sale or purchase without touching the original
+   document. A sales return puts stock back at the cost it left at and reverses that COGS
+   (Dr Sales Returns / Cr AR, Dr Inventory / Cr COGS); a purchase return sends stock back
+   to the supplier (Dr AP / Cr Inventory). The credit goes against whatever is still open
+   on the sale/purchase first; anything beyond that is refunded in cash (a disbursement to
+   the customer, or a receipt from the supplier). Entries are rebuilt with the original
+   transaction's ledger (see buildTxnLedgerEntries).
+   ========================= */
+const RETURN_KINDS = {
+  sale:     { label: 'Sales return',    memo: 'Credit memo', journal: ()=> salesJournal,     party: 'customer' },
+  purchase: { label: 'Purchase return', memo: 'Debit memo',  journal: ()=> purchasesJournal, party: 'supplier' }
+};
+
+function txnReturns(txnId){ return returns.filter(r => r.txnId === txnId); }
+
+/** Credit memos against a journal entry (up to asOf) */
+function journalReturned(j, asOf){
+  return roundMoney(returns.filter(r => r.journalId === j.id && (!asOf || new Date(r.date) <= asOf)).reduce((s, r)=> s + Number(r.credit || 0), 0));
+}
+
+/** What is still owed on a sales/purchases journal entry after payments and returns */
+function journalOpen(j){
+  return roundMoney(Math.max(0, Number(j.amount) - Number(j.paidAmount || 0) - journalReturned(j)));
+}
+
+/** Quantity of a document line not returned yet */
+function lineReturnable(txnId, line){
+  const back = txnReturns(txnId).reduce((s, r)=> s + r.lines.filter(rl => rl.lineId === line.id).reduce((a, rl)=> a + Number(rl.qty), 0), 0);
+  return Math.max(0, roundQty(Number(line.qty) - back));
+}
+
+function canReturn(j){
+  const txn = j && transactions.find(t => t.id === j.txnId);
+  return !!txn && txnLines(txn).some(l => lineReturnable(txn.id, l) > 0);
+}
+
+/** Sale/purchase totals of returns dated in [from, to] (either end optional) */
+function returnTotals(kind, from, to){
+  return returns.filter(r => r.kind === kind && (!from || new Date(r.date) >= from) && (!to || new Date(r.date) <= to))
+    .reduce((s, r)=> ({ amount: roundMoney(s.amount + Number(r.amount)), cost: roundMoney(s.cost + Number(r.cost)) }), { amount: 0, cost: 0 });
+}
+
+/** Record a return: qtys is { lineId: qty } */
+function recordReturn(kind, journalId, qtys, date, reason){
+  const cfg = RETURN_KINDS[kind];
+  const j = cfg.journal().find(x => x.id === journalId);
+  const txn = j && transactions.find(t => t.id === j.txnId);
+  if(!txn) return { error:true, msg: 'The original document was not found.' };
+  const lock = checkPeriodOpen(date, 'The return date');
+  if(lock.error) return lock;
+
+  const picked = [];
+  for(const line of txnLines(txn)){
+    const qty = Number(qtys[line.id] || 0);
+    if(!qty) continue;
+    const inv = inventory.find(i => i.id === line.invId);
+    if(!inv) return { error:true, msg: `Inventory item not found: ${line.invName || ''}` };
+    if(qty < 0 || qty > lineReturnable(txn.id, line) + QTY_EPSILON) return { error:true, msg: `Only ${lineReturnable(txn.id, line)} of "${inv.name}" can be returned.` };
+    if(!qtyAllowed(inv, qty)) return { error:true, msg: `"${inv.name}" is returned in whole ${baseUnit(inv)}.` };
+    if(kind === 'purchase' && locationQty(inv, docLocation(txn)) < qty) return { error:true, msg: `Only ${locationQty(inv, docLocation(txn))} of "${inv.name}" is at ${locationName(docLocation(txn))} to send back.` };
+    picked.push({ line, inv, qty });
+  }
+  if(!picked.length) return { error:true, msg: 'Enter a quantity to return.' };
+
+  const ret = { id: uid(), kind, txnId: txn.id, journalId: j.id, locationId: docLocation(txn), date, reason: reason || '', lines: [], amount: 0, cost: 0, credit: 0, refund: 0, refundId: null, createdAt: nowISO() };
+  picked.forEach(({ line, inv, qty })=>{
+    const amount = roundMoney(Number(line.amount) / Number(line.qty) * qty);
+    let cost, layerMoves;
+    if(kind === 'sale'){ // back into stock at the cost it was sold at
+      const unitCost = Number(line.qty) ? Number(line.invCost || 0) / Number(line.qty) : 0;
+      layerMoves = [{ layerId: uid(), qty, unitCost, date }];
+      restoreLayers(inv, layerMoves);
+      adjustStock(inv, ret.locationId, +qty);
+      cost = roundMoney(unitCost * qty);
+      addLog(inv.id, 'return', +qty, `Sales return on tx ${txn.id}`, date, ret.locationId);
+    } else { // out of the layer the purchase created, where it is still there
+      const unitCost = Number(line.qty) ? Number(line.amount) / Number(line.qty) : 0;
+      layerMoves = [{ layerId: (line.layerMoves && line.layerMoves[0] && line.layerMoves[0].layerId) || null, qty, unitCost }];
+      cost = removeAddedLayers(inv, layerMoves);
+      adjustStock(inv, ret.locationId, -qty);
+      addLog(inv.id, 'return', -qty, `Purchase return on tx ${txn.id}`, date, ret.locationId);
+    }
+    ret.lines.push({ lineId: line.id, invId: inv.id, qty, amount, cost, layerMoves });
+    ret.amount = roundMoney(ret.amount + amount);
+    ret.cost = roundMoney(ret.cost + cost);
+  });
+
+  // settle against the open balance first, refund the rest
+  ret.credit = Math.min(ret.amount, journalOpen(j));
+  ret.refund = roundMoney(ret.amount - ret.credit);
+  if(ret.refund > 0){
+    ret.refundId = uid();
+    if(kind === 'sale'){
+      cashDisbursements.unshift({ id: ret.refundId, date, description: `Refund — ${j.customer || j.description || 'Customer'}`, amount: ret.refund, txnId: null, returnId: ret.id, note: 'Refund for sales return' });
+    } else {
+      cashReceipts.unshift({ id: ret.refundId, date, from: j.supplier || j.description || 'Supplier', amount: ret.refund, saleId: null, returnId: ret.id, note: 'Refund for purchase return' });
+    }
+  }
+  returns.push(ret);
+  j.paid = journalOpen(j) <= 0;
+  syncLedgerForTxn(txn.id);
+  saveAll();
+  return { ok:true, ret };
+}
+
+/** Undo a return: stock goes the other way, the credit and any refund are removed */
+function deleteReturn(id){
+  const ret = returns.find(r => r.id === id);
+  if(!ret) return { error:true, msg: 'Return not found.' };
+  const lock = checkPeriodOpen(ret.date, 'This return');
+  if(lock.error) return lock;
+  for(const rl of ret.lines){
+    const inv = inventory.find(i => i.id === rl.invId);
+    if(inv && ret.kind === 'sale' && locationQty(inv, docLocation(ret)) < rl.qty) return { error:true, msg: `Only ${locationQty(inv, docLocation(ret))} of "${inv.name}" is left at ${locationName(docLocation(ret))}; the returned units were sold again.` };
+  }
+  ret.lines.forEach(rl=>{
+    const inv = inventory.find(i => i.id === rl.invId);
+    if(!inv) return;
+    if(ret.kind === 'sale'){
+      removeAddedLayers(inv, rl.layerMoves);
+      adjustStock(inv, docLocation(ret), -rl.qty);
+      addLog(inv.id, 'restore', -rl.qty, `Restore (remove) from deleted sales return on tx ${ret.txnId}`, ret.date, docLocation(ret));
+    } else {
+      addToLayers(inv, rl.qty, rl.qty ? rl.cost / rl.qty : 0, ret.date, ret.id);
+      adjustStock(inv, docLocation(ret), +rl.qty);
+      addLog(inv.id, 'restore', +rl.qty, `Restore from deleted purchase return on tx ${ret.txnId}`, ret.date, docLocation(ret));
+    }
+  });
+  cashDisbursements = cashDisbursements.filter(d => d.returnId !== ret.id);
+  cashReceipts = cashReceipts.filter(r => r.returnId !== ret.id);
+  returns = returns.filter(r => r.id !== id);
+  const j = RETURN_KINDS[ret.kind].journal().find(x => x.id === ret.journalId);
+  if(j) j.paid = journalOpen(j) <= 0;
+  syncLedgerForTxn(ret.txnId);
+  saveAll();
+  return { ok:true };
+}
+
+/** Ledger entries of a transaction's returns (called from buildTxnLedgerEntries) */
+function returnLedgerEntries(txn){
+  const entries = [];
+  txnReturns(txn.id).forEach(r=>{
+    const cfg = RETURN_KINDS[r.kind];
+    if(r.kind === 'sale'){
+      entries.push({
+        id: `return:${r.id}`, date: r.date, txnId: txn.id, source: 'return', refId: r.id,
+        description: `${cfg.memo} — ${txn.description}${r.reason ? ` (${r.reason})` : ''}`,
+        lines: [
+          { account: ACCT.SALES_RETURNS, debit: r.amount },
+          { account: ACCT.AR, credit: r.amount },
+          { account: ACCT.INVENTORY, debit: r.cost },
+          { account: ACCT.COGS, credit: r.cost }
+        ]
+      });
+      if(r.refund > 0) entries.push({
+        id: `refund:${r.id}`, date: r.date, txnId: txn.id, source: 'refund', refId: r.refundId,
+        description: `Refund — ${txn.customer || 'Customer'}`,
+        lines: [{ account: ACCT.AR, debit: r.refund }, { account: ACCT.CASH, credit: r.refund }]
+      });
+    } else {
+      // stock leaves at its layer cost; a gap to the purchase price is an inventory adjustment
+      const diff = roundMoney(r.amount - r.cost);
+      entries.push({
+        id: `return:${r.id}`, date: r.date, txnId: txn.id, source: 'return', refId: r.id,
+        description: `${cfg.memo} — ${txn.description}${r.reason ? ` (${r.reason})` : ''}`,
+        lines: [
+          { account: ACCT.AP, debit: r.amount },
+          { account: ACCT.INVENTORY, credit: r.cost },
+          diff >= 0 ? { account: ACCT.INV_ADJ, credit: diff } : { account: ACCT.INV_ADJ, debit: -diff }
+        ]
+      });
+      if(r.refund > 0) entries.push({
+        id: `refund:${r.id}`, date: r.date, txnId: txn.id, source: 'refund', refId: r.refundId,
+        description: `Refund — ${txn.supplier || 'Supplier'}`,
+        lines: [{ account: ACCT.CASH, debit: r.refund }, { account: ACCT.AP, credit: r.refund }]
+      });
+    }
+  });
+  return entries;
+}
+
+/** Ask for quantities per line (prompt per returnable line), then record */
+function promptReturn(kind, journalId){
+  const j = RETURN_KINDS[kind].journal().find(x => x.id === journalId);
+  const txn = j && transactions.find(t => t.id === j.txnId);
+  if(!txn) return;
+  const lines = txnLines(txn).filter(l => lineReturnable(txn.id, l) > 0);
+  const qtys = {};
+  for(const l of lines){
+    const max = lineReturnable(txn.id, l);
+    const v = prompt(`${RETURN_KINDS[kind].label}: how many "${l.invName}" (up to ${formatQty(inventory.find(i => i.id === l.invId), max)})?`, String(lines.length === 1 ? max : 0));
+    if(v === null) return;
+    const qty = parseFloat(v);
+    if(isNaN(qty) || qty < 0){ alert('Invalid quantity'); return; }
+    qtys[l.id] = qty;
+  }
+  const reason = prompt('Reason (optional):', '');
+  if(reason === null) return;
+  const res = audited({ action: 'create', entity: 'return' }, ()=> recordReturn(kind, journalId, qtys, nowISO(), reason.trim()));
+  if(res.error){ alert(res.msg); return; }
+  const r = res.ret;
+  showToast(`✓ ${RETURN_KINDS[kind].memo} ${formatCurrency(r.amount)}${r.refund > 0 ? ` · ${formatCurrency(r.refund)} refunded` : ''}`);
+  afterReturnChange();
+}
+
+function afterReturnChange(){
+  renderSalesJournal(); renderPurchasesJournal(); renderCashReceipts(); renderCashDisbursements();
+  renderGeneralJournal(); renderReturns(); renderInventory(); fillInventorySelects();
+  renderTransactions(); updateDashboard(); updateMonthlySummary();
+}
+
+function renderReturns(){
+  const tb = qs('#returnsTable tbody');
+  if(!tb) return;
+  tb.innerHTML = returns.slice().sort((a,b)=> new Date(b.date) - new Date(a.date)).map(r=>{
+    const txn = transactions.find(t => t.id === r.txnId);
+    const party = r.kind === 'sale' ? (txn && txn.customer) : (txn && txn.supplier);
+    return `<tr>
+      <td>${new Date(r.date).toLocaleString()}</td>
+      <td>${RETURN_KINDS[r.kind].memo}</td>
+      <td>${txn ? escapeHtml(txn.description) : ''}${party ? `<div class="muted">${escapeHtml(party)}</div>` : ''}</td>
+      <td>${escapeHtml(r.lines.map(l => `${inventory.find(i => i.id === l.invId)?.name || 'Item'} ×${l.qty}`).join(', '))}${r.reason ? `<div class="muted">${escapeHtml(r.reason)}</div>` : ''}</td>
+      <td>${formatCurrency(r.amount)}</td>
+      <td>${formatCurrency(r.credit)}</td>
+      <td>${formatCurrency(r.refund)}</td>
+      <td><button class="ghost return-del" data-id="${r.id}">Delete</button></td>
+    </tr>`;
+  }).join('') || '<tr><td colspan="8" class="muted">No returns recorded.</td></tr>';
+}
+
+function initReturns(){
+  on('#returnsTable', 'click', e=>{
+    const btn = e.target.closest('.return-del');
+    if(!btn) return;
+    if(!confirm('Delete this return? Stock, the credit and any refund are reversed.')) return;
+    const res = audited({ action: 'delete', entity: 'return' }, ()=> deleteReturn(btn.dataset.id));
+    if(res.error){ alert(res.msg); return; }
+    afterReturnChange();
+  });
+  renderReturns();
+}
+
+/* =========================
+   AUDIT TRAIL + UNDO / REDO
+   User actions run inside audited(): when the action ends, the store scan that also
+   feeds saving (scanStores) tells which records it changed, so one audit entry carries
+   the whole cascade (stock, cost layers, journals, ledger) next to the record the user
+   touched. Created and deleted records are kept whole, updates only as the fields that
+   changed. Undo puts the "before" side back and redo the "after" side, newest first,
+   as long as those fields still hold what the action left (other edits to the same
+   records stay). The log is append-only (undo/redo add entries of their own) and keeps
+   record details for the newest AUDIT_DETAIL_LIMIT entries; the undo/redo stacks
+   cover this session's actions.
+   ========================= */
+const AUDIT_ENTITIES = {
+  transaction:  { label: 'Transaction',    store: STORAGE_KEY,   name: r => r.description },
+  item:         { label: 'Inventory item', store: INV_KEY,       name: r => r.name },
+  receipt:      { label: 'Receipt',        store: RECEIPTS_KEY,  name: r => `${r.from || 'Customer'} ${formatCurrency(r.amount)}` },
+  disbursement: { label: 'Disbursement',   store: DISB_KEY,      name: r => `${r.description || 'Supplier'} ${formatCurrency(r.amount)}` },
+  entry:        { label: 'Journal entry',  store: LEDGER_KEY,    name: r => r.description },
+  customer:     { label: 'Customer',       store: CUSTOMERS_KEY, name: r => r.name },
+  supplier:     { label: 'Supplier',       store: SUPPLIERS_KEY, name: r => r.name },
+  category:     { label: 'Category',       store: CATEGORIES_KEY, name: r => r.name },
+  recurring:    { label: 'Recurring',      store: RECURRING_KEY, name: r => r.txn.description },
+  draft:        { label: 'Draft purchase', store: DRAFTS_KEY,    name: r => `${getParty('supplier', r.supplierId)?.name || 'No supplier'} ${formatCurrency(draftTotal(r))}` },
+  po:           { label: 'Purchase order', store: PO_KEY,        name: r => `${r.number} ${getParty('supplier', r.supplierId)?.name || ''}` },
+  return:       { label: 'Return',         store: RETURNS_KEY,   name: r => `${RETURN_KINDS[r.kind].memo} ${formatCurrency(r.amount)}` },
+  count:        { label: 'Stock count',    store: COUNTS_KEY,    name: r => `${r.number} ${r.category || 'All items'}` },
+  location:     { label: 'Location',       store: LOCATIONS_KEY, name: r => r.name },
+  transfer:     { label: 'Transfer',       store: TRANSFERS_KEY, name: r => `${r.number} ${locationName(r.fromId)} → ${locationName(r.toId)}` }
+};
+const AUDIT_ACTIONS = {
+  create: 'Created', update: 'Updated', delete: 'Deleted', payment: 'Payment', void: 'Voided',
+  stock: 'Stock adjusted', costing: 'Costing method', import: 'Imported', undo: 'Undo', redo: 'Redo'
+};
+const AUDIT_LIMIT = 1000; // oldest entries beyond this are dropped
+const AUDIT_DETAIL_LIMIT = 200; // older entries keep their summary only
+
+let auditDepth = 0;
+let auditSettings = null; // settings JSON when the outermost audited() began
+let undoStack = []; // audit entry ids, newest last
+let redoStack = [];
+
+function auditedStores(){ return DATA_STORES.filter(s => !s.noAudit); }
+
+/** One scanned record change as audit data: created / deleted records whole, an update as
+  * { fields, before, after } holding only the top-level fields that differ */
+function auditRecordChange(c){
+  const before = c.before === undefined ? null : JSON.parse(c.before);
+  const after = c.after === undefined ? null : JSON.parse(c.after);
+  if(!before || !after) return { id: c.id, before, after, posBefore: c.posBefore, posAfter: c.posAfter };
+  const fields = Array.from(new Set(Object.keys(before).concat(Object.keys(after))))
+    .filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+  const pick = r => Object.fromEntries(fields.filter(k => k in r).map(k => [k, r[k]]));
+  return { id: c.id, fields, before: pick(before), after: pick(after) };
+}
+
+/** Audited stores' part of a scan (plus settings): { storeKey: [change] , settings? } or null */
+function auditChanges(scan, settingsBefore){
+  const changes = {};
+  let any = false;
+  auditedStores().forEach(store=>{
+    if(!scan[store.key]) return;
+    changes[store.key] = scan[store.key].map(auditRecordChange);
+    any = true;
+  });
+  const settingsAfter = JSON.stringify(settings);
+  if(settingsBefore !== settingsAfter){ changes.settings = { before: JSON.parse(settingsBefore), after: JSON.parse(settingsAfter) }; any = true; }
+  return any ? changes : null;
+}
+
+/** Run a user action and log what it changed. meta: { action, entity, summary? }. Nested calls log once. */
+function audited(meta, fn){
+  if(auditDepth++ === 0){
+    if(scanNeeded) scanStores(); // changes saved outside audited() are not this action's
+    auditSettings = JSON.stringify(settings);
+  }
+  try {
+    return fn();
+  } finally {
+    if(auditDepth === 1){
+      const scan = scanStores();
+      const changes = auditChanges(scan, auditSettings);
+      auditSettings = null;
+      if(changes){
+        const entry = appendAudit(meta, changes);
+        undoStack.push(entry.id);
+        redoStack = [];
+        renderHistory();
+      } else if(Object.keys(scan).length) saveAll();
+    }
+    auditDepth--;
+  }
+}
+
+/** The record an entry is about (first change in its entity's store) */
+function auditPrimary(entry){
+  const cfg = AUDIT_ENTITIES[entry.entity];
+  const list = (cfg && entry.changes && entry.changes[cfg.store]) || [];
+  return list.find(c => c.id === entry.entityId) || list[0] || null;
+}
+
+function appendAudit(meta, changes, extra){
+  const entry = Object.assign({
+    id: uid(), at: nowISO(), action: meta.action, entity: meta.entity, entityId: null, summary: meta.summary || '', changes
+  }, extra || {});
+  const primary = auditPrimary(entry);
+  if(primary){
+    entry.entityId = primary.id;
+    if(!entry.summary){
+      const cfg = AUDIT_ENTITIES[entry.entity];
+      // an update only carries its changed fields; name it from the record as it is now
+      const record = primary.fields
+        ? Object.assign({}, DATA_STORES.find(s => s.key === cfg.store).get().find(r => r.id === primary.id), primary.after)
+        : (primary.after || primary.before);
+      entry.summary = `${cfg.label} "${cfg.name(record) || primary.id}"`;
+    }
+  }
+  auditLog.push(entry);
+  const dropped = new Set();
+  if(auditLog.length > AUDIT_LIMIT){
+    auditLog.slice(0, auditLog.length - AUDIT_LIMIT).forEach(e => dropped.add(e.id));
+    auditLog = auditLog.slice(-AUDIT_LIMIT);
+  }
+  for(let i = 0; i < auditLog.length - AUDIT_DETAIL_LIMIT; i++){
+    if(!auditLog[i].changes) continue;
+    auditLog[i] = Object.assign({}, auditLog[i], { changes: null }); // a new object, so the scan saves it
+    dropped.add(auditLog[i].id);
+  }
+  if(dropped.size){
+    undoStack = undoStack.filter(id => !dropped.has(id));
+    redoStack = redoStack.filter(id => !dropped.has(id));
+  }
+  scanStores([AUDIT_KEY]);
+  saveAll();
+  return entry;
+}
+
+/** Put one side ('before' | 'after') of an entry's records back, after checking the
+  * other side is what the stores hold now and that no closed period is touched. */
+function applyAuditSide(entry, side){
+  const other = side === 'before' ? 'after' : 'before';
+  const pos = side === 'before' ? 'posBefore' : 'posAfter';
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const stores = auditedStores().filter(s => entry.changes[s.key]);
+  for(const store of stores){
+    const byId = new Map(store.get().map(r => [r.id, r]));
+    for(const c of entry.changes[store.key]){
+      const cur = byId.get(c.id);
+      // an update only needs its own fields untouched; a created / deleted record the whole of it
+      const ok = c.fields
+        ? !!cur && c.fields.every(k => same(cur[k], c[other][k]))
+        : (c[other] ? !!cur && same(cur, c[other]) : !cur);
+      if(!ok) return { error:true, msg: `${store.label} changed since "${entry.summary}" — it can no longer be reversed here.` };
+      if(store.dateField){
+        const lock = checkPeriodOpen([c.before, c.after, cur].filter(Boolean).map(r => r[store.dateField]).filter(Boolean), 'This change');
+        if(lock.error) return lock;
+      }
+    }
+  }
+  stores.forEach(store=>{
+    const list = entry.changes[store.key];
+    const whole = new Set(list.filter(c => !c.fields).map(c => c.id));
+    const records = store.get().filter(r => !whole.has(r.id));
+    list.filter(c => c.fields).forEach(c=>{
+      const r = records.find(x => x.id === c.id);
+      c.fields.forEach(k=>{
+        if(k in c[side]) r[k] = JSON.parse(JSON.stringify(c[side][k]));
+        else delete r[k];
+      });
+    });
+    list.filter(c => !c.fields && c[side]).sort((a,b)=> a[pos] - b[pos]).forEach(c=>{
+      records.splice(Math.min(c[pos], records.length), 0, JSON.parse(JSON.stringify(c[side])));
+    });
+    store.set(records);
+  });
+  if(entry.changes.settings) settings = Object.assign(settings, entry.changes.settings[side]);
+  saveAll();
+  return { ok:true };
+}
+
+function undoLast(){
+  const entry = auditLog.find(e => e.id === undoStack[undoStack.length - 1]);
+  if(!entry){ alert('Nothing to undo.'); return; }
+  const res = applyAuditSide(entry, 'before');
+  if(res.error){ alert(res.msg); return; }
+  redoStack.push(undoStack.pop());
+  appendAudit({ action: 'undo', entity: entry.entity, summary: entry.summary }, null, { entityId: entry.entityId, ref: entry.id });
+  afterHistoryChange(`↶ Undone: ${entry.summary}`);
+}
+
+function redoLast(){
+  const entry = auditLog.find(e => e.id === redoStack[redoStack.length - 1]);
+  if(!entry){ alert('Nothing to redo.'); return; }
+  const res = applyAuditSide(entry, 'after');
+  if(res.error){ alert(res.msg); return; }
+  undoStack.push(redoStack.pop());
+  appendAudit({ action: 'redo', entity: entry.entity, summary: entry.summary }, null, { entityId: entry.entityId, ref: entry.id });
+  afterHistoryChange(`↷ Redone: ${entry.summary}`);
+}
+
+function afterHistoryChange(message){
+  // forms may hold records that just changed underneath them
+  resetTransactionForm();
+  clearInventoryForm();
+  renderAll();
+  renderHistory();
+  showToast(message);
+}
+
+/** Field-level before → after of an entry's main record, plus counts of the cascade */
+function auditDetailHTML(entry){
+  const primary = auditPrimary(entry);
+  let html = '';
+  if(primary){
+    const b = primary.before || {}, a = primary.after || {};
+    const keys = Array.from(new Set(Object.keys(b).concat(Object.keys(a))))
+      .filter(k => JSON.stringify(b[k]) !== JSON.stringify(a[k]));
+    const fmt = v => escapeHtml(v === undefined || v === null ? '—' : (typeof v === 'object' ? JSON.stringify(v) : String(v)));
+    html += `<table class="audit-fields"><thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead><tbody>
+      ${keys.map(k => `<tr><td>${escapeHtml(k)}</td><td>${fmt(b[k])}</td><td>${fmt(a[k])}</td></tr>`).join('')}
+    </tbody></table>`;
+  }
+  const also = auditedStores().filter(s => entry.changes && entry.changes[s.key])
+    .map(s => `${s.label}: ${entry.changes[s.key].length}`);
+  if(also.length) html += `<p class="muted">Records changed — ${also.join(' · ')}</p>`;
+  return html || '<p class="muted">No record details.</p>';
+}
+
+function renderHistory(){
+  qsa('.undo-btn').forEach(b=>{ b.disabled = !undoStack.length; b.title = undoStack.length ? `Undo: ${auditLog.find(e => e.id === undoStack[undoStack.length-1])?.summary || ''} (Ctrl+Z)` : 'Nothing to undo'; });
+  qsa('.redo-btn').forEach(b=>{ b.disabled = !redoStack.length; b.title = redoStack.length ? `Redo: ${auditLog.find(e => e.id === redoStack[redoStack.length-1])?.summary || ''} (Ctrl+Y)` : 'Nothing to redo'; });
+  const tb = qs('#historyTable tbody');
+  if(!tb) return;
+  const filter = el('#historyFilter') ? el('#historyFilter').value : '';
+  const rows = auditLog.slice().reverse().filter(e => !filter || e.entity === filter);
+  tb.innerHTML = rows.map(e => `<tr data-id="${e.id}">
+      <td>${new Date(e.at).toLocaleString()}</td>
+      <td><span class="badge audit-${e.action}">${AUDIT_ACTIONS[e.action] || e.action}</span></td>
+      <td>${AUDIT_ENTITIES[e.entity]?.label || ''}</td>
+      <td>${escapeHtml(e.summary)}</td>
+      <td>${e.changes ? `<button class="ghost history-details-btn" data-id="${e.id}">Details</button>` : ''}</td>
+    </tr>`).join('') || '<tr><td colspan="5" class="muted">No changes recorded yet.</td></tr>';
+}
+
+function initHistory(){
+  const filter = el('#historyFilter');
+  if(filter){
+    filter.innerHTML = '<option value="">All records</option>' +
+      Object.entries(AUDIT_ENTITIES).map(([k, cfg]) => `<option value="${k}">${cfg.label}</option>`).join('');
+    filter.addEventListener('change', renderHistory);
+  }
+  qsa('.undo-btn').forEach(b => b.addEventListener('click', undoLast));
+  qsa('.redo-btn').forEach(b => b.addEventListener('click', redoLast));
+  on('#historyTable', 'click', e=>{
+    const btn = e.target.closest('.history-details-btn');
+    if(!btn) return;
+    const tr = btn.closest('tr');
+    const open = tr.nextElementSibling;
+    if(open && open.classList.contains('history-detail')){ open.remove(); btn.textContent = 'Details'; return; }
+    const entry = auditLog.find(x => x.id === btn.dataset.id);
+    tr.insertAdjacentHTML('afterend', `<tr class="history-detail"><td colspan="5">${auditDetailHTML(entry)}</td></tr>`);
+    btn.textContent = 'Hide';
+  });
+  document.addEventListener('keydown', e=>{
+    if(!(e.ctrlKey || e.metaKey)) return;
+    if(e.target.closest && e.target.closest('input, textarea, select')) return; // leave field-level undo alone
+    const key = e.key.toLowerCase();
+    if(key === 'z' && !e.shiftKey){ e.preventDefault(); undoLast(); }
+    else if(key === 'y' || (key === 'z' && e.shiftKey)){ e.preventDefault(); redoLast(); }
+  });
+  renderHistory();
+}
+
+/* =========================
+   RECURRING TRANSACTIONS
+   A template keeps the transaction form's values plus a schedule (weekly, monthly on a
+   day, yearly) and an optional end date. After loadAll, scanRecurring() walks every
+   template's nextDate up to today: recent occurrences of auto-post templates go through
+   addTransaction with their own (backdated) date; review-mode occurrences, ones older than
+   RECUR_MISSED_DAYS (the app wasn't opened for a while) and ones that can't be posted
+   wait in `recurringQueue` until they are posted or skipped.
+   ========================= */
+const RECUR_FREQUENCIES = { weekly: 'Weekly', monthly: 'Monthly', yearly: 'Yearly' };
+const RECUR_MISSED_DAYS = 7;
+const RECUR_QUEUE_REASONS = { review: 'Review before posting', missed: 'Missed while the app was closed', failed: 'Could not post' };
+
+function daysInMonth(y, m){ return new Date(y, m+1, 0).getDate(); }
+
+/** The first occurrence strictly after `dateStr` (YYYY-MM-DD) */
+function occurrenceAfter(tpl, dateStr){
+  const d = startOfDay(dateStr);
+  if(tpl.frequency === 'weekly'){
+    d.setDate(d.getDate() + 7);
+    return toDateInputValue(d);
+  }
+  if(tpl.frequency === 'yearly'){
+    const [, sm, sd] = tpl.startDate.split('-').map(Number);
+    for(let y = d.getFullYear(); ; y++){
+      const c = new Date(y, sm-1, Math.min(sd, daysInMonth(y, sm-1)));
+      if(c > d) return toDateInputValue(c);
+    }
+  }
+  // monthly on a day (31 = last day of shorter months)
+  for(let i = 0; ; i++){
+    const y = d.getFullYear(), m = d.getMonth() + i;
+    const c = new Date(y, m, Math.min(tpl.dayOfMonth, daysInMonth(y, m)));
+    if(c > d) return toDateInputValue(c);
+  }
+}
+
+function recurringScheduleLabel(tpl){
+  if(tpl.frequency === 'weekly') return `Weekly on ${startOfDay(tpl.startDate).toLocaleDateString(undefined, { weekday: 'long' })}`;
+  if(tpl.frequency === 'yearly') return `Yearly on ${startOfDay(tpl.startDate).toLocaleDateString(undefined, { month: 'long', day: 'numeric' })}`;
+  return `Monthly on day ${tpl.dayOfMonth}`;
+}
+
+/** Template from the transaction being added; its first occurrence is that transaction */
+function createRecurringTemplate(txn, schedule){
+  const startDate = toDateInputValue(txn.date);
+  const tpl = {
+    id: uid(),
+    txn: {
+      description: txn.description, amount: txn.amount, type: txn.type,
+      lines: txnLines(txn).map(l => ({ invId: l.invId, qty: l.qty, unit: l.unit, unitQty: l.unitQty, price: l.price, discount: l.discount })),
+      paymentMethod: txn.paymentMethod, customerId: txn.customerId, supplierId: txn.supplierId,
+      expenseAccount: txn.expenseAccount, categoryId: txn.categoryId, locationId: txn.locationId,
+      // a custom due date can't repeat; later occurrences fall back to the party's terms
+      terms: txn.terms === TERMS_CUSTOM ? null : txn.terms
+    },
+    frequency: RECUR_FREQUENCIES[schedule.frequency] ? schedule.frequency : 'monthly',
+    dayOfMonth: Math.min(31, Math.max(1, parseInt(schedule.dayOfMonth, 10) || startOfDay(startDate).getDate())),
+    startDate,
+    endDate: schedule.endDate || null,
+    mode: schedule.mode === 'review' ? 'review' : 'auto',
+    active: true,
+    createdAt: nowISO()
+  };
+  tpl.nextDate = occurrenceAfter(tpl, startDate);
+  if(tpl.endDate && tpl.nextDate > tpl.endDate) tpl.nextDate = null;
+  recurring.push(tpl);
+  saveAll();
+  return tpl;
+}
+
+/** Post one occurrence through the normal add flow */
+/** interactive: ask before going over a credit limit; the load-time scan queues those instead */
+function postRecurringOccurrence(tpl, dateStr, interactive){
+  const txn = buildTxnRecord(Object.assign({}, tpl.txn, { date: dateInputToISO(dateStr) }));
+  txn.recurringId = tpl.id;
+  const lock = checkPeriodOpen(txn.date, 'This occurrence');
+  if(lock.error) return lock;
+  const over = creditLimitWarning(txn);
+  if(over && !(interactive && confirm(`${over} Post anyway?`))) return { error:true, msg: over };
+  if(txn.lines.length){
+    const applyRes = applyTransactionInventory(txn);
+    if(applyRes.error) return applyRes;
+  }
+  addTransaction(txn);
+  return { ok:true, txn };
+}
+
+/** Create every occurrence that has come due since the last scan */
+function scanRecurring(){
+  const today = toDateInputValue(new Date());
+  const cutoff = new Date(); cutoff.setDate(cutoff.getDate() - RECUR_MISSED_DAYS);
+  const missedBefore = toDateInputValue(cutoff);
+  let posted = 0, queued = 0;
+  recurring.filter(t => t.active && t.nextDate).forEach(tpl=>{
+    while(tpl.nextDate && tpl.nextDate <= today){
+      const date = tpl.nextDate;
+      let reason = tpl.mode === 'review' ? 'review' : (date < missedBefore ? 'missed' : null);
+      let msg = '';
+      if(!reason){
+        const res = postRecurringOccurrence(tpl, date);
+        if(res.error){ reason = 'failed'; msg = res.msg; } else posted++;
+      }
+      if(reason){ recurringQueue.push({ id: uid(), templateId: tpl.id, date, reason, msg }); queued++; }
+      tpl.nextDate = occurrenceAfter(tpl, date);
+      if(tpl.endDate && tpl.nextDate > tpl.endDate) tpl.nextDate = null;
+    }
+  });
+  if(posted || queued) saveAll();
+  return { posted, queued };
+}
+
+function postQueuedOccurrence(id){
+  const q = recurringQueue.find(x => x.id === id);
+  const tpl = q && recurring.find(t => t.id === q.templateId);
+  if(!tpl) return { error:true, msg: 'Recurring template not found' };
+  const res = postRecurringOccurrence(tpl, q.date, true);
+  if(res.error) return res;
+  recurringQueue = recurringQueue.filter(x => x.id !== id);
+  saveAll();
+  return res;
+}
+
+function skipQueuedOccurrence(id){
+  recurringQueue = recurringQueue.filter(x => x.id !== id);
+  saveAll();
+  return { ok:true };
+}
+
+function deleteRecurringTemplate(id){
+  recurring = recurring.filter(t => t.id !== id);
+  recurringQueue = recurringQueue.filter(q => q.templateId !== id);
+  saveAll();
+  return { ok:true };
+}
+
+function toggleRecurringTemplate(id){
+  const tpl = recurring.find(t => t.id === id);
+  if(!tpl) return { error:true, msg: 'Recurring template not found' };
+  tpl.active = !tpl.active;
+  // resuming doesn't back-fill the paused stretch
+  if(tpl.active && tpl.nextDate && tpl.nextDate < toDateInputValue(new Date())){
+    let next = tpl.nextDate;
+    while(next && next < toDateInputValue(new Date())) next = occurrenceAfter(tpl, next);
+    tpl.nextDate = (tpl.endDate && next > tpl.endDate) ? null : next;
+  }
+  saveAll();
+  return { ok:true };
+}
+
+function renderRecurring(){
+  const tb = qs('#recurringTable tbody');
+  if(tb){
+    tb.innerHTML = recurring.map(tpl => `<tr class="${tpl.active ? '' : 'paused'}">
+        <td>${escapeHtml(tpl.txn.description)}<div class="muted">${tpl.txn.type} · ${tpl.mode === 'review' ? 'review before posting' : 'auto-post'}</div></td>
+        <td class="num">${formatCurrency(tpl.txn.amount)}</td>
+        <td>${recurringScheduleLabel(tpl)}${tpl.endDate ? `<div class="muted">until ${startOfDay(tpl.endDate).toLocaleDateString()}</div>` : ''}</td>
+        <td>${!tpl.active ? 'Paused' : (tpl.nextDate ? startOfDay(tpl.nextDate).toLocaleDateString() : 'Finished')}</td>
+        <td>
+          <button class="ghost recurring-toggle" data-id="${tpl.id}">${tpl.active ? 'Pause' : 'Resume'}</button>
+          <button class="recurring-del" data-id="${tpl.id}">Delete</button>
+        </td>
+      </tr>`).join('') || '<tr><td colspan="5" class="muted">No recurring transactions. Tick "Repeat" when adding one.</td></tr>';
+  }
+
+  const panel = el('#recurringQueuePanel');
+  if(!panel) return;
+  const items = recurringQueue.slice().sort((a,b)=> a.date.localeCompare(b.date));
+  panel.classList.toggle('hidden', !items.length);
+  el('#recurringQueueCount').textContent = items.length;
+  qs('#recurringQueueTable tbody').innerHTML = items.map(q=>{
+    const tpl = recurring.find(t => t.id === q.templateId);
+    return `<tr>
+      <td>${startOfDay(q.date).toLocaleDateString()}</td>
+      <td>${tpl ? escapeHtml(tpl.txn.description) : '(deleted template)'}</td>
+      <td class="num">${tpl ? formatCurrency(tpl.txn.amount) : ''}</td>
+      <td class="muted">${escapeHtml(RECUR_QUEUE_REASONS[q.reason] || q.reason)}${q.msg ? ` — ${escapeHtml(q.msg)}` : ''}</td>
+      <td>
+        <button class="recurring-post" data-id="${q.id}">Post</button>
+        <button class="ghost recurring-skip" data-id="${q.id}">Skip</button>
+      </td>
+    </tr>`;
+  }).join('');
+}
+
+function toggleRecurringFields(){
+  const box = el('#recurringFields');
+  if(!box) return;
+  box.classList.toggle('hidden', !el('#makeRecurring').checked);
+  const monthly = el('#recurFrequency').value === 'monthly';
+  el('#recurDay').closest('label').classList.toggle('hidden', !monthly);
+}
+
+function readRecurringSchedule(){
+  if(editId || !el('#makeRecurring') || !el('#makeRecurring').checked) return null;
+  return {
+    frequency: el('#recurFrequency').value,
+    dayOfMonth: el('#recurDay').value,
+    endDate: el('#recurEnd').value,
+    mode: el('#recurMode').value
+  };
+}
+
+function resetRecurringFields(){
+  if(!el('#makeRecurring')) return;
+  el('#makeRecurring').checked = false;
+  el('#recurFrequency').value = 'monthly';
+  el('#recurDay').value = '';
+  el('#recurEnd').value = '';
+  el('#recurMode').value = 'auto';
+  toggleRecurringFields();
+}
+
+function initRecurring(){
+  on('#makeRecurring', 'change', toggleRecurringFields);
+  on('#recurFrequency', 'change', toggleRecurringFields);
+  on('#recurringTable', 'click', e=>{
+    const btn = e.target.closest('button[data-id]');
+    if(!btn) return;
+    if(btn.classList.contains('recurring-toggle')){
+      audited({ action: 'update', entity: 'recurring' }, ()=> toggleRecurringTemplate(btn.dataset.id));
+    } else if(btn.classList.contains('recurring-del')){
+      if(!confirm('Delete this recurring transaction? Transactions already posted stay.')) return;
+      audited({ action: 'delete', entity: 'recurring' }, ()=> deleteRecurringTemplate(btn.dataset.id));
+    }
+    renderRecurring();
+  });
+  on('#recurringQueueTable', 'click', e=>{
+    const btn = e.target.closest('button[data-id]');
+    if(!btn) return;
+    if(btn.classList.contains('recurring-post')){
+      const res = audited({ action: 'create', entity: 'transaction' }, ()=> postQueuedOccurrence(btn.dataset.id));
+      if(res.error){ alert(res.msg); return; }
+      warnOverBudget(res.txn);
+    } else if(btn.classList.contains('recurring-skip')){
+      audited({ action: 'delete', entity: 'recurring', summary: 'Skipped a recurring occurrence' }, ()=> skipQueuedOccurrence(btn.dataset.id));
+    }
+    renderRecurring();
+  });
+  on('#recurringPostAll', 'click', ()=>{
+    const errors = [];
+    audited({ action: 'create', entity: 'transaction', summary: 'Posted queued recurring transactions' }, ()=>{
+      recurringQueue.slice().sort((a,b)=> a.date.localeCompare(b.date)).forEach(q=>{
+        const res = postQueuedOccurrence(q.id);
+        if(res.error) errors.push(`${startOfDay(q.date).toLocaleDateString()}: ${res.msg}`);
+      });
+    });
+    if(errors.length) alert('Some occurrences were not posted:\n' + errors.join('\n'));
+    renderRecurring();
+  });
+
+  const res = audited({ action: 'create', entity: 'transaction', summary: 'Posted due recurring transactions' }, scanRecurring);
+  if(res.posted) showToast(`✓ Posted ${res.posted} recurring transaction${res.posted === 1 ? '' : 's'}`);
+  resetRecurringFields();
+  renderRecurring();
+}
+
+/* =========================
+   INIT UI AND EVENTS
+   ========================= */
+document.addEventListener('DOMContentLoaded', async ()=>{
+  try {
+    await loadAll();
+  } catch(err){
+    alert('Monimo could not open your books (' + (err && err.message || err) + '). Nothing was changed — reload the page to try again.');
+    return;
+  }
+
+  renderAll();
+
+  // Reports
+  initReports();
+
+  // Backup / Restore
+  initBackupRestore();
+  initCsvImport();
+  initParties();
+  initPeriods();
+  initHistory();
+  initCategories();
+  initRecurring();
+  initReorder();
+  initPurchaseOrders();
+  initReturns();
+  initStockTake();
+  initLocations();
+
+  // form dates default to today
+  ['#txnDate', '#stockDate'].forEach(sel=>{ if(el(sel)) el(sel).value = toDateInputValue(new Date()); });
+
+  // NAV tabs
+  qsa('.tab-btn').forEach(btn=>{
+    btn.addEventListener('click', ()=>{
+      qsa('.tab-btn').forEach(b=>b.classList.remove('active'));
+      btn.classList.add('active');
+      const target = btn.dataset.target;
+      qsa('.view').forEach(v=>v.classList.remove('active'));
+      el('#'+target).classList.add('active');
+      if(target === 'inventoryView'){ renderInventory(); fillInventorySelects(); updateInventoryValue(); renderOverallLog(); }
+      if(target === 'journalsView'){
+        renderPurchasesJournal(); renderSalesJournal(); renderCashReceipts(); renderCashDisbursements(); renderGeneralJournal();
+      }
+      if(target === 'reportsView') runReports();
+      if(target === 'customersView') renderParties('customer');
+      if(target === 'suppliersView') renderParties('supplier');
+      if(target === 'purchaseOrdersView'){ fillPoSupplierSelect(); renderPurchaseOrders(); }
+      if(target === 'stockTakeView') renderStockCounts();
+      if(target === 'historyView') renderHistory();
+    });
+  });
+
+  // Journals sub-tabs
+  qsa('.journal-subtab-btn').forEach(btn=>{
+    btn.addEventListener('click', ()=>{
+      qsa('.journal-subtab-btn').forEach(b=>b.classList.remove('active'));
+      btn.classList.add('active');
+      qsa('.journal-subview').forEach(v=>v.classList.remove('active'));
+      const target = btn.dataset.target;
+      el('#'+target).classList.add('active');
+      if(target === 'purchasesJournalView') renderPurchasesJournal();
+      if(target === 'salesJournalView') renderSalesJournal();
+      if(target === 'cashReceiptsView') renderCashReceipts();
+      if(target === 'cashDisbursementsView') renderCashDisbursements();
+      if(target === 'generalJournalView') renderGeneralJournal();
+      if(target === 'chartOfAccountsView') renderChartOfAccounts();
+      if(target === 'periodsView') renderPeriods();
+    });
+  });
+
+  // transaction submit
+  el('#transactionForm').addEventListener('submit', e=>{
+    e.preventDefault();
+    audited({ action: editId ? 'update' : 'create', entity: 'transaction' }, commitTransactionForm);
+  });
+  el('#resetTxnBtn').addEventListener('click', resetTransactionForm);
+
+  // search, filters, sorting, paging
+  initTransactionFilters();
+
+  // inventory form submit
+  el('#inventoryForm').addEventListener('submit', e=> audited({ action: editingInventoryId ? 'update' : 'create', entity: 'item' }, ()=>{
+    e.preventDefault();
+    const name = el('#itemName').value.trim();
+    const desc = el('#itemDesc').value.trim();
+    const cat = el('#itemCategory').value.trim();
+    const price = parseFloat(el('#itemPrice').value);
+    const costRaw = el('#itemCost').value.trim();
+    const cost = costRaw === '' ? price : parseFloat(costRaw);
+    const qtyStart = roundQty(parseFloat(el('#itemQtyStart').value) || 0);
+    const reorderPoint = el('#itemReorderPoint').value;
+    const reorderQty = el('#itemReorderQty').value;
+    const preferredSupplierId = el('#itemSupplier').value || null;
+    const base = el('#itemBaseUnit').value.trim() || DEFAULT_BASE_UNIT;
+    const allowDecimal = el('#itemAllowDecimal').checked;
+    const unitList = parseUnitList(el('#itemUnits').value, base);
+    if(!name || isNaN(price) || price < 0){ alert('Enter item name and valid price'); return; }
+    if(isNaN(cost) || cost < 0){ alert('Enter a valid unit cost'); return; }
+    if(unitList.error){ alert(unitList.msg); return; }
+    const editing = editingInventoryId ? inventory.find(x=>x.id === editingInventoryId) : null;
+    if(editing){
+      for(const unit of unitsInUse(editing)){
+        const kept = unitList.units.find(u => u.name === unit);
+        if(!kept || kept.factor !== unitFactor(editing, unit)){
+          alert(`Saved documents for "${editing.name}" are in ${unit}; keep ${unit}=${unitFactor(editing, unit)}.`); return;
+        }
+      }
+      const stockQtys = Object.values(itemStock(editing)).concat(editing.quantity);
+      if(!allowDecimal && stockQtys.some(q => !Number.isInteger(roundQty(q)))){
+        alert(`"${editing.name}" has fractional stock; adjust it to whole ${baseUnit(editing)} before turning decimals off.`); return;
+      }
+    }
+    if(qtyStart < 0 || !qtyAllowed({ allowDecimal }, qtyStart)){ alert(`Enter a valid starting quantity${allowDecimal ? '' : ' (whole units)'}.`); return; }
+    // quantities already on the books are in the old base unit
+    if(editing && base !== baseUnit(editing) && logs.some(l => l.itemId === editing.id)){
+      alert(`"${editing.name}" already has stock movements in ${baseUnit(editing)}; its base unit can't change.`); return;
+    }
+    if(editing ? editing.quantity !== qtyStart : qtyStart > 0){
+      const lock = checkPeriodOpen(new Date(), 'This stock movement');
+      if(lock.error){ alert(lock.msg); return; }
+    }
+
+    if(editingInventoryId){
+      const it = inventory.find(x=>x.id === editingInventoryId);
+      if(it){
+        it.name = name; it.description = desc; it.category = cat; it.unitPrice = Number(price); it.unitCost = Number(cost);
+        it.reorderPoint = reorderNumber(reorderPoint); it.reorderQty = reorderNumber(reorderQty); it.preferredSupplierId = preferredSupplierId;
+        it.baseUnit = base; it.allowDecimal = allowDecimal; it.units = unitList.units;
+        if(it.quantity !== Number(qtyStart)){
+          // the difference lands on the default location
+          const diff = Number(qtyStart) - Number(it.quantity);
+          adjustStock(it, defaultLocationId(), diff);
+          const logEntry = addLog(it.id, 'manual', diff, 'Edit item starting qty adjusted', null, defaultLocationId());
+          let value;
+          if(diff > 0){ addToLayers(it, diff, it.unitCost, logEntry.timestamp, logEntry.id); value = diff * it.unitCost; }
+          else value = consumeLayers(it, -diff).cost;
+          postInventoryAdjustment(it, logEntry, value);
+        }
+      }
+      editingInventoryId = null;
+    } else {
+      addInventoryItem({ name, description: desc, category: cat, unitPrice: price, unitCost: cost, quantity: qtyStart, reorderPoint, reorderQty, preferredSupplierId, baseUnit: base, allowDecimal, units: unitList.units });
+    }
+
+    saveAll();
+    clearInventoryForm();
+    renderInventory();
+    fillInventorySelects();
+    renderGeneralJournal();
+  }));
+
+  on('#inventoryClear','click', clearInventoryForm);
+  on('#stockForm','submit', e=> audited({ action: 'stock', entity: 'item' }, ()=> handleStockAdjust(e)));
+  on('#stockItemSelect','change', ()=>{
+    const it = inventory.find(x=>x.id === el('#stockItemSelect').value);
+    el('#stockUnit').innerHTML = it ? unitOptions(it) : '<option value="">—</option>';
+    el('#stockUnitCost').value = it ? (it.unitCost ?? '') : '';
+  });
+  on('#stockUnit','change', ()=>{
+    const it = inventory.find(x=>x.id === el('#stockItemSelect').value);
+    if(it) el('#stockUnitCost').value = roundMoney(Number(it.unitCost || 0) * unitFactor(it, el('#stockUnit').value));
+  });
+  const costingSelect = el('#costingMethod');
+  if(costingSelect){
+    costingSelect.value = costingMethod();
+    costingSelect.addEventListener('change', ()=>{
+      if(costingSelect.value === 'average' && !confirm('Switch to moving weighted average? Each item\'s cost layers are merged into one average cost. Past sales keep the cost they were booked at.')){
+        costingSelect.value = costingMethod(); return;
+      }
+      audited({ action: 'costing', entity: 'item', summary: `Costing method set to ${costingSelect.value === 'average' ? 'moving average' : 'FIFO'}` }, ()=> setCostingMethod(costingSelect.value));
+      renderInventory();
+    });
+  }
+
+  // month picker
+  const monthPicker = el('#monthPicker');
+  if(monthPicker){
+    const now = new Date();
+    monthPicker.value = `${now.getFullYear()}-${String(now.getMonth()+1).padStart(2,'0')}`;
+    monthPicker.addEventListener('change', ()=> updateMonthlySummary());
+  }
+
+  // purchases log toggle
+  const toggleOverallLogBtn = el('#toggleOverallLog');
+  if(toggleOverallLogBtn){
+    toggleOverallLogBtn.addEventListener('click', ()=>{
+      const wrap = el('#overallLogWrapper');
+      if(!wrap) return;
+      wrap.classList.toggle('hidden');
+      toggleOverallLogBtn.textContent = wrap.classList.contains('hidden') ? 'Show Purchases Log' : 'Hide Purchases Log';
+      if(!wrap.classList.contains('hidden')) renderOverallLog();
+    });
+  }
+
+  // theme toggle (dark)
+  const themeToggleBtn = el('#theme-toggle');
+  if(settings.theme === 'dark'){ document.body.classList.add('dark-mode'); themeToggleBtn.textContent = '☀️ Light Mode'; }
+  if(themeToggleBtn){
+    themeToggleBtn.addEventListener('click', ()=>{
+      document.body.classList.toggle('dark-mode');
+      settings.theme = document.body.classList.contains('dark-mode') ? 'dark' : 'light';
+      saveAll();
+      themeToggleBtn.textContent = (settings.theme==='dark') ? '☀️ Light Mode' : '🌙 Dark Mode';
+    });
+  }
+
+  // accent picker
+  qsa('.accent-dot').forEach(btn=>{
+    btn.addEventListener('click', ()=>{
+      const accent = btn.dataset.accent;
+      document.body.classList.remove('theme-blue','theme-green','theme-lavender');
+      document.body.classList.add(`theme-${accent}`);
+      settings.accent = accent;
+      saveAll();
+    });
+  });
+
+  // edit business
+  on('#editBizBtn','click', ()=>{
+    const name = prompt('Enter business name:', settings.businessName || 'Monimo');
+    if(name===null) return;
+    settings.businessName = name.trim() || 'Monimo';
+    saveAll();
+    applySettingsUI();
   });
 
   // show/hide conditional fields on type/select change
   el('#type').addEventListener('change', toggleConditionalFields);
-  el('#inventorySelect').addEventListener('change', toggleConditionalFields);
+  initLineItems();
   toggleConditionalFields();
 }); // DOMContentLoaded
 
+/** Re-render every view from app state (boot, restore) */
+function renderAll(){
+  // settings + theme
+  applySettingsUI();
+  fillAccountSelects();
+  fillLocationSelects();
+
+  renderTransactions();
+  renderInventory();
+  fillInventorySelects();
+  updateDashboard();
+  updateMonthlySummary();
+  updateInventoryValue();
+
+  // Journals
+  renderPurchasesJournal();
+  renderSalesJournal();
+  renderCashReceipts();
+  renderCashDisbursements();
+  renderGeneralJournal();
+  renderChartOfAccounts();
+  renderPeriods();
+
+  // Customers & suppliers
+  renderParties('customer');
+  renderParties('supplier');
+  fillPartySelects();
+
+  // Recurring templates, purchase orders, returns, stock counts
+  renderRecurring();
+  renderPurchaseOrders();
+  renderReturns();
+  renderStockCounts();
+}
+
+/* =========================
+   CATEGORIES & BUDGETS
+   Transactions can carry a categoryId (revenue or expense categories). Each category
+   has a monthly budget; the Budget table under the monthly summary compares it with
+   the picked month's actuals. Expense categories may name the ledger account their
+   expenses post to (the form's Expense Account follows the category).
+   ========================= */
+function getCategory(id){ return categories.find(c => c.id === id) || null; }
+function categoriesOfType(type){ return categories.filter(c => c.type === type); }
+
+/** Starting categories: one per expense account, plus Sales */
+function seedDefaultCategories(){
+  if(categories.length) return;
+  categories = [{ id: uid(), name: 'Sales', type: 'revenue', account: null, budget: 0 }]
+    .concat(getExpenseAccounts().map(a => ({ id: uid(), name: a.name, type: 'expense', account: a.code, budget: 0 })));
+}
+
+function fillCategorySelect(){
+  const sel = el('#category');
+  if(!sel) return;
+  const cur = sel.value;
+  const list = categoriesOfType(el('#type').value);
+  sel.innerHTML = '<option value="">— uncategorized —</option>' + list.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join('');
+  sel.value = list.some(c => c.id === cur) ? cur : '';
+}
+
+/** Category totals for a set of transactions: Map(categoryId | 'none:<type>' -> amount).
+    Inventory purchases are left out, as in the monthly summary's expenses. */
+function categoryActuals(txns){
+  const sums = new Map();
+  txns.forEach(t=>{
+    if(isInventoryPurchase(t)) return;
+    const key = getCategory(t.categoryId) ? t.categoryId : `none:${t.type}`;
+    sums.set(key, roundMoney((sums.get(key) || 0) + Number(t.amount || 0)));
+  });
+  return sums;
+}
+
+function monthTransactions(start, end){
+  return transactions.filter(t => { const d = new Date(t.date); return d >= start && d <= end; });
+}
+
+/** Budget vs actual for the month starting at `start` (called by updateMonthlySummary) */
+function renderBudget(monthly, start){
+  const tb = qs('#budgetTable tbody');
+  if(!tb) return;
+  const monthName = start.toLocaleString('default',{month:'long',year:'numeric'});
+  el('#budgetTitle').textContent = `Budget vs Actual — ${monthName}`;
+  const actuals = categoryActuals(monthly);
+  const over = [];
+  const rows = ['revenue', 'expense'].map(type=>{
+    const list = categoriesOfType(type).map(c => ({ name: c.name, budget: Number(c.budget || 0), actual: actuals.get(c.id) || 0 }));
+    const none = actuals.get(`none:${type}`) || 0;
+    if(none) list.push({ name: 'Uncategorized', budget: 0, actual: none, muted: true });
+    if(!list.length) return '';
+    return `<tr class="budget-group"><td colspan="5">${type === 'revenue' ? 'Revenue' : 'Expenses'}</td></tr>` + list.map(r=>{
+      // revenue budgets are targets (ahead = positive), expense budgets are limits (under = positive)
+      const variance = r.budget ? (type === 'revenue' ? r.actual - r.budget : r.budget - r.actual) : null;
+      const pct = r.budget ? Math.round(r.actual / r.budget * 100) : null;
+      const isOver = type === 'expense' && r.budget > 0 && r.actual > r.budget;
+      if(isOver) over.push(r.name);
+      return `<tr class="${isOver ? 'over-budget' : ''}${r.muted ? ' muted-row' : ''}">
+        <td>${escapeHtml(r.name)}${isOver ? ' <span class="badge over-budget-badge">over budget</span>' : ''}</td>
+        <td class="num">${r.budget ? formatCurrency(r.budget) : '—'}</td>
+        <td class="num">${formatCurrency(r.actual)}</td>
+        <td class="num">${variance === null ? '—' : formatCurrency(variance)}</td>
+        <td class="num">${pct === null ? '—' : pct + '%'}</td>
+      </tr>`;
+    }).join('');
+  }).join('');
+  tb.innerHTML = rows || '<tr><td colspan="5" class="muted">No categories yet.</td></tr>';
+  const warn = el('#budgetWarning');
+  if(warn){
+    warn.textContent = over.length ? `⚠ Over budget this month: ${over.join(', ')}` : '';
+    warn.classList.toggle('hidden', !over.length);
+  }
+}
+
+/** Alert when a saved expense leaves its category over the month's budget */
+function warnOverBudget(txn){
+  const cat = txn && getCategory(txn.categoryId);
+  if(!cat || cat.type !== 'expense' || !(Number(cat.budget) > 0)) return;
+  const d = new Date(txn.date);
+  const start = new Date(d.getFullYear(), d.getMonth(), 1);
+  const end = new Date(d.getFullYear(), d.getMonth()+1, 0, 23,59,59,999);
+  const actual = categoryActuals(monthTransactions(start, end)).get(cat.id) || 0;
+  if(actual > Number(cat.budget)){
+    alert(`⚠ "${cat.name}" is over its ${start.toLocaleString('default',{month:'long',year:'numeric'})} budget: ${formatCurrency(actual)} spent of ${formatCurrency(cat.budget)} (${Math.round(actual / cat.budget * 100)}%).`);
+  }
+}
+
+function renderCategories(){
+  const tb = qs('#categoriesTable tbody');
+  if(!tb) return;
+  const acctOptions = cur => '<option value="">—</option>' + getExpenseAccounts().map(a => `<option value="${a.code}"${a.code === cur ? ' selected' : ''}>${a.code} · ${a.name}</option>`).join('');
+  tb.innerHTML = categories.map(c => `<tr data-id="${c.id}">
+      <td><input class="cat-name" value="${escapeHtml(c.name)}" /></td>
+      <td>${c.type === 'revenue' ? 'Revenue' : 'Expense'}</td>
+      <td>${c.type === 'expense' ? `<select class="cat-account">${acctOptions(c.account)}</select>` : ''}</td>
+      <td><input class="cat-budget" type="number" min="0" step="0.01" value="${Number(c.budget || 0) || ''}" /></td>
+      <td><button type="button" class="cat-del" data-id="${c.id}">Delete</button></td>
+    </tr>`).join('') || '<tr><td colspan="5" class="muted">No categories yet.</td></tr>';
+  const formAcct = qs('#categoryForm [name=account]');
+  if(formAcct) formAcct.innerHTML = acctOptions(ACCT.OPEX);
+}
+
+function addCategory(data){
+  const name = String(data.name || '').trim();
+  if(!name) return { error:true, msg: 'Enter a category name' };
+  const type = data.type === 'revenue' ? 'revenue' : 'expense';
+  if(categories.some(c => c.type === type && c.name.toLowerCase() === name.toLowerCase())) return { error:true, msg: `A ${type} category named "${name}" already exists` };
+  const budget = Number(data.budget || 0);
+  if(isNaN(budget) || budget < 0) return { error:true, msg: 'Enter a valid budget' };
+  const cat = { id: uid(), name, type, account: type === 'expense' ? (getAccount(data.account) ? data.account : ACCT.OPEX) : null, budget };
+  categories.push(cat);
+  saveAll();
+  return { ok:true, category: cat };
+}
+
+function updateCategory(id, patch){
+  const cat = getCategory(id);
+  if(!cat) return { error:true, msg: 'Category not found' };
+  if(patch.name !== undefined){
+    const name = String(patch.name).trim();
+    if(!name) return { error:true, msg: 'Enter a category name' };
+    if(categories.some(c => c.id !== id && c.type === cat.type && c.name.toLowerCase() === name.toLowerCase())) return { error:true, msg: `A ${cat.type} category named "${name}" already exists` };
+    cat.name = name;
+  }
+  if(patch.budget !== undefined){
+    const budget = Number(patch.budget || 0);
+    if(isNaN(budget) || budget < 0) return { error:true, msg: 'Enter a valid budget' };
+    cat.budget = budget;
+  }
+  if(patch.account !== undefined) cat.account = getAccount(patch.account) ? patch.account : null;
+  saveAll();
+  return { ok:true };
+}
+
+function deleteCategory(id){
+  const used = transactions.filter(t => t.categoryId === id).length;
+  if(used) return { error:true, msg: `This category is used by ${used} transaction${used === 1 ? '' : 's'}. Recategorize them first.` };
+  categories = categories.filter(c => c.id !== id);
+  saveAll();
+  return { ok:true };
+}
+
+function afterCategoryChange(){
+  renderCategories();
+  fillCategorySelect();
+  updateMonthlySummary();
+}
+
+function initCategories(){
+  on('#manageCategoriesBtn', 'click', ()=>{
+    const box = el('#categoryManager');
+    box.classList.toggle('hidden');
+    el('#manageCategoriesBtn').textContent = box.classList.contains('hidden') ? 'Manage categories' : 'Done';
+  });
+  on('#categoryForm', 'submit', e=>{
+    e.preventDefault();
+    const form = e.target;
+    const field = f => form.querySelector(`[name="${f}"]`).value;
+    const res = audited({ action: 'create', entity: 'category' }, ()=> addCategory({
+      name: field('name'), type: field('type'), account: field('account'), budget: field('budget')
+    }));
+    if(res.error){ alert(res.msg); return; }
+    form.reset();
+    afterCategoryChange();
+  });
+  on('#categoryForm [name=type]', 'change', e=>{
+    qs('#categoryForm [name=account]').disabled = e.target.value !== 'expense';
+  });
+  on('#categoriesTable', 'change', e=>{
+    const tr = e.target.closest('tr[data-id]');
+    if(!tr) return;
+    const patch = e.target.classList.contains('cat-name') ? { name: e.target.value }
+      : e.target.classList.contains('cat-budget') ? { budget: e.target.value }
+      : e.target.classList.contains('cat-account') ? { account: e.target.value } : null;
+    if(!patch) return;
+    const res = audited({ action: 'update', entity: 'category' }, ()=> updateCategory(tr.dataset.id, patch));
+    if(res.error) alert(res.msg);
+    afterCategoryChange();
+  });
+  on('#categoriesTable', 'click', e=>{
+    const btn = e.target.closest('.cat-del');
+    if(!btn) return;
+    if(!confirm('Delete this category?')) return;
+    const res = audited({ action: 'delete', entity: 'category' }, ()=> deleteCategory(btn.dataset.id));
+    if(res.error){ alert(res.msg); return; }
+    afterCategoryChange();
+  });
+  on('#category', 'change', ()=>{
+    const cat = getCategory(el('#category').value);
+    if(cat && cat.account && el('#expenseAccount')) el('#expenseAccount').value = cat.account;
+  });
+  renderCategories();
+  fillCategorySelect();
+}
+
 /* =========================
    MONTHLY SUMMARY (Exclude inventory purchase expenses)
    ========================= */
@@ -1328,13 +5960,12 @@ function updateMonthlySummary(year, month){
 
   const start = new Date(targetYear, targetMonth, 1);
   const end = new Date(targetYear, targetMonth+1, 0, 23,59,59,999);
-  const monthly = transactions.filter(t => {
-    const d = new Date(t.date); return d >= start && d <= end;
-  });
+  const monthly = monthTransactions(start, end);
 
-  const income = monthly.filter(t => t.type === 'revenue').reduce((s,t)=> s + Number(t.amount), 0);
-  const expensesExInv = monthly.filter(t => t.type === 'expense' && !t.invId).reduce((s,t)=> s + Number(t.amount), 0);
-  const invCost = monthly.reduce((s,t)=> s + getTxnInventoryCost(t), 0);
+  const back = returnTotals('sale', start, end);
+  const income = monthly.filter(t => t.type === 'revenue').reduce((s,t)=> s + Number(t.amount), 0) - back.amount;
+  const expensesExInv = monthly.filter(t => t.type === 'expense' && !isInventoryPurchase(t)).reduce((s,t)=> s + Number(t.amount), 0);
+  const invCost = monthly.reduce((s,t)=> s + getTxnInventoryCost(t), 0) - back.cost;
   const net = income - invCost - expensesExInv;
   const monthName = start.toLocaleString('default',{month:'long',year:'numeric'});
 
@@ -1346,6 +5977,975 @@ function updateMonthlySummary(year, month){
   el('#monthlyInvCost').textContent = formatCurrency(invCost);
   el('#monthlyExpense').textContent = formatCurrency(expensesExInv);
   el('#monthlyNet').textContent = formatCurrency(net);
+
+  renderBudget(monthly, start);
+}
+
+/* =========================
+   REPORTS: Trial Balance, Balance Sheet, Income Statement, AR/AP Aging
+   Built from the stored books (transactions + ledger), never from table rows.
+   Each builder returns { title, period, columns, rows } so the same model
+   drives the on-screen table, CSV export and print.
+   ========================= */
+const lastReports = {}; // name -> last built report (used by Export CSV)
+
+/** Net Dr/Cr totals per account for entries dated within [from, to] */
+function accountTotals(from, to){
+  const totals = {};
+  ledger.forEach(en=>{
+    const d = new Date(en.date);
+    if(from && d < from) return;
+    if(to && d > to) return;
+    en.lines.forEach(l=>{
+      const t = totals[l.account] || (totals[l.account] = { debit:0, credit:0 });
+      t.debit += Number(l.debit || 0);
+      t.credit += Number(l.credit || 0);
+    });
+  });
+  return totals;
+}
+
+/** Balance in the account's normal direction (assets/expenses debit, others credit) */
+function normalBalance(account, t){
+  if(!t) return 0;
+  const debitNormal = account.type === 'asset' || account.type === 'expense';
+  return roundMoney(debitNormal ? t.debit - t.credit : t.credit - t.debit);
+}
+
+function buildTrialBalance(asOf){
+  const totals = accountTotals(null, asOf);
+  const rows = [];
+  let dr = 0, cr = 0;
+  CHART_OF_ACCOUNTS.forEach(a=>{
+    const t = totals[a.code];
+    if(!t) return;
+    const net = roundMoney(t.debit - t.credit);
+    if(net === 0) return;
+    const debit = net > 0 ? net : 0;
+    const credit = net < 0 ? -net : 0;
+    dr += debit; cr += credit;
+    rows.push({ kind:'line', cells: [`${a.code} · ${a.name}`, debit || '', credit || ''] });
+  });
+  rows.push({ kind:'total', cells: ['Totals', roundMoney(dr), roundMoney(cr)] });
+  if(roundMoney(dr) !== roundMoney(cr)) rows.push({ kind:'warning', cells: ['Out of balance by', roundMoney(Math.abs(dr - cr)), ''] });
+  return { title: 'Trial Balance', period: `As of ${asOf.toLocaleDateString()}`, columns: ['Account','Debit','Credit'], rows };
+}
+
+function buildBalanceSheet(asOf){
+  const totals = accountTotals(null, asOf);
+  const rows = [];
+  const section = (type, label)=>{
+    rows.push({ kind:'header', cells: [label, ''] });
+    let sum = 0;
+    CHART_OF_ACCOUNTS.filter(a => a.type === type).forEach(a=>{
+      const bal = normalBalance(a, totals[a.code]);
+      if(bal === 0) return;
+      sum += bal;
+      rows.push({ kind:'line', cells: [a.name, bal] });
+    });
+    return roundMoney(sum);
+  };
+
+  const assets = section('asset', 'Assets');
+  rows.push({ kind:'subtotal', cells: ['Total Assets', assets] });
+  const liabilities = section('liability', 'Liabilities');
+  rows.push({ kind:'subtotal', cells: ['Total Liabilities', liabilities] });
+
+  const contributed = section('equity', 'Equity');
+  // retained earnings = all revenue less all expenses posted up to the date
+  const retained = roundMoney(
+    CHART_OF_ACCOUNTS.filter(a => a.type === 'revenue').reduce((s,a)=> s + normalBalance(a, totals[a.code]), 0) -
+    CHART_OF_ACCOUNTS.filter(a => a.type === 'expense').reduce((s,a)=> s + normalBalance(a, totals[a.code]), 0)
+  );
+  rows.push({ kind:'line', cells: ['Retained Earnings', retained] });
+  const equity = roundMoney(contributed + retained);
+  rows.push({ kind:'subtotal', cells: ['Total Equity', equity] });
+  rows.push({ kind:'total', cells: ['Total Liabilities & Equity', roundMoney(liabilities + equity)] });
+  if(roundMoney(assets) !== roundMoney(liabilities + equity)){
+    rows.push({ kind:'warning', cells: ['Difference', roundMoney(assets - liabilities - equity)] });
+  }
+  return { title: 'Balance Sheet', period: `As of ${asOf.toLocaleDateString()}`, columns: ['', 'Amount'], rows };
+}
+
+/** Multi-step income statement. Sales/COGS come from the transactions (COGS via getTxnInventoryCost),
+  * operating expenses from the ledger so stock adjustments are included. */
+function buildIncomeStatement(from, to){
+  const inRange = transactions.filter(t=>{
+    const d = new Date(t.date);
+    return (!from || d >= from) && (!to || d <= to);
+  });
+  const grossSales = roundMoney(inRange.filter(t => t.type === 'revenue').reduce((s,t)=> s + Number(t.amount), 0));
+  const back = returnTotals('sale', from, to);
+  const sales = roundMoney(grossSales - back.amount);
+  const cogs = roundMoney(inRange.reduce((s,t)=> s + getTxnInventoryCost(t), 0) - back.cost);
+  const gross = roundMoney(sales - cogs);
+
+  const totals = accountTotals(from, to);
+  const rows = back.amount ? [
+    { kind:'line', cells: ['Sales', grossSales] },
+    { kind:'line', cells: ['Less: Sales Returns & Allowances', back.amount] },
+    { kind:'subtotal', cells: ['Net Sales', sales] }
+  ] : [
+    { kind:'line', cells: ['Sales', sales] }
+  ];
+  rows.push(
+    { kind:'line', cells: ['Cost of Goods Sold', cogs] },
+    { kind:'subtotal', cells: [`Gross Profit${sales ? ` (${(gross / sales * 100).toFixed(1)}%)` : ''}`, gross] },
+    { kind:'header', cells: ['Operating Expenses', ''] }
+  );
+  let opex = 0;
+  CHART_OF_ACCOUNTS.filter(a => a.type === 'expense' && a.code !== ACCT.COGS).forEach(a=>{
+    const bal = normalBalance(a, totals[a.code]);
+    if(bal === 0) return;
+    opex += bal;
+    rows.push({ kind:'line', cells: [a.name, bal] });
+  });
+  opex = roundMoney(opex);
+  rows.push({ kind:'subtotal', cells: ['Total Operating Expenses', opex] });
+  rows.push({ kind:'total', cells: ['Net Income', roundMoney(gross - opex)] });
+
+  const period = `${from ? from.toLocaleDateString() : 'Beginning'} to ${to ? to.toLocaleDateString() : 'Today'}`;
+  return { title: 'Income Statement', period, columns: ['', 'Amount'], rows };
+}
+
+/* ----- AR / AP aging ----- */
+const AGING_BUCKETS = [
+  { label: 'Current', maxDays: 0 },
+  { label: '1–30',    maxDays: 30 },
+  { label: '31–60',   maxDays: 60 },
+  { label: '61–90',   maxDays: 90 },
+  { label: '90+',     maxDays: Infinity }
+];
+const agingDrill = {}; // report name -> open drill-down key
+
+/** Whole days from due date to asOf (negative = not yet due) */
+function daysPastDue(due, asOf){
+  const day = d => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  return Math.round((day(asOf) - day(due)) / 86400000);
+}
+
+/** Open entries of a Sales (customer) or Purchases (supplier) journal as of a date, with
+  * the balance still owed then, due date and days past due. */
+function openJournalEntries(kind, asOf){
+  const cfg = PARTY_KINDS[kind];
+  return cfg.journal().map(j=>{
+    const open = openBalanceAsOf(kind, j, asOf);
+    if(open <= 0) return null;
+    const due = journalDueDate(j, kind);
+    return { j, open, due, days: daysPastDue(due, asOf),
+      partyId: j[cfg.idField] || '', partyName: getParty(kind, j[cfg.idField])?.name || j[cfg.nameField] || `(No ${cfg.label.toLowerCase()})` };
+  }).filter(Boolean);
+}
+
+/** Open balances per customer/supplier bucketed by days past due. Bucket cells link to
+  * "partyId|bucket" keys (partyId '*' = everyone, bucket 'all' = every bucket) for buildAgingDetail. */
+function buildAging(kind, asOf){
+  const cfg = PARTY_KINDS[kind];
+  const entries = openJournalEntries(kind, asOf);
+  const bucketOf = days => AGING_BUCKETS.findIndex(b => days <= b.maxDays);
+  const groups = new Map();
+  entries.forEach(e=>{
+    if(!groups.has(e.partyId)) groups.set(e.partyId, { name: e.partyName, sums: AGING_BUCKETS.map(()=> 0) });
+    groups.get(e.partyId).sums[bucketOf(e.days)] += e.open;
+  });
+
+  const rows = [];
+  const totals = AGING_BUCKETS.map(()=> 0);
+  Array.from(groups.entries()).sort((a,b)=> a[1].name.localeCompare(b[1].name)).forEach(([id, g])=>{
+    const sums = g.sums.map(roundMoney);
+    sums.forEach((v,i)=> totals[i] += v);
+    rows.push({ kind:'line', cells: [g.name, ...sums, roundMoney(sums.reduce((s,v)=> s + v, 0))],
+      links: [null, ...sums.map((v,i)=> v ? `${id}|${i}` : null), `${id}|all`] });
+  });
+  const grand = roundMoney(totals.reduce((s,v)=> s + v, 0));
+  rows.push({ kind:'total', cells: ['Total', ...totals.map(roundMoney), grand],
+    links: [null, ...totals.map((v,i)=> v ? `*|${i}` : null), grand ? '*|all' : null] });
+
+  return {
+    title: kind === 'customer' ? 'Accounts Receivable Aging' : 'Accounts Payable Aging',
+    period: `As of ${asOf.toLocaleDateString()}`,
+    columns: [cfg.label, ...AGING_BUCKETS.map(b => b.label), 'Total'],
+    rows, kind, asOf
+  };
+}
+
+/** The entries behind one aging cell */
+function buildAgingDetail(aging, key){
+  const [partyId, bucket] = key.split('|');
+  const cfg = PARTY_KINDS[aging.kind];
+  const range = bucket === 'all' ? null : AGING_BUCKETS[Number(bucket)];
+  const min = range ? (Number(bucket) ? AGING_BUCKETS[Number(bucket) - 1].maxDays + 1 : -Infinity) : -Infinity;
+  const picked = openJournalEntries(aging.kind, aging.asOf)
+    .filter(e => (partyId === '*' || e.partyId === partyId) && (!range || (e.days >= min && e.days <= range.maxDays)))
+    .sort((a,b)=> a.due - b.due);
+
+  const rows = picked.map(e => ({ kind:'line', cells: [
+    new Date(e.j.date).toLocaleDateString(), e.partyName, e.j.description || '',
+    e.due.toLocaleDateString(), String(Math.max(0, e.days)), Number(e.j.amount), e.open
+  ]}));
+  rows.push({ kind:'total', cells: ['Total', '', '', '', '', '', roundMoney(picked.reduce((s,e)=> s + e.open, 0))] });
+  const who = partyId === '*' ? `All ${cfg.plural.toLowerCase()}` : (picked[0]?.partyName || '');
+  return {
+    title: `${aging.title} — ${who}, ${range ? range.label : 'all buckets'}`,
+    period: aging.period,
+    columns: ['Date', cfg.label, 'Description', 'Due', 'Days Past Due', 'Amount', 'Open'],
+    textCols: 5,
+    rows
+  };
+}
+
+function renderAgingDetail(name){
+  const wrap = el(`.aging-detail[data-report="${name}"]`);
+  if(!wrap) return;
+  const key = agingDrill[name];
+  if(!key || !lastReports[name]){ wrap.classList.add('hidden'); return; }
+  lastReports[name + 'Detail'] = buildAgingDetail(lastReports[name], key);
+  renderReportTable(`.aging-detail[data-report="${name}"] table`, lastReports[name + 'Detail']);
+  wrap.classList.remove('hidden');
+}
+
+/** textCols: leading columns rendered as text (default 1); links[i] makes cell i a drill-down button */
+function renderReportTable(tableSel, report){
+  const table = qs(tableSel);
+  if(!table) return;
+  const textCols = report.textCols || 1;
+  table.innerHTML = `<caption>${escapeHtml(settings.businessName || 'Monimo')} — ${escapeHtml(report.title)}<div class="muted">${escapeHtml(report.period)}</div></caption>
+    <thead><tr>${report.columns.map((c,i)=> `<th class="${i >= textCols ? 'num' : ''}">${escapeHtml(c)}</th>`).join('')}</tr></thead>`;
+  const tb = document.createElement('tbody');
+  report.rows.forEach(r=>{
+    const tr = document.createElement('tr');
+    tr.className = `report-${r.kind}`;
+    tr.innerHTML = r.cells.map((c,i)=>{
+      if(i < textCols) return `<td>${escapeHtml(c)}</td>`;
+      const text = typeof c === 'number' ? formatCurrency(c) : escapeHtml(c);
+      const link = r.links && r.links[i];
+      return `<td class="num">${link ? `<button type="button" class="link-btn report-drill" data-drill="${link}">${text}</button>` : text}</td>`;
+    }).join('');
+    tb.appendChild(tr);
+  });
+  table.appendChild(tb);
+}
+
+function reportToCSV(report){
+  let csv = csvEscape(report.title) + '\n';
+  csv += csvEscape('Business:') + ',' + csvEscape(settings.businessName || 'Monimo') + '\n';
+  csv += csvEscape('Period:') + ',' + csvEscape(report.period) + '\n\n';
+  csv += report.columns.map(csvEscape).join(',') + '\n';
+  report.rows.forEach(r=>{
+    csv += r.cells.map(c => csvEscape(typeof c === 'number' ? c.toFixed(2) : c)).join(',') + '\n';
+  });
+  return csv;
+}
+
+function runReports(){
+  const isFrom = el('#isFrom'), isTo = el('#isTo'), bsAsOf = el('#bsAsOf'), tbAsOf = el('#tbAsOf');
+  if(!isFrom) return;
+  lastReports.income = buildIncomeStatement(
+    isFrom.value ? startOfDay(isFrom.value) : null,
+    isTo.value ? endOfDay(isTo.value) : null
+  );
+  lastReports.balance = buildBalanceSheet(bsAsOf.value ? endOfDay(bsAsOf.value) : new Date());
+  lastReports.trial = buildTrialBalance(tbAsOf.value ? endOfDay(tbAsOf.value) : new Date());
+  renderReportTable('#incomeStatementTable', lastReports.income);
+  renderReportTable('#balanceSheetTable', lastReports.balance);
+  renderReportTable('#trialBalanceTable', lastReports.trial);
+
+  lastReports.arAging = buildAging('customer', el('#arAsOf').value ? endOfDay(el('#arAsOf').value) : new Date());
+  lastReports.apAging = buildAging('supplier', el('#apAsOf').value ? endOfDay(el('#apAsOf').value) : new Date());
+  renderReportTable('#arAgingTable', lastReports.arAging);
+  renderReportTable('#apAgingTable', lastReports.apAging);
+  renderAgingDetail('arAging');
+  renderAgingDetail('apAging');
+}
+
+function printReport(viewId){
+  const view = el('#'+viewId);
+  if(!view) return;
+  view.classList.add('print-target');
+  document.body.classList.add('printing-report');
+  window.print();
+  document.body.classList.remove('printing-report');
+  view.classList.remove('print-target');
+}
+
+function initReports(){
+  const now = new Date();
+  const today = toDateInputValue(now);
+  if(el('#isFrom')) el('#isFrom').value = toDateInputValue(new Date(now.getFullYear(), now.getMonth(), 1));
+  if(el('#isTo')) el('#isTo').value = today;
+  if(el('#bsAsOf')) el('#bsAsOf').value = today;
+  if(el('#tbAsOf')) el('#tbAsOf').value = today;
+  if(el('#arAsOf')) el('#arAsOf').value = today;
+  if(el('#apAsOf')) el('#apAsOf').value = today;
+
+  qsa('.report-subtab-btn').forEach(btn=>{
+    btn.addEventListener('click', ()=>{
+      qsa('.report-subtab-btn').forEach(b=>b.classList.remove('active'));
+      btn.classList.add('active');
+      qsa('.report-subview').forEach(v=>v.classList.remove('active'));
+      el('#'+btn.dataset.target).classList.add('active');
+    });
+  });
+
+  qsa('.report-run').forEach(b=> b.addEventListener('click', runReports));
+  qsa('.report-csv').forEach(b=>{
+    b.addEventListener('click', ()=>{
+      runReports();
+      const report = lastReports[b.dataset.report];
+      if(!report) return;
+      const slug = report.title.toLowerCase().replace(/\s+/g,'_');
+      downloadCSV(`${slug}_${toDateInputValue(new Date())}.csv`, reportToCSV(report));
+      showToast(`${report.title} exported`);
+    });
+  });
+  qsa('.report-print').forEach(b=>{
+    b.addEventListener('click', ()=>{ runReports(); printReport(b.dataset.view); });
+  });
+
+  // aging drill-down: a bucket cell opens the entries behind it
+  qsa('.aging-table').forEach(table=>{
+    table.addEventListener('click', e=>{
+      const btn = e.target.closest('.report-drill');
+      if(!btn) return;
+      agingDrill[table.dataset.report] = btn.dataset.drill;
+      renderAgingDetail(table.dataset.report);
+    });
+  });
+  qsa('.aging-detail').forEach(wrap=>{
+    const name = wrap.dataset.report;
+    wrap.querySelector('.aging-detail-close').addEventListener('click', ()=>{
+      delete agingDrill[name];
+      wrap.classList.add('hidden');
+    });
+    wrap.querySelector('.aging-detail-csv').addEventListener('click', ()=>{
+      const report = lastReports[name + 'Detail'];
+      if(!report) return;
+      downloadCSV(`${name}_detail_${toDateInputValue(new Date())}.csv`, reportToCSV(report));
+      showToast(`${report.title} exported`);
+    });
+  });
+}
+
+/* =========================
+   BACKUP / RESTORE
+   One versioned JSON file holding every store + settings, with a checksum.
+   Restore validates first, previews the differences, then replaces or merges by id.
+   ========================= */
+const BACKUP_VERSION = 1;
+let pendingRestore = null; // validated backup waiting for Replace/Merge
+
+/** FNV-1a 32-bit hash, enough to detect a damaged or hand-edited file */
+function checksum(str){
+  let h = 0x811c9dc5;
+  for(let i = 0; i < str.length; i++){
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return 'fnv1a-' + h.toString(16).padStart(8, '0');
+}
+
+function storeDateRange(store, records){
+  if(!store.dateField) return null;
+  const times = records.map(r => new Date(r[store.dateField]).getTime()).filter(t => !isNaN(t));
+  if(!times.length) return null;
+  return { from: new Date(Math.min(...times)).toISOString(), to: new Date(Math.max(...times)).toISOString() };
+}
+
+function buildBackup(schemaVersion){
+  const data = {};
+  const counts = {};
+  DATA_STORES.forEach(store=>{
+    data[store.key] = store.get();
+    counts[store.key] = store.get().length;
+  });
+  data[SETTINGS_KEY] = settings;
+  const txnRange = storeDateRange(DATA_STORES[0], transactions);
+  return {
+    app: 'Monimo',
+    backupVersion: BACKUP_VERSION,
+    createdAt: nowISO(),
+    metadata: {
+      businessName: settings.businessName || 'Monimo',
+      schemaVersion: schemaVersion === undefined ? SCHEMA_VERSION : schemaVersion,
+      counts,
+      dateRange: txnRange
+    },
+    checksum: checksum(JSON.stringify(data)),
+    data
+  };
+}
+
+function downloadBackup(){
+  const backup = buildBackup();
+  const slug = (settings.businessName || 'monimo').toLowerCase().replace(/[^a-z0-9]+/g,'_');
+  downloadFile(`${slug}_backup_${toDateInputValue(new Date())}.json`, JSON.stringify(backup, null, 2), 'application/json');
+  showToast('Backup downloaded');
+}
+
+/** Field types a restored record must have, per store ('?' = may be missing or null;
+    fields added by later data formats are optional so older backups still pass).
+    `lines` describes each entry of the record's lines list. */
+const BACKUP_FIELDS = {
+  [STORAGE_KEY]:         { fields: { date: 'date', type: 'string', amount: 'number', invCost: 'number?', lines: 'array?' }, lines: { qty: 'number' } },
+  [INV_KEY]:             { fields: { name: 'string', quantity: 'number', unitPrice: 'number?', unitCost: 'number?', costLayers: 'array?', stock: 'object?' } },
+  [LOG_KEY]:             { fields: { timestamp: 'date', action: 'string', qtyChange: 'number' } },
+  [PURCHASES_KEY]:       { fields: { date: 'date', amount: 'number', paidAmount: 'number?', items: 'array?' } },
+  [SALES_KEY]:           { fields: { date: 'date', amount: 'number', paidAmount: 'number?', items: 'array?' } },
+  [RECEIPTS_KEY]:        { fields: { date: 'date', amount: 'number' } },
+  [DISB_KEY]:            { fields: { date: 'date', amount: 'number' } },
+  [LEDGER_KEY]:          { fields: { date: 'date', lines: 'array' }, lines: { account: 'string', debit: 'number?', credit: 'number?' } },
+  [CUSTOMERS_KEY]:       { fields: { name: 'string', creditLimit: 'number?' } },
+  [SUPPLIERS_KEY]:       { fields: { name: 'string', creditLimit: 'number?' } },
+  [CATEGORIES_KEY]:      { fields: { name: 'string', type: 'string', budget: 'number?' } },
+  [RECURRING_KEY]:       { fields: { txn: 'object', frequency: 'string', startDate: 'date', nextDate: 'date?' } },
+  [RECURRING_QUEUE_KEY]: { fields: { templateId: 'string', date: 'date' } },
+  [DRAFTS_KEY]:          { fields: { lines: 'array' }, lines: { qty: 'number' } },
+  [PO_KEY]:              { fields: { date: 'date', status: 'string', lines: 'array', receipts: 'array?' }, lines: { qty: 'number', price: 'number' } },
+  [RETURNS_KEY]:         { fields: { date: 'date', kind: 'string', amount: 'number', lines: 'array' }, lines: { qty: 'number' } },
+  [COUNTS_KEY]:          { fields: { date: 'date', status: 'string', lines: 'array' }, lines: { systemQty: 'number', counted: 'number?' } },
+  [LOCATIONS_KEY]:       { fields: { name: 'string' } },
+  [TRANSFERS_KEY]:       { fields: { date: 'date', lines: 'array' }, lines: { qty: 'number' } },
+  [PERIODS_KEY]:         { fields: { month: 'string', action: 'string', at: 'date' } },
+  [AUDIT_KEY]:           { fields: { at: 'date', action: 'string' } }
+};
+
+function fieldTypeOk(val, type){
+  const optional = type.endsWith('?');
+  if(val === undefined || val === null) return optional;
+  switch(type.replace('?', '')){
+    case 'number': return typeof val === 'number' && isFinite(val);
+    case 'string': return typeof val === 'string';
+    case 'date':   return (typeof val === 'string' || typeof val === 'number') && !isNaN(new Date(val).getTime());
+    case 'array':  return Array.isArray(val);
+    case 'object': return typeof val === 'object' && !Array.isArray(val);
+    default:       return true;
+  }
+}
+
+/** First field of `r` that doesn't match `fields`, as "name (expected type)", or null */
+function badField(r, fields){
+  const name = Object.keys(fields).find(f => !fieldTypeOk(r[f], fields[f]));
+  return name ? `${name} (expected ${fields[name].replace('?', '')})` : null;
+}
+
+/** Returns { ok, backup } or { error, errors[] } — nothing is written here */
+function validateBackup(text){
+  let backup;
+  try { backup = JSON.parse(text); }
+  catch(err){ return { error:true, errors: ['File is not valid JSON'] }; }
+
+  const errors = [];
+  if(!backup || backup.app !== 'Monimo') errors.push('Not a Monimo backup file');
+  if(!backup || typeof backup.backupVersion !== 'number') errors.push('Missing backup version');
+  else if(backup.backupVersion > BACKUP_VERSION) errors.push(`Backup version ${backup.backupVersion} is newer than this app supports (${BACKUP_VERSION})`);
+  if(!backup || !backup.data || typeof backup.data !== 'object') errors.push('Backup has no data section');
+  if(errors.length) return { error:true, errors };
+  if(backupSchemaVersion(backup) > SCHEMA_VERSION) errors.push(`Backup data format v${backupSchemaVersion(backup)} is newer than this app (v${SCHEMA_VERSION})`);
+
+  if(backup.checksum !== checksum(JSON.stringify(backup.data))) errors.push('Checksum mismatch — the file is damaged or was edited');
+
+  DATA_STORES.forEach(store=>{
+    const records = backup.data[store.key];
+    if(records === undefined) return; // older backups may lack newer stores
+    if(!Array.isArray(records)){ errors.push(`${store.label}: expected a list`); return; }
+    const seen = new Set();
+    records.forEach((r, i)=>{
+      if(!r || typeof r !== 'object'){ errors.push(`${store.label} #${i+1}: not a record`); return; }
+      if(r.id === undefined || r.id === null || r.id === ''){ errors.push(`${store.label} #${i+1}: missing id`); return; }
+      if(seen.has(r.id)) errors.push(`${store.label} #${i+1}: duplicate id ${r.id}`);
+      seen.add(r.id);
+      const spec = BACKUP_FIELDS[store.key];
+      if(!spec) return;
+      const bad = badField(r, spec.fields);
+      if(bad){ errors.push(`${store.label} #${i+1}: bad ${bad}`); return; }
+      if(!spec.lines || !Array.isArray(r.lines)) return;
+      r.lines.some((l, n)=>{
+        const badLine = l && typeof l === 'object' ? badField(l, spec.lines) : 'line (expected object)';
+        if(badLine) errors.push(`${store.label} #${i+1}, line ${n+1}: bad ${badLine}`);
+        return badLine;
+      });
+    });
+  });
+  const s = backup.data[SETTINGS_KEY];
+  if(s !== undefined && (typeof s !== 'object' || Array.isArray(s))) errors.push('Settings: expected an object');
+
+  if(errors.length) return { error:true, errors };
+  return { ok:true, backup };
+}
+
+function backupSchemaVersion(backup){
+  const v = backup && backup.metadata && backup.metadata.schemaVersion;
+  return typeof v === 'number' ? v : 0;
+}
+
+function renderRestorePreview(backup){
+  const meta = el('#restoreMeta');
+  const range = backup.metadata && backup.metadata.dateRange;
+  meta.innerHTML = `Backup of <strong>${escapeHtml((backup.metadata && backup.metadata.businessName) || 'Monimo')}</strong>
+    taken ${new Date(backup.createdAt).toLocaleString()} (format v${backup.backupVersion}, data v${backupSchemaVersion(backup)})
+    ${backupSchemaVersion(backup) < SCHEMA_VERSION ? `<br>Older data format — it will be upgraded to v${SCHEMA_VERSION} on restore.` : ''}
+    ${range ? `<br>Transactions from ${new Date(range.from).toLocaleDateString()} to ${new Date(range.to).toLocaleDateString()}` : ''}`;
+
+  const tb = qs('#restoreDiffTable tbody');
+  tb.innerHTML = '';
+  DATA_STORES.forEach(store=>{
+    const current = store.get();
+    const incoming = backup.data[store.key] || [];
+    const currentIds = new Set(current.map(r => r.id));
+    const newIds = incoming.filter(r => !currentIds.has(r.id)).length;
+    const curRange = storeDateRange(store, current);
+    const inRange = storeDateRange(store, incoming);
+    const fmt = r => r ? `${new Date(r.from).toLocaleDateString()} – ${new Date(r.to).toLocaleDateString()}` : '';
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td>${store.label}</td>
+                    <td>${current.length}<div class="muted">${fmt(curRange)}</div></td>
+                    <td>${incoming.length}<div class="muted">${fmt(inRange)}</div></td>
+                    <td>${newIds}</td>`;
+    tb.appendChild(tr);
+  });
+  el('#restorePreview').classList.remove('hidden');
+}
+
+function showRestoreErrors(errors){
+  const box = el('#restoreErrors');
+  box.innerHTML = `<strong>Cannot restore this file:</strong><ul>${errors.slice(0, 20).map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>
+    ${errors.length > 20 ? `<div class="muted">…and ${errors.length - 20} more</div>` : ''}`;
+  box.classList.remove('hidden');
+}
+
+/** mode: 'replace' swaps everything; 'merge' keeps current records and adds ids not present yet */
+function applyRestore(backup, mode){
+  const data = migrateBackupData(backup.data, backupSchemaVersion(backup));
+  DATA_STORES.forEach(store=>{
+    const incoming = data[store.key];
+    if(mode === 'replace'){
+      store.set(Array.isArray(incoming) ? incoming : []);
+    } else if(Array.isArray(incoming)){
+      const current = store.get();
+      const ids = new Set(current.map(r => r.id));
+      store.set(current.concat(incoming.filter(r => !ids.has(r.id))));
+    }
+  });
+  if(mode === 'replace' && data[SETTINGS_KEY]){
+    settings = Object.assign({ businessName: 'Monimo', theme: 'light', accent: 'blue' }, data[SETTINGS_KEY]);
+  }
+  setMeta('schemaVersion', SCHEMA_VERSION);
+  // restored records are not what the session's undo steps were recorded against
+  undoStack = []; redoStack = [];
+  renderAll();
+  renderHistory();
+}
+
+function resetRestoreUI(){
+  pendingRestore = null;
+  el('#restoreFile').value = '';
+  el('#restorePreview').classList.add('hidden');
+  el('#restoreErrors').classList.add('hidden');
+}
+
+function readFileAsText(file){
+  return new Promise((resolve, reject)=>{
+    const reader = new FileReader();
+    reader.onload = ()=> resolve(reader.result);
+    reader.onerror = ()=> reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+function renderSchemaInfo(){
+  const box = el('#schemaInfo');
+  if(!box) return;
+  const snap = getPreMigrationSnapshot();
+  box.innerHTML = `Data format v${SCHEMA_VERSION}.` + (snap
+    ? ` Last upgrade from v${snap.fromVersion} on ${new Date(snap.createdAt).toLocaleString()} — a snapshot of the data before it is kept.`
+    : '');
+  const btn = el('#snapshotBtn');
+  if(btn) btn.classList.toggle('hidden', !snap);
+}
+
+function downloadSnapshot(){
+  const snap = getPreMigrationSnapshot();
+  if(!snap) return;
+  downloadFile(`monimo_premigration_v${snap.fromVersion}_${toDateInputValue(snap.createdAt)}.json`, JSON.stringify(snap.backup, null, 2), 'application/json');
+}
+
+function initBackupRestore(){
+  on('#backupBtn','click', downloadBackup);
+  on('#snapshotBtn','click', downloadSnapshot);
+  renderSchemaInfo();
+
+  on('#restoreFile','change', async e=>{
+    const file = e.target.files && e.target.files[0];
+    el('#restorePreview').classList.add('hidden');
+    el('#restoreErrors').classList.add('hidden');
+    pendingRestore = null;
+    if(!file) return;
+    let text;
+    try { text = await readFileAsText(file); }
+    catch(err){ showRestoreErrors(['The file could not be read.']); return; }
+    const res = validateBackup(text);
+    if(res.error){ showRestoreErrors(res.errors); return; }
+    pendingRestore = res.backup;
+    renderRestorePreview(res.backup);
+  });
+
+  on('#restoreReplace','click', ()=>{
+    if(!pendingRestore) return;
+    if(!confirm('Replace ALL current data with this backup? Current records not in the backup will be lost.')) return;
+    applyRestore(pendingRestore, 'replace');
+    resetRestoreUI();
+    showToast('Backup restored (replaced)');
+  });
+  on('#restoreMerge','click', ()=>{
+    if(!pendingRestore) return;
+    applyRestore(pendingRestore, 'merge');
+    resetRestoreUI();
+    showToast('Backup merged');
+  });
+  on('#restoreCancel','click', resetRestoreUI);
+}
+
+/* =========================
+   CSV IMPORT (transactions / inventory items)
+   Parse -> map columns -> dry run (per-row errors, simulated stock) -> import.
+   Accepted rows go through the same paths as manual entry:
+   applyTransactionInventory + addTransaction (journals, ledger, logs) and addInventoryItem.
+   ========================= */
+const IMPORT_FIELDS = {
+  transactions: [
+    { key: 'date',          label: 'Date',            aliases: ['date','txn date','transaction date'] },
+    { key: 'description',   label: 'Description',     required: true, aliases: ['description','desc','details','particulars','memo'] },
+    { key: 'amount',        label: 'Amount',          required: true, aliases: ['amount','total','value','price'] },
+    { key: 'type',          label: 'Type',            required: true, aliases: ['type','kind','category'] },
+    { key: 'item',          label: 'Inventory item',  aliases: ['item','product','item name','inventory item','sku'] },
+    { key: 'quantity',      label: 'Quantity',        aliases: ['quantity','qty','units'] },
+    { key: 'paymentMethod', label: 'Payment method',  aliases: ['payment method','payment','method','terms'] },
+    { key: 'customer',      label: 'Customer',        aliases: ['customer','customer name','client','buyer'] },
+    { key: 'supplier',      label: 'Supplier',        aliases: ['supplier','supplier name','vendor'] },
+    { key: 'account',       label: 'Expense account', aliases: ['account','expense account','gl account'] }
+  ],
+  inventory: [
+    { key: 'name',        label: 'Item name',         required: true, aliases: ['name','item','item name','product'] },
+    { key: 'description', label: 'Description',       aliases: ['description','desc','details'] },
+    { key: 'category',    label: 'Category',          aliases: ['category','group'] },
+    { key: 'unitPrice',   label: 'Selling price',     required: true, aliases: ['unit price','price','selling price','sale price'] },
+    { key: 'unitCost',    label: 'Unit cost',         aliases: ['unit cost','cost','purchase cost','cost price'] },
+    { key: 'quantity',    label: 'Starting quantity', aliases: ['quantity','qty','stock','on hand','starting quantity'] },
+    { key: 'baseUnit',    label: 'Base unit',         aliases: ['base unit','unit','uom','unit of measure'] }
+  ]
+};
+
+let importState = null; // { target, headers, rows, mapping, results }
+
+/** RFC 4180-ish parser: quoted fields, doubled quotes, commas/newlines inside quotes, CRLF */
+function parseCSV(text){
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  for(let i = 0; i < src.length; i++){
+    const ch = src[i];
+    if(quoted){
+      if(ch === '"' && src[i+1] === '"'){ field += '"'; i++; }
+      else if(ch === '"') quoted = false;
+      else field += ch;
+    } else if(ch === '"') quoted = true;
+    else if(ch === ','){ row.push(field); field = ''; }
+    else if(ch === '\n' || ch === '\r'){
+      if(ch === '\r' && src[i+1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += ch;
+  }
+  if(field !== '' || row.length){ row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(c => String(c).trim() !== ''));
+}
+
+function parseAmount(txt){
+  const t = String(txt == null ? '' : txt).trim();
+  if(!t) return NaN;
+  const neg = /^\(.*\)$/.test(t);
+  const n = parseFloat(t.replace(/[^\d.-]/g,''));
+  return isNaN(n) ? NaN : (neg ? -Math.abs(n) : n);
+}
+
+function parseDateFlexible(text){
+  if(!text) return null;
+  const s = String(text).trim();
+  if(/^\d{4}-\d{2}-\d{2}$/.test(s)) return startOfDay(s);
+  // dd/mm/yyyy or dd-mm-yyyy, before Date() reads it the US way (03/04 = 3 April, not 4 March)
+  const m = s.match(/^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})$/);
+  if(m){
+    let dd = parseInt(m[1],10), mm = parseInt(m[2],10), yy = parseInt(m[3],10);
+    if(yy < 100) yy += 2000;
+    const d = new Date(yy, mm-1, dd);
+    return d.getMonth() === mm-1 && d.getDate() === dd ? d : null;
+  }
+  const d = new Date(s);
+  return isNaN(d) ? null : d;
+}
+
+function normalizeHeader(h){ return String(h || '').trim().toLowerCase().replace(/[_\-]+/g,' ').replace(/\s+/g,' '); }
+
+function guessMapping(target, headers){
+  const mapping = {};
+  const norm = headers.map(normalizeHeader);
+  IMPORT_FIELDS[target].forEach(f=>{
+    const idx = norm.findIndex(h => f.aliases.includes(h));
+    mapping[f.key] = idx;
+  });
+  return mapping;
+}
+
+function findItemByRef(ref){
+  const r = String(ref || '').trim().toLowerCase();
+  if(!r) return null;
+  return inventory.find(i => String(i.id) === r || String(i.name || '').trim().toLowerCase() === r) || null;
+}
+
+function findAccountByRef(ref){
+  const r = String(ref || '').trim().toLowerCase();
+  if(!r) return null;
+  return getExpenseAccounts().find(a => a.code === r || a.name.toLowerCase() === r) || null;
+}
+
+function parseTxnType(v){
+  const t = String(v || '').trim().toLowerCase();
+  if(['revenue','sale','sales','income'].includes(t)) return 'revenue';
+  if(['expense','purchase','purchases','cost'].includes(t)) return 'expense';
+  return null;
+}
+
+/** Validate one transaction row; `stock` is the simulated on-hand qty per item id,
+    `owed` the credit earlier rows added per party id */
+function validateTxnImportRow(get, stock, owed){
+  const errors = [];
+  const description = get('description').trim();
+  const amount = parseAmount(get('amount'));
+  const type = parseTxnType(get('type'));
+  const itemRef = get('item').trim();
+  const qtyRaw = get('quantity').trim();
+  const methodRaw = get('paymentMethod').trim().toLowerCase();
+  const dateRaw = get('date').trim();
+  const accountRaw = get('account').trim();
+
+  if(!description) errors.push('Missing description');
+  if(isNaN(amount) || amount <= 0) errors.push(`Invalid amount "${get('amount')}"`);
+  if(!type) errors.push(`Unknown type "${get('type')}" (use revenue or expense)`);
+
+  let date = null;
+  if(dateRaw){
+    date = parseDateFlexible(dateRaw);
+    if(!date) errors.push(`Invalid date "${dateRaw}"`);
+  }
+  if(isPeriodClosed(date || new Date())) errors.push(`${monthLabel(monthKey(date || new Date()))} is a closed period`);
+
+  let paymentMethod = 'Cash';
+  if(methodRaw){
+    if(methodRaw === 'cash') paymentMethod = 'Cash';
+    else if(['credit','on account','charge'].includes(methodRaw)) paymentMethod = 'Credit';
+    else errors.push(`Unknown payment method "${get('paymentMethod')}"`);
+  }
+
+  let item = null, qty = 0;
+  if(itemRef){
+    item = findItemByRef(itemRef);
+    if(!item) errors.push(`Unknown item "${itemRef}"`);
+    qty = qtyRaw ? Number(qtyRaw) : NaN;
+    if(isNaN(qty) || qty <= 0 || (item && !qtyAllowed(item, qty))) errors.push(`Invalid quantity "${qtyRaw}"`);
+  }
+
+  let expenseAccount = null;
+  if(type === 'expense' && !itemRef){
+    if(accountRaw){
+      const acct = findAccountByRef(accountRaw);
+      if(!acct) errors.push(`Unknown expense account "${accountRaw}"`);
+      else expenseAccount = acct.code;
+    } else expenseAccount = ACCT.OPEX;
+  }
+
+  // simulate stock so later rows see the effect of earlier ones
+  if(!errors.length && item){
+    const onHand = stock.has(item.id) ? stock.get(item.id) : locationQty(item, defaultLocationId()); // imports post at the default location
+    if(type === 'revenue'){
+      if(onHand < qty) errors.push(`Insufficient stock for "${item.name}" (available ${onHand}, need ${qty})`);
+      else stock.set(item.id, onHand - qty);
+    } else stock.set(item.id, onHand + qty);
+  }
+
+  if(errors.length) return { errors };
+  const txn = buildTxnRecord({
+    description, amount, type,
+    lines: item ? [{ invId: item.id, qty, price: amount / qty, amount }] : [],
+    paymentMethod,
+    customer: get('customer').trim(),
+    supplier: get('supplier').trim(),
+    expenseAccount,
+    date: date ? date.toISOString() : null
+  });
+  const summary = `${toDateInputValue(txn.date)} · ${type} · ${formatCurrency(amount)}${item ? ` · ${item.name} ×${qty}` : ''} · ${paymentMethod}`;
+  // credit limits as on the form: a warning, not an error (the import asks before posting these)
+  const partyId = txn.customerId || txn.supplierId;
+  const over = creditLimitWarning(txn, null, owed.get(partyId));
+  if(partyId && paymentMethod === 'Credit') owed.set(partyId, (owed.get(partyId) || 0) + amount);
+  return { errors, warnings: over ? [over] : [], record: txn, summary };
+}
+
+function validateInventoryImportRow(get, seenNames){
+  const errors = [];
+  const name = get('name').trim();
+  const price = parseAmount(get('unitPrice'));
+  const qtyRaw = get('quantity').trim();
+  const qty = qtyRaw ? Number(qtyRaw) : 0;
+  const key = name.toLowerCase();
+
+  if(!name) errors.push('Missing item name');
+  else if(findItemByRef(name)) errors.push(`Item "${name}" already exists`);
+  else if(seenNames.has(key)) errors.push(`Duplicate item "${name}" in file`);
+  const costRaw = get('unitCost').trim();
+  const cost = costRaw ? parseAmount(costRaw) : price;
+  if(isNaN(price) || price < 0) errors.push(`Invalid unit price "${get('unitPrice')}"`);
+  if(costRaw && (isNaN(cost) || cost < 0)) errors.push(`Invalid unit cost "${costRaw}"`);
+  if(!Number.isInteger(qty) || qty < 0) errors.push(`Invalid quantity "${qtyRaw}"`);
+  if(name) seenNames.add(key);
+
+  if(errors.length) return { errors };
+  const record = { name, description: get('description').trim(), category: get('category').trim(), unitPrice: price, unitCost: cost, quantity: qty, baseUnit: get('baseUnit').trim() || DEFAULT_BASE_UNIT };
+  return { errors, record, summary: `${name} · cost ${formatCurrency(cost)} · price ${formatCurrency(price)} · qty ${qty} ${record.baseUnit}` };
+}
+
+function dryRunImport(){
+  const { target, rows, mapping } = importState;
+  const stock = new Map();
+  const seenNames = new Set();
+  const owed = new Map();
+  importState.results = rows.map((row, i)=>{
+    const get = key => (mapping[key] >= 0 && row[mapping[key]] !== undefined) ? String(row[mapping[key]]) : '';
+    const res = target === 'transactions' ? validateTxnImportRow(get, stock, owed) : validateInventoryImportRow(get, seenNames);
+    return Object.assign({ rowNumber: i + 2 }, res); // +1 header, +1 human numbering
+  });
+  return importState.results;
+}
+
+function renderImportMapping(){
+  const wrap = el('#importMappingFields');
+  wrap.innerHTML = '';
+  IMPORT_FIELDS[importState.target].forEach(f=>{
+    const label = document.createElement('label');
+    const options = ['<option value="-1">— skip —</option>']
+      .concat(importState.headers.map((h,i)=> `<option value="${i}">${h ? escapeHtml(h) : `Column ${i+1}`}</option>`)).join('');
+    label.innerHTML = `${f.label}${f.required ? ' *' : ''}<select data-field="${f.key}">${options}</select>`;
+    label.querySelector('select').value = String(importState.mapping[f.key]);
+    wrap.appendChild(label);
+  });
+  wrap.querySelectorAll('select').forEach(sel=>{
+    sel.addEventListener('change', ()=>{
+      importState.mapping[sel.dataset.field] = parseInt(sel.value,10);
+      el('#importPreview').classList.add('hidden');
+    });
+  });
+  el('#importMapping').classList.remove('hidden');
+}
+
+function renderImportPreview(results){
+  const ok = results.filter(r => !r.errors.length).length;
+  const warned = results.filter(r => !r.errors.length && r.warnings && r.warnings.length).length;
+  el('#importSummary').textContent = `${results.length} rows checked — ${ok} ready to import, ${results.length - ok} with errors (skipped).`
+    + (warned ? ` ${warned} over a credit limit (you'll be asked before they're posted).` : '');
+  const tb = qs('#importPreviewTable tbody');
+  tb.innerHTML = '';
+  results.forEach(r=>{
+    const tr = document.createElement('tr');
+    const warnings = r.errors.length ? [] : (r.warnings || []);
+    tr.className = r.errors.length ? 'import-error' : (warnings.length ? 'over-limit' : '');
+    tr.innerHTML = `<td>${r.rowNumber}</td>
+                    <td>${r.errors.length ? 'Error' : (warnings.length ? 'Warning' : 'OK')}</td>
+                    <td>${escapeHtml(r.summary || '')}</td>
+                    <td>${r.errors.concat(warnings).map(escapeHtml).join('<br>')}</td>`;
+    tb.appendChild(tr);
+  });
+  el('#importCommit').textContent = `Import ${ok} valid row${ok === 1 ? '' : 's'}`;
+  el('#importCommit').disabled = ok === 0;
+  el('#importPreview').classList.remove('hidden');
+}
+
+function commitImport(){
+  // re-check against current data right before writing
+  const results = dryRunImport();
+  let imported = 0, failed = 0;
+  const warned = results.filter(r => !r.errors.length && r.warnings && r.warnings.length);
+  const postWarned = !warned.length || confirm(`${warned.length} row${warned.length === 1 ? '' : 's'} would go over a credit limit:\n`
+    + warned.map(r => `Row ${r.rowNumber}: ${r.warnings[0]}`).join('\n') + '\n\nImport them anyway? Cancel imports the other rows only.');
+  results.filter(r => !r.errors.length && (postWarned || !warned.includes(r))).forEach(r=>{
+    if(importState.target === 'inventory'){
+      addInventoryItem(r.record);
+      imported++;
+      return;
+    }
+    const txn = r.record;
+    if(txn.lines.length){
+      const applyRes = applyTransactionInventory(txn);
+      if(applyRes.error){ failed++; return; }
+    }
+    // names from the file that match no record yet become new customers / suppliers (only for rows that post)
+    if(txn.customer && !txn.customerId) txn.customerId = ensureParty('customer', txn.customer).id;
+    if(txn.supplier && !txn.supplierId) txn.supplierId = ensureParty('supplier', txn.supplier).id;
+    addTransaction(txn);
+    imported++;
+  });
+  saveAll();
+  renderAll();
+  const skipped = results.length - imported - failed;
+  resetImportUI();
+  showToast(`Imported ${imported} row${imported === 1 ? '' : 's'}${skipped || failed ? ` (${skipped + failed} skipped)` : ''}`);
+}
+
+function resetImportUI(){
+  importState = null;
+  el('#importFile').value = '';
+  el('#importMapping').classList.add('hidden');
+  el('#importPreview').classList.add('hidden');
+  el('#importErrors').classList.add('hidden');
+}
+
+function initCsvImport(){
+  const startMapping = async ()=>{
+    const file = el('#importFile').files && el('#importFile').files[0];
+    el('#importPreview').classList.add('hidden');
+    el('#importErrors').classList.add('hidden');
+    if(!file){ el('#importMapping').classList.add('hidden'); return; }
+    let rows;
+    try {
+      rows = parseCSV(await readFileAsText(file));
+    } catch(err){
+      el('#importErrors').innerHTML = 'The file could not be read.';
+      el('#importErrors').classList.remove('hidden');
+      el('#importMapping').classList.add('hidden');
+      return;
+    }
+    if(rows.length < 2){
+      el('#importErrors').innerHTML = 'The file needs a header row and at least one data row.';
+      el('#importErrors').classList.remove('hidden');
+      el('#importMapping').classList.add('hidden');
+      return;
+    }
+    const target = el('#importTarget').value;
+    const headers = rows[0].map(h => String(h).trim());
+    importState = { target, headers, rows: rows.slice(1), mapping: guessMapping(target, headers), results: [] };
+    renderImportMapping();
+  };
+  on('#importFile','change', startMapping);
+  on('#importTarget','change', startMapping);
+
+  on('#importDryRun','click', ()=>{
+    if(!importState) return;
+    const missing = IMPORT_FIELDS[importState.target].filter(f => f.required && !(importState.mapping[f.key] >= 0));
+    if(missing.length){ alert('Map the required columns first: ' + missing.map(f => f.label).join(', ')); return; }
+    renderImportPreview(dryRunImport());
+  });
+  on('#importCommit','click', ()=>{
+    if(!importState || !importState.results.length) return;
+    audited({ action: 'import', entity: importState && importState.target === 'inventory' ? 'item' : 'transaction', summary: `CSV import (${importState ? importState.target : ''})` }, commitImport);
+  });
+  on('#importCancel','click', resetImportUI);
 }
 
 /* =========================
@@ -1356,6 +6956,31 @@ function qs(sel){ return document.querySelector(sel); }
 function qsa(sel){ return Array.from(document.querySelectorAll(sel)); }
 function on(sel, ev, fn){ const n=el(sel); if(n) n.addEventListener(ev, fn); }
 
+/** Escape user text for innerHTML, attribute values included */
+function escapeHtml(val){
+  return String(val ?? '').replace(/[&<>"']/g, ch => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' })[ch]);
+}
+
+function csvEscape(val){
+  if(val == null) return '';
+  const s = String(val);
+  if(s.includes('"') || s.includes(',') || s.includes('\n')) return '"' + s.replace(/"/g,'""') + '"';
+  return s;
+}
+
+function downloadFile(filename, content, mime){
+  const blob = new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(()=> URL.revokeObjectURL(url), 5000);
+}
+function downloadCSV(filename, csv){ downloadFile(filename, csv, 'text/csv;charset=utf-8;'); }
+
 function applySettingsUI(){
   // business name
   const h = el('#bizName');
@@ -1369,20 +6994,45 @@ function applySettingsUI(){
   // theme
   if(settings.theme === 'dark') document.body.classList.add('dark-mode');
   else document.body.classList.remove('dark-mode');
+
+  const costing = el('#costingMethod');
+  if(costing) costing.value = costingMethod();
 }
 
 // Show/hide conditional fields
 function toggleConditionalFields(){
   const type = el('#type').value;
-  const hasInv = !!el('#inventorySelect').value;
+  const hasInv = readLineRows().length > 0;
   const custField = document.querySelector('.field-customer');
   const suppField = document.querySelector('.field-supplier');
+  const acctField = document.querySelector('.field-expense-account');
 
   if(custField) custField.style.display = (type==='revenue') ? 'flex' : 'none';
   if(suppField) {
     // supplier shown only for expense with inventory (purchases)
     suppField.style.display = (type==='expense' && hasInv) ? 'flex' : 'none';
   }
+  // expense account only for regular (non-inventory) expenses
+  if(acctField) acctField.style.display = (type==='expense' && !hasInv) ? 'flex' : 'none';
+  const locField = document.querySelector('.field-location');
+  if(locField) locField.style.display = hasInv ? 'flex' : 'none';
+
+  // terms for receivables / payables; the date picker only for custom terms
+  const termsField = document.querySelector('.field-terms');
+  const dueField = document.querySelector('.field-due-date');
+  const onCredit = el('#paymentMethod').value === 'Credit' && (type === 'revenue' || hasInv);
+  if(termsField) termsField.style.display = onCredit ? 'flex' : 'none';
+  if(dueField) dueField.style.display = (onCredit && el('#paymentTerms').value === TERMS_CUSTOM) ? 'flex' : 'none';
+
+  fillCategorySelect();
+}
+
+function fillAccountSelects(){
+  const sel = el('#expenseAccount');
+  if(!sel) return;
+  const cur = sel.value || ACCT.OPEX;
+  sel.innerHTML = getExpenseAccounts().map(a => `<option value="${a.code}">${a.code} · ${a.name}</option>`).join('');
+  sel.value = cur;
 }
 // Sidebar toggle
 const sidebar = document.querySelector(".sidebar");